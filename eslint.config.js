@@ -23,7 +23,27 @@ export default defineConfig([
       },
     },
     rules: {
-      'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      // no-unused-vars 看不到 JSX 裡的使用，只在 JSX 用到的名稱以大寫開頭
+      // (元件，或 `motion as Motion` 之後的 <Motion.div>)
+      // ignoreRestSiblings：`{ node, ...props }` 只是為了把 node 從 props 拿掉
+      'no-unused-vars': [
+        'error',
+        { varsIgnorePattern: '^[A-Z_]', ignoreRestSiblings: true },
+      ],
+    },
+  },
+  {
+    // @tanstack/react-virtual 的 useVirtualizer 回傳的物件無法 memo，React Compiler 會跳過
+    // 用到它的元件、照一般元件執行；這是預期的行為，不需要每次 lint 都提醒
+    files: ['src/components/MessageList.jsx'],
+    rules: {
+      'react-hooks/incompatible-library': 'off',
+    },
+  },
+  {
+    files: ['*.config.js'],
+    languageOptions: {
+      globals: globals.node,
     },
   },
 ])
@@ -1,7 +1,12 @@
 import ChatInterface from "./ChatInterface";
+import I18nProvider from "./components/I18nProvider";
 
 function App() {
-  return <ChatInterface />;
+  return (
+    <I18nProvider>
+      <ChatInterface />
+    </I18nProvider>
+  );
 }
 
 export default App;
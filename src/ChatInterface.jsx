@@ -2,239 +2,139 @@
  * ============================================================================
  *  1. 引入依賴 (Imports)
  * ============================================================================
- *  - React Hooks: 用於狀態管理 (useState)、副作用處理 (useEffect)、元素引用 (useRef)
+ *  - React Hooks: 用於狀態管理 (useState)、副作用處理 (useEffect)、外部操作 (useImperativeHandle)
  *  - Lucide Icons: 現代化的 SVG 圖標庫
- *  - Framer Motion: 處理平滑動畫 (如側邊欄縮放、訊息彈出)
- *  - Markdown: 負責將 AI 回傳的 Markdown 語法轉為漂亮的 HTML
+ *  - Framer Motion: 處理平滑動畫 (如側邊欄縮放)
+ *  - useChatAgent: 對話的狀態與操作 (訊息、串流、對話紀錄、登入)，這個檔案只負責畫面
+ *  - Sidebar / MessageList / Composer: 可以單獨拿去組合的畫面元件 (見 src/index.js)
  */
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useEffect, useRef, useImperativeHandle } from "react";
 import {
-  Send,
-  Bot,
-  User,
-  Loader2,
   Sparkles,
   Trash2,
-  AlertCircle,
   PanelLeftClose,
   PanelLeftOpen,
-  Settings,
-  MessageSquare,
-  Moon,
-  Sun,
-  Wrench,
-  Copy,
-  Check,
+  Upload,
+  Download,
+  WifiOff,
+  ShieldAlert,
+  Search,
+  X,
 } from "lucide-react";
-import { motion, AnimatePresence } from "framer-motion";
-import ReactMarkdown from "react-markdown";
-import remarkGfm from "remark-gfm";
-
-/**
- * ============================================================================
- *  2. 輔助函式 (Helper Functions)
- * ============================================================================
- *  這些是不依賴 React 生命週期的小工具，放在 Component 外面可以避免重複宣告。
- */
-const generateThreadId = () =>
-  `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-/**
- * ============================================================================
- *  3. 子元件：複製按鈕 (Sub-component: CopyAction)
- * ============================================================================
- *  React 哲學：把獨立的互動邏輯拆成小元件。
- *  功能：點擊後複製文字，並將圖示暫時變為「打勾」，2秒後變回。
- */
-const CopyAction = ({ content }) => {
-  const [isCopied, setIsCopied] = useState(false);
-
-  const handleCopy = async () => {
-    if (!content) return;
-    try {
-      await navigator.clipboard.writeText(content); // 瀏覽器原生的剪貼簿 API
-      setIsCopied(true);
-      setTimeout(() => setIsCopied(false), 2000); // 2秒後重置狀態
-    } catch (err) {
-      console.error("Failed to copy:", err);
-    }
-  };
-
-  return (
-    <button
-      onClick={handleCopy}
-      className="p-1.5 rounded-md text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400 transition-all"
-      title="複製內容"
-    >
-      {isCopied ? (
-        <Check size={14} className="text-green-500" />
-      ) : (
-        <Copy size={14} />
-      )}
-    </button>
-  );
-};
-
-/**
- * ============================================================================
- *  4. 子元件：訊息內容渲染器 (Sub-component: MessageContent)
- * ============================================================================
- *  負責判斷是「使用者」還是「AI」，並決定要顯示純文字還是 Markdown。
- *  同時包含自定義的 CSS 樣式來處理程式碼區塊 (取代易崩潰的語法高亮套件)。
- */
-const MessageContent = ({ content, isUser }) => {
-  // 防呆機制：確保 content 是字串，避免 undefined 導致崩潰
-  const safeContent = content ? String(content) : "";
-
-  // [重要修正] 使用者訊息：
-  // 因為背景是深藍色 (bg-blue-600)，所以文字必須強制設為白色 (text-white)
-  if (isUser) {
-    return (
-      <div className="whitespace-pre-wrap break-words text-white">
-        {safeContent}
-      </div>
-    );
-  }
+import { motion as Motion, AnimatePresence } from "framer-motion";
+import useChatAgent from "./hooks/useChatAgent";
+import Sidebar from "./components/Sidebar";
+import MessageList from "./components/MessageList";
+import Composer from "./components/Composer";
+import LinkConfirmDialog from "./components/LinkConfirmDialog";
+import SettingsDialog from "./components/SettingsDialog";
+import LoginScreen from "./components/LoginScreen";
+import SearchBar from "./components/SearchBar";
+import { findSlashCommand } from "./lib/slashCommands";
+import {
+  findMessageMatches,
+  normalizeQuery,
+  searchStoredThreads,
+} from "./lib/search";
+import {
+  describeUsage,
+  formatCost,
+  formatTokens,
+  getThreadUsage,
+} from "./lib/usage";
+import {
+  MAX_ATTACHMENTS,
+  readFileAsAttachment,
+  getFilesFromDataTransfer,
+} from "./lib/attachments";
+import { useI18n } from "./lib/i18n";
 
-  // AI 訊息：使用 ReactMarkdown 渲染
-  return (
-    <div className="markdown-body text-sm text-slate-800 dark:text-slate-200">
-      <ReactMarkdown
-        remarkPlugins={[remarkGfm]} // 支援表格、刪除線等擴充語法
-        components={{
-          // 自定義 <code> 標籤的渲染方式
-          code({ node, inline, className, children, ...props }) {
-            const match = /language-(\w+)/.exec(className || "");
-            const language = match ? match[1] : "";
-
-            return !inline ? (
-              // === 區塊程式碼 (Block Code) ===
-              <div className="my-3 rounded-md overflow-hidden border border-slate-200 dark:border-slate-700 shadow-sm">
-                {language && (
-                  <div className="bg-slate-100 dark:bg-slate-800 px-3 py-1 text-xs text-slate-500 dark:text-slate-400 font-mono border-b border-slate-200 dark:border-slate-700">
-                    {language}
-                  </div>
-                )}
-                <div className="bg-[#1e1e1e] text-[#d4d4d4] p-3 overflow-x-auto">
-                  <pre className="font-mono text-[13px] leading-relaxed">
-                    <code {...props} className={className}>
-                      {children}
-                    </code>
-                  </pre>
-                </div>
-              </div>
-            ) : (
-              // === 行內程式碼 (Inline Code) ===
-              <code
-                {...props}
-                className="bg-slate-100 dark:bg-slate-800 text-pink-500 dark:text-pink-400 px-1.5 py-0.5 rounded font-mono text-sm border border-slate-200 dark:border-slate-700 mx-0.5"
-              >
-                {children}
-              </code>
-            );
-          },
-          // 自定義連結 (強制開新視窗)
-          a: ({ node, ...props }) => (
-            <a
-              {...props}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="text-blue-600 dark:text-blue-400 hover:underline"
-            />
-          ),
-          // 自定義表格樣式
-          table: ({ node, ...props }) => (
-            <div className="overflow-x-auto my-3 border border-slate-200 dark:border-slate-700 rounded-lg">
-              <table {...props} className="min-w-full text-sm text-left" />
-            </div>
-          ),
-          thead: ({ node, ...props }) => (
-            <thead
-              {...props}
-              className="bg-slate-50 dark:bg-slate-800 font-semibold"
-            />
-          ),
-          th: ({ node, ...props }) => (
-            <th
-              {...props}
-              className="px-4 py-2 border-b border-slate-200 dark:border-slate-700"
-            />
-          ),
-          td: ({ node, ...props }) => (
-            <td
-              {...props}
-              className="px-4 py-2 border-b border-slate-100 dark:border-slate-800"
-            />
-          ),
-          // 其他基本樣式
-          ul: ({ node, ...props }) => (
-            <ul
-              {...props}
-              className="list-disc list-outside ml-5 my-2 space-y-1"
-            />
-          ),
-          ol: ({ node, ...props }) => (
-            <ol
-              {...props}
-              className="list-decimal list-outside ml-5 my-2 space-y-1"
-            />
-          ),
-          p: ({ node, ...props }) => (
-            <p {...props} className="mb-2 last:mb-0 leading-7" />
-          ),
-        }}
-      >
-        {safeContent}
-      </ReactMarkdown>
-    </div>
-  );
-};
+// Ctrl+F (macOS 為 Cmd+F)
+const isFindShortcut = (e) =>
+  (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "f";
 
 /**
  * ============================================================================
- *  5. 主應用元件 (Main Component: ChatInterface)
+ *  2. 主應用元件 (Main Component: ChatInterface)
  * ============================================================================
+ *  獨立頁面 (main.jsx) 不需要任何 props；嵌入模式 (widget.jsx) 會傳入：
+ *  - embedded：高度跟著容器、側邊欄預設收起，深色模式與 lang 只套用在元件本身
+ *  - settingsOverrides：蓋在系統設定上的值 (例如 apiBaseUrl、greeting、headers)
+ *  - initialThreadId：一開始要開啟的對話
+ *  - storageKey：對話、設定存在 localStorage 的命名空間 (見 lib/storage.js)
+ *  - theme："light" | "dark"，指定初始的深淺色
+ *  - onMessage / onToolCall / onError：對話事件，onClose：標題列的關閉按鈕
+ *  - ref：{ send(text), clear() }，讓外部頁面操作對話
  */
-const ChatInterface = () => {
-  // --- 狀態管理 (State) ---
-  // 這裡定義了所有會讓畫面「動起來」的資料
-  const [messages, setMessages] = useState([
-    {
-      id: "init-1",
-      content: "你好！我是你的 AI 助手。我們開始對話吧！",
-      type: "ai",
-      timestamp: new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-    },
-  ]);
+const ChatInterface = ({
+  embedded = false,
+  settingsOverrides,
+  initialThreadId,
+  storageKey,
+  theme,
+  onMessage,
+  onToolCall,
+  onError,
+  onClose,
+  ref,
+}) => {
+  // --- 對話狀態 (useChatAgent) ---
+  // 訊息、串流、對話紀錄、系統設定與登入狀態都在 hook 裡
+  const chat = useChatAgent({
+    ...settingsOverrides,
+    threadId: initialThreadId,
+    storageKey,
+    onMessage,
+    onToolCall,
+    onError,
+  });
+  const {
+    settings,
+    messages,
+    threadId,
+    systemPrompt,
+    isLoading,
+    isOnline,
+    pendingInterrupt,
+    authNotice,
+    needsLogin,
+  } = chat;
+
+  // --- 畫面狀態 (UI State) ---
+  // 介面語系 (由 I18nProvider 管理，切換後整個畫面重新渲染)
+  const { t, locale } = useI18n();
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [inputValue, setInputValue] = useState("");
-  const [isLoading, setIsLoading] = useState(false);
-  const [threadId, setThreadId] = useState(""); // 對話 ID (記憶功能)
-  const [isSidebarOpen, setIsSidebarOpen] = useState(true); // 側邊欄開關
-  const [agentStatus, setAgentStatus] = useState(""); // MCP 工具調用狀態
-
-  // 深色模式狀態：初始化時嘗試讀取 localStorage，若無則預設 false (亮色)
+  const [isSidebarOpen, setIsSidebarOpen] = useState(!embedded); // 側邊欄開關
+  const [attachments, setAttachments] = useState([]); // 輸入框中尚未送出的附件
+  const [attachmentError, setAttachmentError] = useState("");
+  const [isDragging, setIsDragging] = useState(false); // 檔案拖曳到訊息列表上方
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false); // 標題列的匯出選單
+  const [pendingLink, setPendingLink] = useState(null); // 等待使用者確認的外部連結
+  const [isSearchOpen, setIsSearchOpen] = useState(false); // 標題列下方的搜尋列
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchIndex, setSearchIndex] = useState(0); // 目前停在第幾個符合的訊息
+  const [isSearchingAllThreads, setIsSearchingAllThreads] = useState(false); // 一併搜尋其他對話
+  const [threadResults, setThreadResults] = useState([]); // 其他對話中符合的結果
+
+  const searchInputRef = useRef(null); // 搜尋列的輸入框 (再按一次 Ctrl/Cmd+F 時重新聚焦)
+
+  // 深色模式狀態：有指定 theme 就照著用，否則讀取 localStorage，若無則預設 false (亮色)
   const [isDarkMode, setIsDarkMode] = useState(() => {
+    if (theme) return theme === "dark";
     if (typeof window !== "undefined") {
       return localStorage.getItem("theme") === "dark";
     }
     return false;
   });
 
-  // --- 引用 (Refs) ---
-  const messagesEndRef = useRef(null); // 用來定位訊息列表的最底部
-
-  // --- 環境變數 ---
-  const API_BASE_URL =
-    import.meta.env.VITE_API_BASE_URL || "http://localhost:8000";
-
   // --- 副作用 (Effects) ---
 
-  // 1. 處理深色模式切換
+  // 處理深色模式切換
   // 當 isDarkMode 改變時，修改 <html> 標籤的 class 並寫入 localStorage
+  // (嵌入模式不動外部頁面，dark class 直接加在元件最外層)
   useEffect(() => {
+    if (embedded) return;
     const root = window.document.documentElement;
     if (isDarkMode) {
       root.classList.add("dark");
@@ -243,248 +143,260 @@ const ChatInterface = () => {
       root.classList.remove("dark");
       localStorage.setItem("theme", "light");
     }
-  }, [isDarkMode]);
+  }, [isDarkMode, embedded]);
 
-  // 2. 初始化 Thread ID
-  // 只在元件第一次載入時執行 (依賴陣列為空 [])
+  // Ctrl/Cmd+F 開啟搜尋列 (取代瀏覽器的尋找，虛擬捲動下沒有渲染的訊息瀏覽器找不到)
+  // 嵌入模式不攔截外部頁面的快捷鍵，改由元件最外層的 onKeyDown 處理
   useEffect(() => {
-    const savedThreadId = localStorage.getItem("chat_thread_id");
-    if (savedThreadId) {
-      setThreadId(savedThreadId);
-    } else {
-      const newId = generateThreadId();
-      setThreadId(newId);
-      localStorage.setItem("chat_thread_id", newId);
-    }
-  }, []);
-
-  // 3. 自動滾動
-  // 只要 messages, isLoading, 或 agentStatus 改變，就滾動到底部
+    if (embedded) return;
+    const handleKeyDown = (e) => {
+      if (!isFindShortcut(e)) return;
+      e.preventDefault();
+      setIsSearchOpen(true);
+      searchInputRef.current?.select();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [embedded]);
+
+  // 一併搜尋其他對話：從 IndexedDB 逐筆搜尋 (停止輸入一下子之後才搜尋)
+  const hasSearchQuery = Boolean(normalizeQuery(searchQuery));
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, isLoading, agentStatus]);
+    if (!isSearchingAllThreads || !hasSearchQuery) return;
+    let isCancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchStoredThreads(searchQuery, {
+          excludeId: threadId,
+        });
+        if (!isCancelled) setThreadResults(results);
+      } catch (err) {
+        console.error("Failed to search threads:", err);
+      }
+    }, 200);
+    return () => {
+      isCancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    isSearchingAllThreads,
+    hasSearchQuery,
+    searchQuery,
+    threadId,
+    chat.threads,
+  ]);
 
   // --- 事件處理 (Handlers) ---
 
-  const handleClearChat = () => {
-    const newId = generateThreadId();
-    setThreadId(newId);
-    localStorage.setItem("chat_thread_id", newId);
-    setMessages([
-      {
-        id: `new-${Date.now()}`,
-        content: "記憶已清除，我們重新開始吧！",
-        type: "ai",
-        timestamp: new Date().toLocaleTimeString([], {
-          hour: "2-digit",
-          minute: "2-digit",
-        }),
-      },
-    ]);
+  // 有文字或附件才可以送出
+  const canSend =
+    (inputValue.trim() || attachments.length > 0) &&
+    !isLoading &&
+    !chat.isHydrating &&
+    !pendingInterrupt &&
+    isOnline;
+
+  // 這段對話累計的用量 (標題列顯示)
+  const threadUsage = getThreadUsage(messages);
+
+  // 這段對話中送出過的提問 (↑/↓ 回溯用)
+  const sentPrompts = messages
+    .filter((m) => m.type === "user" && m.content)
+    .map((m) => m.content);
+
+  // 搜尋：目前對話中符合的訊息，以及其他對話中符合的結果
+  const searchMatches = isSearchOpen
+    ? findMessageMatches(messages, searchQuery)
+    : [];
+  const activeSearchIndex = Math.min(searchIndex, searchMatches.length - 1);
+  const otherThreadResults =
+    isSearchingAllThreads && hasSearchQuery ? threadResults : [];
+
+  const handleSearchQueryChange = (query) => {
+    setSearchQuery(query);
+    setSearchIndex(0);
+  };
+
+  // 上一個 / 下一個 (頭尾相接)
+  const handleSearchStep = (step) => {
+    if (!searchMatches.length) return;
+    setSearchIndex(
+      (activeSearchIndex + step + searchMatches.length) % searchMatches.length
+    );
+  };
+
+  const handleCloseSearch = () => {
+    setIsSearchOpen(false);
+    setSearchQuery("");
+    setIsSearchingAllThreads(false);
   };
 
-  // 核心邏輯：發送訊息與串流處理
-  const handleSendMessage = async (e) => {
+  // 嵌入模式的 Ctrl/Cmd+F (焦點在元件裡才有作用)
+  const handleEmbeddedKeyDown = (e) => {
+    if (!isFindShortcut(e)) return;
     e.preventDefault();
-    if (!inputValue.trim() || isLoading) return;
+    setIsSearchOpen(true);
+    searchInputRef.current?.select();
+  };
+
+  // 開啟其他對話中的結果，之後在那段對話裡繼續搜尋
+  const handleOpenSearchResult = (id) => {
+    setIsSearchingAllThreads(false);
+    setSearchIndex(0);
+    chat.selectThread(id);
+  };
+
+  // 匯出目前對話：md (預設) / html / json
+  const handleExportThread = (format) => {
+    setIsExportMenuOpen(false);
+    chat.exportThread(format);
+  };
+
+  // 斜線指令可以使用的操作 (見 lib/slashCommands.js)
+  const commandContext = {
+    messages,
+    threadId,
+    clearChat: chat.clear,
+    exportThread: handleExportThread,
+    toggleTheme: () => setIsDarkMode((prev) => !prev),
+    setSystemPrompt: chat.setSystemPrompt,
+    setInputValue,
+  };
+
+  // 發送訊息
+  const handleSendMessage = async () => {
+    // 斜線指令：執行指令而不是送出訊息
+    const slashCommand = findSlashCommand(inputValue);
+    if (slashCommand && !isLoading) {
+      setInputValue("");
+      slashCommand.command.run(commandContext, slashCommand.args);
+      return;
+    }
+
+    if (!canSend) return;
 
     const userText = inputValue;
+    const userAttachments = attachments;
     setInputValue(""); // 清空輸入框
-    setIsLoading(true);
-    setAgentStatus("正在思考..."); // 初始狀態
-
-    // Optimistic UI (樂觀更新)：先顯示使用者訊息，不用等伺服器回應
-    const userMsgId = Date.now();
-    setMessages((prev) => [
-      ...prev,
-      {
-        id: userMsgId,
-        content: userText,
-        type: "user",
-        timestamp: new Date().toLocaleTimeString([], {
-          hour: "2-digit",
-          minute: "2-digit",
-        }),
-      },
-    ]);
-
-    // 預先建立一個空的 AI 訊息，準備接收串流
-    const aiMsgId = userMsgId + 1;
-    setMessages((prev) => [
-      ...prev,
-      {
-        id: aiMsgId,
-        content: "",
-        type: "ai",
-        timestamp: new Date().toLocaleTimeString([], {
-          hour: "2-digit",
-          minute: "2-digit",
-        }),
-      },
-    ]);
-
-    try {
-      const payload = {
-        input: { messages: [{ role: "user", content: userText }] },
-        config: { configurable: { thread_id: threadId } },
-      };
-
-      const response = await fetch(`${API_BASE_URL}/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-
-      if (!response.ok) throw new Error(`API Error: ${response.status}`);
-      if (!response.body) throw new Error("ReadableStream not supported.");
-
-      // === 串流讀取邏輯 (Stream Handling) ===
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder("utf-8");
-      let aiResponseText = "";
-      let buffer = ""; // 緩衝區：處理斷成兩半的 JSON
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n"); // 後端用換行符號分隔 JSON
-        buffer = lines.pop(); // 最後一行可能不完整，留到下一次處理
-
-        for (const line of lines) {
-          if (!line.trim()) continue;
-
-          try {
-            const data = JSON.parse(line);
-
-            // 根據後端回傳的 type 決定如何處理
-            if (data.type === "text") {
-              // 文字內容 -> 更新到對話框
-              aiResponseText += data.content;
-              setMessages((prev) => {
-                const newMessages = [...prev];
-                const lastMsgIndex = newMessages.findIndex(
-                  (m) => m.id === aiMsgId
-                );
-                if (lastMsgIndex !== -1) {
-                  newMessages[lastMsgIndex] = {
-                    ...newMessages[lastMsgIndex],
-                    content: aiResponseText,
-                  };
-                }
-                return newMessages;
-              });
-              setAgentStatus(""); // 開始回答後，清空狀態提示
-            } else if (data.type === "status") {
-              // 狀態更新 -> 更新狀態膠囊
-              setAgentStatus(data.content);
-            } else if (data.type === "done") {
-              setAgentStatus("");
-            }
-          } catch (err) {
-            console.warn("JSON Parse Error:", err);
-          }
-        }
-      }
-    } catch (error) {
-      console.error("Streaming Failed:", error);
-      setMessages((prev) =>
-        prev.map((msg) =>
-          msg.id === aiMsgId
-            ? { ...msg, content: "連線發生錯誤。", isError: true }
-            : msg
-        )
+    setAttachments([]);
+    setAttachmentError("");
+
+    // 認證失敗時提問沒有送到 agent：放回輸入框，登入後可以直接再送一次
+    const isSent = await chat.send(userText, userAttachments);
+    if (!isSent) {
+      setInputValue((current) => current || userText);
+      setAttachments((current) => (current.length ? current : userAttachments));
+    }
+  };
+
+  // 加入附件 (按鈕選取、拖曳、貼上共用)
+  const handleAddFiles = async (files) => {
+    if (!files.length) return;
+    setAttachmentError("");
+
+    const room = MAX_ATTACHMENTS - attachments.length;
+    if (files.length > room) {
+      setAttachmentError(
+        t("chat.tooManyAttachments", { max: MAX_ATTACHMENTS })
       );
-    } finally {
-      setIsLoading(false);
-      setAgentStatus("");
     }
+
+    const added = [];
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      try {
+        added.push(await readFileAsAttachment(file));
+      } catch (err) {
+        setAttachmentError(err.message);
+      }
+    }
+    if (added.length) setAttachments((prev) => [...prev, ...added]);
   };
 
+  const handleRemoveAttachment = (id) => {
+    setAttachments((prev) => prev.filter((att) => att.id !== id));
+    setAttachmentError("");
+  };
+
+  // 拖曳檔案到訊息列表
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (pendingInterrupt) return;
+    handleAddFiles(getFilesFromDataTransfer(e.dataTransfer));
+  };
+
+  const handleSaveSettings = (nextSettings) => {
+    chat.updateSettings(nextSettings);
+    setIsSettingsOpen(false);
+  };
+
+  // 嵌入模式的 JS API：外部頁面可以直接送出提問或清除對話
+  // send() 在回答結束後 resolve；目前無法送出 (生成中、待核准、離線、未登入) 時回傳 false
+  useImperativeHandle(ref, () => ({
+    send: (text) => chat.send(text),
+    clear: chat.clear,
+  }));
+
   /**
    * ============================================================================
-   *  6. 畫面渲染 (JSX Render)
+   *  3. 畫面渲染 (JSX Render)
    * ============================================================================
    *  這裡使用 Tailwind CSS 定義樣式，並使用 dark: 前綴處理深色模式。
    */
   return (
-    <div className="flex h-screen bg-slate-50 dark:bg-slate-950 font-sans text-slate-800 dark:text-slate-100 overflow-hidden transition-colors duration-300">
+    <div
+      onKeyDown={embedded ? handleEmbeddedKeyDown : undefined}
+      lang={embedded ? locale : undefined}
+      className={`flex ${
+        embedded ? `h-full ${isDarkMode ? "dark" : ""}` : "h-screen"
+      } bg-slate-50 dark:bg-slate-950 font-sans text-slate-800 dark:text-slate-100 overflow-hidden transition-colors duration-300`}
+    >
       {/* === 側邊欄 (Sidebar) === */}
       <AnimatePresence mode="wait">
         {isSidebarOpen && (
-          <motion.aside
+          <Motion.aside
             initial={{ width: 0, opacity: 0 }}
             animate={{ width: 260, opacity: 1 }}
             exit={{ width: 0, opacity: 0 }}
             transition={{ duration: 0.3, ease: "easeInOut" }}
             className="h-full bg-white dark:bg-slate-900 border-r border-blue-100 dark:border-slate-800 flex flex-col shadow-lg z-20 relative"
           >
-            {/* Logo 區 */}
-            <div className="p-6 flex flex-col items-center border-b border-slate-100 dark:border-slate-800">
-              <div className="w-24 h-24 rounded-full overflow-hidden shadow-md border-4 border-blue-50 dark:border-slate-700 mb-3">
-                <img
-                  src="/my_logo.png"
-                  alt="My Logo"
-                  className="w-full h-full object-cover"
-                  onError={(e) => {
-                    e.target.style.display = "none";
-                    e.target.parentNode.classList.add(
-                      "bg-blue-100",
-                      "dark:bg-slate-800",
-                      "flex",
-                      "items-center",
-                      "justify-center"
-                    );
-                    e.target.parentNode.innerHTML =
-                      '<span class="text-blue-400 font-bold">Logo</span>';
-                  }}
-                />
-              </div>
-              <h2 className="text-lg font-bold text-slate-700 dark:text-slate-200">
-                我的 AI 助理
-              </h2>
-              <p className="text-xs text-slate-400">Intelligent Agent</p>
-            </div>
-
-            {/* 選單區 */}
-            <nav className="flex-1 p-4 space-y-2 overflow-y-auto">
-              <div className="text-xs font-bold text-slate-400 px-3 py-2 uppercase tracking-wider">
-                主選單
-              </div>
-              <button className="w-full flex items-center gap-3 px-3 py-2.5 bg-blue-50 text-blue-600 dark:bg-slate-800 dark:text-blue-400 rounded-lg font-medium transition-colors">
-                <MessageSquare size={18} />
-                <span>目前對話</span>
-              </button>
-              <button className="w-full flex items-center gap-3 px-3 py-2.5 text-slate-500 hover:bg-slate-50 hover:text-slate-700 dark:text-slate-400 dark:hover:bg-slate-800 dark:hover:text-slate-200 rounded-lg font-medium transition-colors">
-                <Settings size={18} />
-                <span>系統設定</span>
-              </button>
-            </nav>
-
-            {/* 底部切換按鈕 */}
-            <div className="p-4 border-t border-slate-100 dark:border-slate-800">
-              <button
-                onClick={() => setIsDarkMode(!isDarkMode)}
-                className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors text-sm font-medium"
-              >
-                {isDarkMode ? (
-                  <Sun size={18} className="text-amber-400" />
-                ) : (
-                  <Moon size={18} className="text-indigo-500" />
-                )}
-                <span>{isDarkMode ? "亮色模式" : "深色模式"}</span>
-              </button>
-              <p className="text-[10px] text-center text-slate-300 mt-4">
-                v1.3.0 Build 2024
-              </p>
-            </div>
-          </motion.aside>
+            <Sidebar
+              chat={chat}
+              onOpenSettings={() => setIsSettingsOpen(true)}
+              isDarkMode={isDarkMode}
+              onToggleDarkMode={() => setIsDarkMode(!isDarkMode)}
+            />
+          </Motion.aside>
         )}
       </AnimatePresence>
 
-      {/* === 主內容區塊 (Main Content) === */}
-      <div className="flex-1 flex flex-col h-screen relative bg-slate-50 dark:bg-slate-950">
+      {/* === 主內容區塊 (Main Content)：也是拖曳上傳附件的區域 === */}
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+        }}
+        onDrop={handleDrop}
+        className={`flex-1 flex flex-col ${
+          embedded ? "h-full" : "h-screen"
+        } relative bg-slate-50 dark:bg-slate-950`}
+      >
+        {/* 拖曳提示遮罩 */}
+        {isDragging && (
+          <div className="pointer-events-none absolute inset-4 z-30 flex items-center justify-center rounded-2xl border-2 border-dashed border-blue-400 bg-blue-50/80 dark:bg-slate-900/80 text-blue-600 dark:text-blue-400">
+            <div className="flex flex-col items-center gap-2">
+              <Upload size={32} />
+              <span className="font-medium">{t("chat.dropToAttach")}</span>
+            </div>
+          </div>
+        )}
         {/* 頂部導航列 (Header) */}
         <header className="flex-none px-4 py-4 bg-white dark:bg-slate-900 border-b border-blue-100 dark:border-slate-800 shadow-sm z-10 flex items-center justify-between">
           <div className="flex items-center gap-3">
@@ -507,7 +419,7 @@ const ChatInterface = () => {
               </div>
               <div>
                 <h1 className="text-lg font-bold text-slate-800 dark:text-slate-100">
-                  LangGraph Agent
+                  {settings.appTitle}
                 </h1>
                 <div className="flex items-center gap-2 text-xs text-slate-400 font-mono">
                   <div
@@ -516,155 +428,201 @@ const ChatInterface = () => {
                     }`}
                   />
                   <span>ID: {threadId.slice(-6)}</span>
+                  {/* 這段對話累計的 token 用量與費用 */}
+                  {threadUsage && (
+                    <span title={describeUsage(threadUsage)}>
+                      Σ {formatTokens(threadUsage.totalTokens)} tokens
+                      {threadUsage.cost != null &&
+                        ` · ${formatCost(threadUsage.cost)}`}
+                    </span>
+                  )}
+                  {/* 已用 /system 設定系統提示 */}
+                  {systemPrompt && (
+                    <span
+                      className="px-1.5 py-0.5 rounded bg-blue-50 dark:bg-slate-800 text-blue-500 dark:text-blue-400 font-sans"
+                      title={systemPrompt}
+                    >
+                      System
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
           </div>
-          {/* 清除記憶按鈕 */}
-          <button
-            onClick={handleClearChat}
-            className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-full transition-colors"
-          >
-            <Trash2 size={20} />
-          </button>
-        </header>
-
-        {/* 訊息列表區 (Messages Area) */}
-        <div className="flex-1 overflow-y-auto p-4 space-y-6 bg-gradient-to-b from-slate-50 to-blue-50/30 dark:from-slate-950 dark:to-slate-900">
-          <AnimatePresence initial={false}>
-            {messages.map((msg) => (
-              <motion.div
-                key={msg.id}
-                initial={{ opacity: 0, y: 10 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.3 }}
-                className={`flex items-start gap-3 ${
-                  msg.type === "user" ? "flex-row-reverse" : ""
-                }`}
+          <div className="flex items-center gap-1">
+            {/* 搜尋按鈕 */}
+            <button
+              onClick={() =>
+                isSearchOpen ? handleCloseSearch() : setIsSearchOpen(true)
+              }
+              className={`p-2 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-800 rounded-full transition-colors ${
+                isSearchOpen
+                  ? "text-blue-600 dark:text-blue-400"
+                  : "text-slate-400"
+              }`}
+              title={t("header.search")}
+            >
+              <Search size={20} />
+            </button>
+            {/* 匯出選單 */}
+            <div className="relative">
+              <button
+                onClick={() => setIsExportMenuOpen((prev) => !prev)}
+                className="p-2 text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-800 rounded-full transition-colors"
+                title={t("header.export")}
               >
-                {/* 頭像 */}
-                <div
-                  className={`flex-none w-10 h-10 rounded-full flex items-center justify-center shadow-sm border
-                  ${
-                    msg.type === "user"
-                      ? "bg-blue-600 text-white border-blue-600"
-                      : "bg-white dark:bg-slate-800 text-blue-600 dark:text-blue-400 border-blue-100 dark:border-slate-700"
-                  }`}
-                >
-                  {msg.type === "user" ? <User size={20} /> : <Bot size={20} />}
-                </div>
-
-                {/* 氣泡框 */}
-                <div
-                  className={`flex flex-col max-w-[85%] ${
-                    msg.type === "user" ? "items-end" : "items-start"
-                  }`}
-                >
+                <Download size={20} />
+              </button>
+              {isExportMenuOpen && (
+                <>
                   <div
-                    className={`px-5 py-3.5 rounded-2xl shadow-sm text-[15px] leading-relaxed overflow-hidden relative group
-                    ${
-                      msg.type === "user"
-                        ? "bg-blue-600 text-white rounded-tr-none"
-                        : "bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-blue-100 dark:border-slate-700 rounded-tl-none"
-                    } 
-                    ${
-                      msg.isError
-                        ? "border-red-200 bg-red-50 text-red-600 dark:bg-red-900/20 dark:border-red-800 dark:text-red-300"
-                        : ""
-                    }`}
-                  >
-                    {msg.isError && (
-                      <AlertCircle
-                        size={16}
-                        className="inline-block mr-2 -mt-1"
-                      />
-                    )}
-
-                    {/* 渲染訊息內容 */}
-                    <MessageContent
-                      content={msg.content}
-                      isUser={msg.type === "user"}
-                    />
-
-                    {/* 打字機游標 (Cursor) */}
-                    {msg.type === "ai" &&
-                      isLoading &&
-                      !agentStatus &&
-                      msg.id === messages[messages.length - 1].id && (
-                        <span className="inline-block w-1.5 h-4 ml-1 align-middle bg-blue-400 animate-pulse"></span>
-                      )}
-
-                    {/* 複製按鈕 (只在 AI 訊息且非錯誤時顯示) */}
-                    {msg.type === "ai" && !msg.isError && (
-                      <div className="mt-2 flex justify-end border-t border-slate-100 dark:border-slate-700/50 pt-1">
-                        <CopyAction content={msg.content} />
-                      </div>
-                    )}
+                    className="fixed inset-0 z-10"
+                    onClick={() => setIsExportMenuOpen(false)}
+                  />
+                  <div className="absolute right-0 top-full mt-2 z-20 w-40 py-1 bg-white dark:bg-slate-900 border border-blue-100 dark:border-slate-700 rounded-xl shadow-lg">
+                    {[
+                      ["md", "Markdown"],
+                      ["html", "HTML"],
+                      ["json", t("header.exportJson")],
+                    ].map(([format, label]) => (
+                      <button
+                        key={format}
+                        onClick={() => handleExportThread(format)}
+                        className="w-full text-left px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-blue-50 dark:hover:bg-slate-800"
+                      >
+                        {label}
+                      </button>
+                    ))}
                   </div>
+                </>
+              )}
+            </div>
+            {/* 清除記憶按鈕 */}
+            <button
+              onClick={chat.clear}
+              className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-full transition-colors"
+              title={t("header.clearChat")}
+            >
+              <Trash2 size={20} />
+            </button>
+            {/* 嵌入模式的關閉按鈕 */}
+            {onClose && (
+              <button
+                onClick={onClose}
+                className="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors"
+                title={t("header.close")}
+              >
+                <X size={20} />
+              </button>
+            )}
+          </div>
+        </header>
 
-                  {/* MCP 狀態顯示 (Status Capsule) */}
-                  {msg.type === "ai" &&
-                    isLoading &&
-                    agentStatus &&
-                    msg.id === messages[messages.length - 1].id && (
-                      <motion.div
-                        initial={{ opacity: 0, y: -5 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className="mt-2 flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400 bg-white dark:bg-slate-800 px-3 py-1.5 rounded-full border border-blue-100 dark:border-slate-700 shadow-sm w-fit"
-                      >
-                        <Loader2
-                          size={12}
-                          className="animate-spin text-blue-500"
-                        />
-                        <Wrench size={12} className="text-amber-500" />
-                        <span>{agentStatus}</span>
-                      </motion.div>
-                    )}
-
-                  {/* 時間戳 */}
-                  <span className="text-[10px] text-slate-400 mt-1 px-1 opacity-70">
-                    {msg.timestamp}
-                  </span>
-                </div>
-              </motion.div>
-            ))}
-          </AnimatePresence>
-          <div ref={messagesEndRef} />
-        </div>
+        {/* 搜尋列 (Ctrl/Cmd+F) */}
+        {isSearchOpen && (
+          <SearchBar
+            ref={searchInputRef}
+            query={searchQuery}
+            onQueryChange={handleSearchQueryChange}
+            matchCount={searchMatches.length}
+            activeIndex={activeSearchIndex}
+            onNext={() => handleSearchStep(1)}
+            onPrevious={() => handleSearchStep(-1)}
+            onClose={handleCloseSearch}
+            isSearchingAllThreads={isSearchingAllThreads}
+            onToggleAllThreads={setIsSearchingAllThreads}
+            threadResults={otherThreadResults}
+            onOpenThread={handleOpenSearchResult}
+          />
+        )}
 
-        {/* 底部輸入區 (Input Area) */}
-        <div className="flex-none p-4 bg-white dark:bg-slate-900 border-t border-blue-50 dark:border-slate-800">
-          <form
-            onSubmit={handleSendMessage}
-            className="max-w-4xl mx-auto relative flex items-center gap-2"
-          >
-            <input
-              type="text"
-              value={inputValue}
-              onChange={(e) => setInputValue(e.target.value)}
-              placeholder="輸入您的問題..."
-              disabled={isLoading}
-              className="w-full pl-6 pr-14 py-4 bg-slate-50 dark:bg-slate-800 border border-blue-100 dark:border-slate-700 text-slate-700 dark:text-slate-200 placeholder-slate-400 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-200 dark:focus:ring-slate-600 focus:border-blue-400 dark:focus:border-slate-500 transition-all shadow-inner text-base disabled:opacity-60 disabled:cursor-not-allowed"
-            />
+        {/* 訊息列表區 (Messages Area) */}
+        <MessageList
+          chat={chat}
+          onConfirmLink={setPendingLink}
+          search={
+            isSearchOpen
+              ? {
+                  query: searchQuery,
+                  activeMessageId: searchMatches[activeSearchIndex]?.messageId,
+                }
+              : undefined
+          }
+        />
+
+        {/* 離線提示 */}
+        {!isOnline && (
+          <div className="flex-none flex items-center justify-center gap-2 px-4 py-2 bg-amber-50 dark:bg-amber-900/20 border-t border-amber-200 dark:border-amber-800 text-xs text-amber-700 dark:text-amber-300">
+            <WifiOff size={14} />
+            {t("chat.offline")}
+          </div>
+        )}
+
+        {/* 認證失敗提示 (固定 token 被後端拒絕) */}
+        {authNotice && (
+          <div className="flex-none flex items-center justify-center gap-2 px-4 py-2 bg-red-50 dark:bg-red-900/20 border-t border-red-200 dark:border-red-800 text-xs text-red-600 dark:text-red-300">
+            <ShieldAlert size={14} />
+            <span>{authNotice}</span>
             <button
-              type="submit"
-              disabled={!inputValue.trim() || isLoading}
-              className={`absolute right-2 p-2.5 rounded-full transition-all duration-200 
-                ${
-                  !inputValue.trim() || isLoading
-                    ? "bg-slate-200 dark:bg-slate-700 text-slate-400 dark:text-slate-500 cursor-not-allowed"
-                    : "bg-blue-600 dark:bg-blue-500 text-white shadow-md hover:bg-blue-700 dark:hover:bg-blue-600 hover:shadow-lg transform hover:scale-105 active:scale-95"
-                }`}
+              onClick={() => setIsSettingsOpen(true)}
+              className="underline hover:no-underline"
             >
-              {isLoading ? (
-                <Loader2 size={20} className="animate-spin" />
-              ) : (
-                <Send size={20} />
-              )}
+              {t("sidebar.settings")}
             </button>
-          </form>
-        </div>
+          </div>
+        )}
+
+        {/* 底部輸入區 (Input Area) */}
+        <Composer
+          value={inputValue}
+          onChange={setInputValue}
+          onSubmit={handleSendMessage}
+          onStop={chat.stop}
+          isLoading={isLoading}
+          canSend={canSend}
+          disabled={pendingInterrupt}
+          placeholder={
+            pendingInterrupt ? t("chat.placeholderPendingApproval") : undefined
+          }
+          history={sentPrompts}
+          attachments={attachments}
+          attachmentError={attachmentError}
+          onAddFiles={handleAddFiles}
+          onRemoveAttachment={handleRemoveAttachment}
+          voiceSettings={settings}
+        />
       </div>
+
+      {/* === 登入畫面 (login 模式，尚未登入或登入已過期) === */}
+      {needsLogin && (
+        <LoginScreen
+          settings={settings}
+          isExpired={chat.isSessionExpired}
+          onLogin={chat.login}
+          onOpenSettings={() => setIsSettingsOpen(true)}
+        />
+      )}
+
+      {/* === 系統設定視窗 (Settings Dialog) === */}
+      {isSettingsOpen && (
+        <SettingsDialog
+          settings={settings}
+          onSave={handleSaveSettings}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      )}
+
+      {/* === 外部連結確認 (Link Confirm Dialog) === */}
+      {pendingLink && (
+        <LinkConfirmDialog
+          url={pendingLink}
+          onConfirm={() => {
+            window.open(pendingLink, "_blank", "noopener,noreferrer");
+            setPendingLink(null);
+          }}
+          onCancel={() => setPendingLink(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,197 @@
+/**
+ * ============================================================================
+ *  認證 (Authentication)
+ * ============================================================================
+ *  每個後端請求的 headers 都由 getRequestHeaders() 組出：
+ *  系統設定裡的固定 headers (API Key、Bearer token、自訂 headers) + 認證方式提供的 headers。
+ *
+ *  內建兩種認證方式 (系統設定的 authMode)：
+ *  - static：只使用固定的 API Key (X-API-Key) / Bearer token
+ *  - login： 先在登入畫面以帳號密碼向 token 端點 (authTokenUrl) 換 access token，
+ *            之後每個請求帶 Authorization: Bearer <access_token>，快到期時自動 refresh
+ *
+ *  token 端點的格式 (OAuth2 password / refresh_token grant，以 JSON 傳送)：
+ *    POST { grant_type: "password", username, password }
+ *    POST { grant_type: "refresh_token", refresh_token }
+ *    -> 200 { access_token, refresh_token?, expires_in? (秒) }
+ *
+ *  其他方式 (例如 SSO 轉址) 可以用 registerAuthProvider() 加入：
+ *    registerAuthProvider("sso", {
+ *      getHeaders: async (settings) => ({ Authorization: `Bearer ${...}` }),
+ *      refresh: async (settings) => { ... }, // 選填；401 時呼叫一次後重送
+ *    });
+ *
+ *  後端回 401 時，withAuth() 會先 refresh 一次再重送；還是失敗就丟出 AuthError，
+ *  error.sessionExpired 為 true 代表需要重新登入。
+ */
+import { buildRequestHeaders } from "../lib/settings";
+import { t } from "../lib/i18n";
+import {
+  createHttpError,
+  fetchWithNetworkError,
+  isNetworkError,
+} from "./streamFormats";
+
+const SESSION_KEY = "chat_auth_session";
+const REFRESH_MARGIN = 60 * 1000; // 到期前 60 秒就先 refresh
+
+export const createAuthError = (message, { sessionExpired = false } = {}) => {
+  const error = new Error(message);
+  error.name = "AuthError";
+  error.status = 401;
+  error.sessionExpired = sessionExpired;
+  return error;
+};
+
+export const isAuthError = (error) => error?.name === "AuthError";
+
+/**
+ * ----------------------------------------------------------------------------
+ *  登入狀態 (Session)
+ * ----------------------------------------------------------------------------
+ *  存在 localStorage：{ username, accessToken, refreshToken, expiresAt }
+ */
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session?.accessToken ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (session) =>
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+export const clearSession = () => localStorage.removeItem(SESSION_KEY);
+
+const requestToken = async (settings, body) => {
+  const response = await fetchWithNetworkError(fetch, settings.authTokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) throw createHttpError(response);
+
+  const data = await response.json();
+  if (!data?.access_token) throw new Error(t("auth.invalidTokenResponse"));
+  return {
+    accessToken: data.access_token,
+    // 有些端點 refresh 時不會換發新的 refresh_token，沿用舊的
+    refreshToken: data.refresh_token ?? body.refresh_token ?? null,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  };
+};
+
+// 以帳號密碼登入；錯誤訊息可以直接顯示在登入畫面上
+export const login = async (settings, { username, password }) => {
+  if (!settings.authTokenUrl) throw new Error(t("auth.missingTokenUrl"));
+
+  let session;
+  try {
+    session = await requestToken(settings, {
+      grant_type: "password",
+      username,
+      password,
+    });
+  } catch (err) {
+    if ([400, 401, 403].includes(err.status)) {
+      throw new Error(t("auth.invalidCredentials"));
+    }
+    throw new Error(t("auth.loginFailed", { message: err.message }));
+  }
+  saveSession({ username, ...session });
+  return loadSession();
+};
+
+// 同時有好幾個請求需要 refresh 時只送出一次
+let refreshPromise = null;
+
+export const refreshSession = (settings) => {
+  refreshPromise ??= (async () => {
+    const session = loadSession();
+    try {
+      if (!session?.refreshToken) throw new Error("No refresh token");
+      const next = await requestToken(settings, {
+        grant_type: "refresh_token",
+        refresh_token: session.refreshToken,
+      });
+      saveSession({ ...session, ...next });
+      return loadSession();
+    } catch (err) {
+      // 網路斷線不代表登入失效，保留 session 讓之後可以再試
+      if (isNetworkError(err)) throw err;
+      console.warn("Token refresh failed:", err);
+      clearSession();
+      throw createAuthError(t("auth.sessionExpired"), {
+        sessionExpired: true,
+      });
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+  return refreshPromise;
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  認證方式 (Auth Providers)
+ * ----------------------------------------------------------------------------
+ */
+const providers = new Map();
+
+export const registerAuthProvider = (mode, provider) => {
+  providers.set(mode, provider);
+};
+
+export const getAuthModes = () => Array.from(providers.keys());
+
+const getProvider = (mode) => providers.get(mode) || providers.get("static");
+
+// static：固定的 headers 已經由 buildRequestHeaders 帶上
+registerAuthProvider("static", {
+  getHeaders: async () => ({}),
+});
+
+registerAuthProvider("login", {
+  getHeaders: async (settings) => {
+    let session = loadSession();
+    if (!session) {
+      throw createAuthError(t("auth.loginRequired"), { sessionExpired: true });
+    }
+    if (session.expiresAt && session.expiresAt - Date.now() < REFRESH_MARGIN) {
+      session = await refreshSession(settings);
+    }
+    return { Authorization: `Bearer ${session.accessToken}` };
+  },
+  refresh: refreshSession,
+});
+
+// 組出後端請求要帶的所有 headers (不含 Content-Type)
+export const getRequestHeaders = async (settings) => ({
+  ...buildRequestHeaders(settings),
+  ...(await getProvider(settings.authMode).getHeaders(settings)),
+});
+
+/**
+ * 帶著認證 headers 執行一個請求：request(headers) 需要在 401 時丟出帶 status 的錯誤
+ * (createHttpError 已經這樣做)。401 時若認證方式可以 refresh，refresh 後重送一次。
+ */
+export const withAuth = async (settings, request) => {
+  const provider = getProvider(settings.authMode);
+  try {
+    return await request(await getRequestHeaders(settings));
+  } catch (err) {
+    if (isAuthError(err) || err?.status !== 401) throw err;
+    if (!provider.refresh) throw createAuthError(t("auth.unauthorized"));
+  }
+
+  await provider.refresh(settings);
+  try {
+    return await request(await getRequestHeaders(settings));
+  } catch (err) {
+    if (err?.status !== 401 || isAuthError(err)) throw err;
+    clearSession();
+    throw createAuthError(t("auth.sessionExpired"), { sessionExpired: true });
+  }
+};
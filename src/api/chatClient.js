@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ *  Chat 串流客戶端 (Chat Stream Client)
+ * ============================================================================
+ *  負責與後端溝通並把串流轉成統一的事件。預設格式是 NDJSON (每一行一個事件)：
+ *    {"type": "status", "content": "正在查詢資料庫..."}
+ *    {"type": "text", "content": "你好"}
+ *    {"type": "tool_start", "id": "call_1", "name": "search", "args": {...}}
+ *    {"type": "tool_end", "id": "call_1", "name": "search", "result": "...",
+ *     "error": null, "duration": 812}
+ *    {"type": "interrupt", "id": "...", "value": {"tool_name": "...", "args": {...}}}
+ *    {"type": "metadata", "run_id": "...", "model": "gpt-4o",
+ *     "usage": {"prompt_tokens": 812, "completion_tokens": 164}, "cost": 0.0037}
+ *    (欄位都是選填；run_id 會在回饋 /feedback 時送出，usage 與 cost 會累加在訊息上)
+ *    {"type": "done"}
+ *  收到 interrupt 後，以同一個 thread_id 送出
+ *    { command: { resume: { action: "approve" | "edit" | "reject", args } } }
+ *  讓 agent 繼續執行。
+ *  LangServe / LangGraph 等 SSE 格式由 streamFormats.js 的轉接器先轉成上面的形式。
+ *
+ *  提供兩種使用方式：
+ *  - streamChat(options)：async iterator，用 for await...of 逐一取出事件
+ *  - sendChatMessage(options, handlers)：依事件 type 呼叫對應的 callback
+ *
+ *  新增事件類型時只需要 registerEventType()，不必修改元件內的解析邏輯。
+ *
+ *  暫時性的失敗 (連不上、5xx、429) 會以指數退避自動重試；串流已經開始後斷線，
+ *  只有在啟用 resume 且後端送過事件 id 時才會帶 Last-Event-ID 重新連線
+ *  (LangGraph 是加入同一個 run 的串流，不會重新送出提問)，
+ *  否則直接丟出錯誤，由畫面保留已收到的文字並提供「重試」。
+ */
+import {
+  createHttpError,
+  fetchWithNetworkError,
+  getStreamAdapter,
+  isNetworkError,
+} from "./streamFormats";
+import { t } from "../lib/i18n";
+
+/**
+ * ----------------------------------------------------------------------------
+ *  事件類型註冊表 (Event Registry)
+ * ----------------------------------------------------------------------------
+ *  key 是後端的 `type`，value 是把原始 JSON 轉成統一事件格式的 normalize 函式。
+ *  沒有註冊的 type 不會被 yield 出去，而是交給 onUnknownEvent 處理。
+ */
+const eventRegistry = new Map();
+
+export const registerEventType = (type, normalize = (data) => data) => {
+  eventRegistry.set(type, normalize);
+};
+
+export const isEventTypeRegistered = (type) => eventRegistry.has(type);
+
+// 內建事件類型
+registerEventType("text", (data) => ({
+  type: "text",
+  content: data.content == null ? "" : String(data.content),
+}));
+registerEventType("status", (data) => ({
+  type: "status",
+  content: data.content == null ? "" : String(data.content),
+}));
+registerEventType("done", () => ({ type: "done" }));
+// token 用量：同時接受 OpenAI (prompt_/completion_tokens) 與 LangChain (input_/output_tokens) 的命名
+const normalizeUsage = (usage, cost) => {
+  if (!usage && cost == null) return null;
+  const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? 0;
+  const completionTokens =
+    usage?.completion_tokens ?? usage?.output_tokens ?? 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+    cost: typeof cost === "number" ? cost : null,
+  };
+};
+
+registerEventType("metadata", (data) => ({
+  type: "metadata",
+  runId: data.run_id ?? data.runId ?? null,
+  model: data.model || null,
+  usage: normalizeUsage(data.usage, data.cost ?? data.usage?.cost),
+}));
+
+// 工具呼叫：tool_start / tool_end 以 id 配對 (沒有 id 時以工具名稱配對)
+registerEventType("tool_start", (data) => ({
+  type: "tool_start",
+  id: data.id ?? null,
+  name: data.name || "unknown_tool",
+  args: data.args ?? null,
+}));
+registerEventType("tool_end", (data) => ({
+  type: "tool_end",
+  id: data.id ?? null,
+  name: data.name || "unknown_tool",
+  result: data.result ?? null,
+  error: data.error ?? null,
+  duration: typeof data.duration === "number" ? data.duration : null,
+}));
+
+// 中斷 (LangGraph interrupt)：agent 暫停並等待使用者核准某個工具呼叫
+// value 可以是 { tool_name, args, description }，
+// 或 LangGraph HITL 常見的 { action_request: { action, args }, description }
+registerEventType("interrupt", (data) => {
+  const raw = data.value ?? data;
+  const value = (Array.isArray(raw) ? raw[0] : raw) || {};
+  return {
+    type: "interrupt",
+    id: data.id ?? null,
+    toolName:
+      value.tool_name || value.name || value.action_request?.action || "",
+    args: value.args ?? value.action_request?.args ?? null,
+    description: value.description || "",
+  };
+});
+
+const defaultMalformedLineHandler = (line, err) => {
+  console.warn("JSON Parse Error:", err, line);
+};
+
+const defaultUnknownEventHandler = (data) => {
+  console.warn("Unknown stream event type:", data?.type, data);
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  重試策略 (Retry Policy)
+ * ----------------------------------------------------------------------------
+ */
+export const DEFAULT_RETRY = { retries: 3, baseDelay: 1000, maxDelay: 15000 };
+
+// 連不上 / 讀取中斷 (見 streamFormats 的 markNetworkError)；5xx 與 429 也視為暫時性錯誤
+export const isRetryableError = (error) =>
+  isNetworkError(error) ||
+  error?.status === 429 ||
+  (error?.status >= 500 && error?.status < 600);
+
+// 第 attempt 次重試前要等多久：優先使用 Retry-After，否則指數退避 + 隨機抖動
+export const getRetryDelay = (error, attempt, retry = DEFAULT_RETRY) => {
+  if (typeof error?.retryAfter === "number") {
+    return Math.min(error.retryAfter, retry.maxDelay);
+  }
+  const exponential = retry.baseDelay * 2 ** attempt;
+  return Math.min(
+    exponential + Math.random() * retry.baseDelay,
+    retry.maxDelay
+  );
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener("abort", abort, { once: true });
+  });
+
+// 給使用者看的錯誤說明
+export const describeStreamError = (error) => {
+  if (isNetworkError(error)) return t("stream.networkError");
+  if (error?.status === 429) return t("stream.rateLimited");
+  if (error?.status) return t("stream.serverError", { status: error.status });
+  return error?.message || t("stream.unknownError");
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  發送請求並迭代事件 (Async Iterator API)
+ * ----------------------------------------------------------------------------
+ *  options:
+ *  - baseUrl: 後端根網址 (例如 http://localhost:8000)
+ *  - format: 串流格式 "ndjson" | "langserve" | "langgraph" (預設 ndjson)
+ *  - threadId: 對話 ID
+ *  - payload: { input, config }，各轉接器會再轉成後端需要的格式
+ *  - assistantId: LangGraph 的 assistant_id
+ *  - headers: 額外的 HTTP headers
+ *  - signal: AbortController.signal，用來中斷請求
+ *  - onMalformedLine(line, err): 遇到無法解析的行
+ *  - onUnknownEvent(data): 遇到沒有註冊的事件類型
+ *  - fetchImpl: 替換 fetch (預設使用全域 fetch)
+ *  - retry: { retries, baseDelay, maxDelay }，retries 設為 0 則不重試
+ *  - resume: 斷線後以 Last-Event-ID 續傳 (後端需支援依事件 id 重送之後的事件)
+ *  - onRetry({ attempt, delay, error }): 每次等待重試前呼叫
+ */
+export async function* streamChat({
+  baseUrl,
+  format = "ndjson",
+  threadId,
+  payload,
+  assistantId,
+  headers = {},
+  signal,
+  onMalformedLine,
+  onUnknownEvent = defaultUnknownEventHandler,
+  fetchImpl = fetch,
+  retry = DEFAULT_RETRY,
+  resume = false,
+  onRetry,
+}) {
+  const retryPolicy = { ...DEFAULT_RETRY, ...retry };
+  const adapter = getStreamAdapter(format);
+  let lastEventId = null;
+  let runId = null;
+  let resumeRequest = null; // 續傳時改連的端點 (adapter.prepareResume)
+  let hasReceivedEvents = false;
+  let attempt = 0;
+
+  while (true) {
+    try {
+      const requestHeaders = {
+        "Content-Type": "application/json",
+        ...headers,
+        ...(lastEventId ? { "Last-Event-ID": lastEventId } : {}),
+      };
+      const request =
+        resumeRequest ??
+        (await adapter.prepareRequest({
+          baseUrl,
+          threadId,
+          payload,
+          assistantId,
+          headers: requestHeaders,
+          signal,
+          fetchImpl,
+        }));
+      const { url, method = "POST", body } = request;
+
+      const response = await fetchWithNetworkError(fetchImpl, url, {
+        method,
+        headers: requestHeaders,
+        ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+        signal,
+      });
+
+      if (!response.ok) throw createHttpError(response);
+      if (!response.body) throw new Error("ReadableStream not supported.");
+
+      const events = readChatEvents(response.body, {
+        format,
+        onMalformedLine,
+        onUnknownEvent,
+        onEventId: (id) => {
+          lastEventId = id;
+        },
+      });
+      for await (const event of events) {
+        if (event.type === "metadata" && event.runId) runId = event.runId;
+        hasReceivedEvents = true;
+        attempt = 0; // 重新連上後，退避時間從頭計算
+        yield event;
+      }
+      return;
+    } catch (error) {
+      if (signal?.aborted || !isRetryableError(error)) throw error;
+      if (attempt >= retryPolicy.retries) throw error;
+      if (hasReceivedEvents) {
+        // 已經收到部分回答：沒辦法續傳就不能整段重送 (畫面會重複)
+        if (!(resume && lastEventId)) throw error;
+        if (adapter.prepareResume) {
+          resumeRequest = await adapter.prepareResume({
+            baseUrl,
+            threadId,
+            runId,
+          });
+          if (!resumeRequest) throw error;
+        }
+      }
+
+      const delay = getRetryDelay(error, attempt, retryPolicy);
+      attempt += 1;
+      onRetry?.({ attempt, delay, error });
+      await wait(delay, signal);
+    }
+  }
+}
+
+// 把已取得的串流轉成統一格式的事件；收到 done 後立即停止讀取
+export async function* readChatEvents(
+  stream,
+  {
+    format = "ndjson",
+    onMalformedLine = defaultMalformedLineHandler,
+    onUnknownEvent = defaultUnknownEventHandler,
+    onEventId,
+  } = {}
+) {
+  const rawEvents = getStreamAdapter(format).readEvents(stream, {
+    onMalformedLine,
+    onEventId,
+  });
+
+  for await (const data of rawEvents) {
+    const normalize = data && eventRegistry.get(data.type);
+    if (!normalize) {
+      onUnknownEvent(data);
+      continue;
+    }
+
+    const event = normalize(data);
+    yield event;
+    if (event.type === "done") return;
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ *  Callback API
+ * ----------------------------------------------------------------------------
+ *  handlers 以事件 type 為 key，例如 { text: (e) => ..., status: (e) => ... }。
+ *  沒有對應 handler 的已註冊事件會被忽略。
+ */
+export const sendChatMessage = async (options, handlers = {}) => {
+  for await (const event of streamChat(options)) {
+    handlers[event.type]?.(event);
+  }
+};
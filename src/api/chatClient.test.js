@@ -0,0 +1,335 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  readChatEvents,
+  registerEventType,
+  sendChatMessage,
+  streamChat,
+} from "./chatClient";
+
+const encoder = new TextEncoder();
+
+// 依序送出每個 chunk 的假串流；cancelled 記錄讀取端是否提前結束
+// keepOpen：送完之後不結束 (後端還沒關閉連線)，沒有提前停止的話讀取會一直等下去
+const createStream = (chunks, { keepOpen = false } = {}) => {
+  const state = { cancelled: false };
+  const stream = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+      if (!keepOpen) controller.close();
+    },
+    cancel() {
+      state.cancelled = true;
+    },
+  });
+  return { stream, state };
+};
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+};
+
+const ndjson = (...events) =>
+  events.map((event) => `${JSON.stringify(event)}\n`).join("");
+
+describe("readChatEvents", () => {
+  it("parses NDJSON events split across chunks", async () => {
+    const text = ndjson(
+      { type: "status", content: "thinking" },
+      { type: "text", content: "Hello" }
+    );
+    const { stream } = createStream([text.slice(0, 10), text.slice(10)]);
+
+    expect(await collect(readChatEvents(stream))).toEqual([
+      { type: "status", content: "thinking" },
+      { type: "text", content: "Hello" },
+    ]);
+  });
+
+  it("skips malformed lines and reports them", async () => {
+    const onMalformedLine = vi.fn();
+    const { stream } = createStream([
+      '{"type": "text", "content": "a"}\n',
+      "{not json\n",
+      '{"type": "text", "content": "b"}\n',
+    ]);
+
+    const events = await collect(readChatEvents(stream, { onMalformedLine }));
+
+    expect(events.map((e) => e.content)).toEqual(["a", "b"]);
+    expect(onMalformedLine).toHaveBeenCalledTimes(1);
+    expect(onMalformedLine.mock.calls[0][0]).toBe("{not json");
+  });
+
+  it("passes unknown event types to onUnknownEvent instead of yielding them", async () => {
+    const onUnknownEvent = vi.fn();
+    const { stream } = createStream([
+      ndjson({ type: "mystery", value: 1 }, { type: "text", content: "ok" }),
+    ]);
+
+    const events = await collect(readChatEvents(stream, { onUnknownEvent }));
+
+    expect(events).toEqual([{ type: "text", content: "ok" }]);
+    expect(onUnknownEvent).toHaveBeenCalledWith({ type: "mystery", value: 1 });
+  });
+
+  it("flushes a trailing line without a newline", async () => {
+    const { stream } = createStream([
+      '{"type": "text", "content": "first"}\n{"type": "text", ',
+      '"content": "last"}',
+    ]);
+
+    const events = await collect(readChatEvents(stream));
+
+    expect(events.map((e) => e.content)).toEqual(["first", "last"]);
+  });
+
+  it("stops reading after done", async () => {
+    const { stream, state } = createStream(
+      [
+        ndjson(
+          { type: "text", content: "answer" },
+          { type: "done" },
+          { type: "text", content: "ignored" }
+        ),
+      ],
+      { keepOpen: true }
+    );
+
+    const events = await collect(readChatEvents(stream));
+
+    expect(events).toEqual([
+      { type: "text", content: "answer" },
+      { type: "done" },
+    ]);
+    expect(state.cancelled).toBe(true);
+  });
+
+  it("yields types added with registerEventType through their normalizer", async () => {
+    registerEventType("citation", (data) => ({
+      type: "citation",
+      url: data.href,
+    }));
+    const onUnknownEvent = vi.fn();
+    const { stream } = createStream([
+      ndjson({ type: "citation", href: "https://example.com" }),
+    ]);
+
+    const events = await collect(readChatEvents(stream, { onUnknownEvent }));
+
+    expect(events).toEqual([{ type: "citation", url: "https://example.com" }]);
+    expect(onUnknownEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe("streamChat", () => {
+  const okResponse = (text) => ({
+    ok: true,
+    status: 200,
+    body: createStream([text]).stream,
+  });
+
+  it("posts the payload and yields the normalized events", async () => {
+    const fetchImpl = vi.fn(async () =>
+      okResponse(ndjson({ type: "text", content: "hi" }, { type: "done" }))
+    );
+    const payload = { input: { messages: [] }, config: {} };
+
+    const events = await collect(
+      streamChat({ baseUrl: "http://api", threadId: "t1", payload, fetchImpl })
+    );
+
+    expect(events).toEqual([{ type: "text", content: "hi" }, { type: "done" }]);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe("http://api/chat");
+    expect(init.method).toBe("POST");
+    expect(JSON.parse(init.body)).toEqual(payload);
+  });
+
+  it("retries a 503 before the stream starts", async () => {
+    const onRetry = vi.fn();
+    const fetchImpl = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, headers: new Headers() })
+      .mockResolvedValueOnce(okResponse(ndjson({ type: "done" })));
+
+    const events = await collect(
+      streamChat({
+        baseUrl: "http://api",
+        threadId: "t1",
+        payload: {},
+        fetchImpl,
+        retry: { retries: 1, baseDelay: 0, maxDelay: 0 },
+        onRetry,
+      })
+    );
+
+    expect(events).toEqual([{ type: "done" }]);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry client errors", async () => {
+    const fetchImpl = vi.fn(async () => ({
+      ok: false,
+      status: 400,
+      headers: new Headers(),
+    }));
+
+    await expect(
+      collect(
+        streamChat({
+          baseUrl: "http://api",
+          threadId: "t1",
+          payload: {},
+          fetchImpl,
+        })
+      )
+    ).rejects.toMatchObject({ status: 400 });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries when fetch cannot reach the server", async () => {
+    const fetchImpl = vi
+      .fn()
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(okResponse(ndjson({ type: "done" })));
+
+    const events = await collect(
+      streamChat({
+        baseUrl: "http://api",
+        threadId: "t1",
+        payload: {},
+        fetchImpl,
+        retry: { retries: 1, baseDelay: 0, maxDelay: 0 },
+      })
+    );
+
+    expect(events).toEqual([{ type: "done" }]);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not retry a TypeError thrown outside fetch and the body read", async () => {
+    const fetchImpl = vi.fn(async () =>
+      okResponse(ndjson({ type: "mystery" }, { type: "done" }))
+    );
+    const onUnknownEvent = () => {
+      throw new TypeError("Cannot read properties of undefined");
+    };
+
+    await expect(
+      collect(
+        streamChat({
+          baseUrl: "http://api",
+          threadId: "t1",
+          payload: {},
+          fetchImpl,
+          onUnknownEvent,
+          retry: { retries: 3, baseDelay: 0, maxDelay: 0 },
+        })
+      )
+    ).rejects.toThrow(TypeError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("streamChat resume", () => {
+  // 送出 frames 後讀取中斷 (連線被切斷)；先讀完 frames 才出錯，不然 error() 會清掉還沒讀的資料
+  const brokenSseResponse = (frames) => {
+    let sent = false;
+    return {
+      ok: true,
+      status: 200,
+      body: new ReadableStream({
+        pull(controller) {
+          if (sent) controller.error(new TypeError("network error"));
+          else controller.enqueue(encoder.encode(frames));
+          sent = true;
+        },
+      }),
+    };
+  };
+  const sseResponse = (frames) => ({
+    ok: true,
+    status: 200,
+    body: createStream([frames]).stream,
+  });
+  const threadsResponse = { ok: true, status: 200 };
+  const options = {
+    baseUrl: "http://api",
+    format: "langgraph",
+    threadId: "6f1c3f3e-2a4b-4c4d-8e8f-0a1b2c3d4e5f",
+    payload: { input: { messages: [] }, config: {} },
+    resume: true,
+    retry: { retries: 1, baseDelay: 0, maxDelay: 0 },
+  };
+
+  it("joins the LangGraph run stream instead of posting a new run", async () => {
+    const fetchImpl = vi
+      .fn()
+      .mockResolvedValueOnce(threadsResponse)
+      .mockResolvedValueOnce(
+        brokenSseResponse(
+          'id: 1\nevent: metadata\ndata: {"run_id": "run_9"}\n\n' +
+            'id: 2\nevent: messages\ndata: [{"type": "AIMessageChunk", "content": "Hel"}, {}]\n\n'
+        )
+      )
+      .mockResolvedValueOnce(
+        sseResponse(
+          'id: 3\nevent: messages\ndata: [{"type": "AIMessageChunk", "content": "lo"}, {}]\n\n' +
+            "event: end\ndata: null\n\n"
+        )
+      );
+
+    const events = await collect(streamChat({ ...options, fetchImpl }));
+
+    expect(
+      events.filter((e) => e.type === "text").map((e) => e.content)
+    ).toEqual(["Hel", "lo"]);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    const [url, init] = fetchImpl.mock.calls[2];
+    expect(url).toBe(
+      `http://api/threads/${options.threadId}/runs/run_9/stream`
+    );
+    expect(init.method).toBe("GET");
+    expect(init.body).toBeUndefined();
+    expect(init.headers["Last-Event-ID"]).toBe("2");
+  });
+
+  it("gives up when the run id is not known yet", async () => {
+    const fetchImpl = vi
+      .fn()
+      .mockResolvedValueOnce(threadsResponse)
+      .mockResolvedValueOnce(
+        brokenSseResponse(
+          'id: 1\nevent: messages\ndata: [{"type": "AIMessageChunk", "content": "Hel"}, {}]\n\n'
+        )
+      );
+
+    await expect(
+      collect(streamChat({ ...options, fetchImpl }))
+    ).rejects.toThrow("network error");
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("sendChatMessage", () => {
+  it("dispatches events to the handler for their type", async () => {
+    const text = vi.fn();
+    const fetchImpl = vi.fn(async () => ({
+      ok: true,
+      status: 200,
+      body: createStream([
+        ndjson({ type: "text", content: "a" }, { type: "done" }),
+      ]).stream,
+    }));
+
+    await sendChatMessage(
+      { baseUrl: "http://api", threadId: "t1", payload: {}, fetchImpl },
+      { text }
+    );
+
+    expect(text).toHaveBeenCalledWith({ type: "text", content: "a" });
+  });
+});
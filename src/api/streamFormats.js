@@ -0,0 +1,413 @@
+/**
+ * ============================================================================
+ *  串流格式轉接器 (Stream Format Adapters)
+ * ============================================================================
+ *  不同後端的串流端點與格式都不一樣，這裡把它們統一轉成 chatClient 認得的
+ *  事件 ({ type: "text" | "status" | "done", ... })，讓 ChatInterface 不需要
+ *  知道後端是哪一種。
+ *
+ *  - ndjson:    自訂後端，POST /chat，每行一個 {type, content} JSON
+ *  - langserve: LangServe，POST /stream，SSE (event: data / end / error)
+ *  - langgraph: LangGraph Platform，POST /threads/{id}/runs/stream，
+ *               SSE (event: messages / updates / error / end)
+ *
+ *  每個轉接器提供：
+ *  - prepareRequest(options) -> { url, body }：組出實際要送出的請求
+ *  - readEvents(stream, options)：把回應串流轉成原始事件 (async iterator)
+ *    options.onEventId(id)：收到帶有事件 id 的 SSE frame (或 NDJSON 的 event_id) 時呼叫，
+ *    讓 chatClient 斷線後可以用 Last-Event-ID 續傳
+ *  - prepareResume({ baseUrl, threadId, runId }) -> { url, method } | null (選填)：
+ *    斷線後續傳要連的端點；回傳 null 代表沒辦法續傳。沒有提供時以原本的請求加上
+ *    Last-Event-ID 重送
+ */
+import { t } from "../lib/i18n";
+
+export const STREAM_FORMATS = ["ndjson", "langserve", "langgraph"];
+
+/**
+ * ----------------------------------------------------------------------------
+ *  逐行讀取 (Line Reader)
+ * ----------------------------------------------------------------------------
+ *  NDJSON 與 SSE 都是以「行」為單位，共用這個 buffer 邏輯。
+ *  斷成兩半的行會留到下一個 chunk，串流結束時再把殘留的最後一行吐出來。
+ */
+export async function* readLines(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read().catch((err) => {
+        throw markNetworkError(err);
+      });
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop(); // 最後一行可能不完整，留到下一次處理
+
+      for (const line of lines) yield line.replace(/\r$/, "");
+    }
+
+    buffer += decoder.decode();
+    if (buffer) yield buffer.replace(/\r$/, "");
+  } finally {
+    // 呼叫端提前結束迭代 (例如收到 done 或 break) 時，釋放 reader
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ *  SSE 解析 (Server-Sent Events Parser)
+ * ----------------------------------------------------------------------------
+ *  依照 SSE 規格：以空行分隔事件，多行 data 以換行串接，`:` 開頭是註解。
+ *  回傳 { event, data, id }，data 保持字串，由各轉接器自行 JSON.parse。
+ */
+export async function* parseSseStream(stream) {
+  let event = "message";
+  let dataLines = [];
+  let id;
+
+  // 有 data，或有自訂 event 名稱 (例如 LangServe 的 `event: end` 沒有 data) 才算一個事件
+  const flush = () => {
+    const frame =
+      dataLines.length || event !== "message"
+        ? { event, data: dataLines.join("\n"), id }
+        : null;
+    event = "message";
+    dataLines = [];
+    return frame;
+  };
+
+  for await (const line of readLines(stream)) {
+    if (line === "") {
+      const frame = flush();
+      if (frame) yield frame;
+      continue;
+    }
+    if (line.startsWith(":")) continue; // 註解 / keep-alive
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") event = value;
+    else if (field === "data") dataLines.push(value);
+    else if (field === "id") id = value;
+  }
+
+  // 串流結束但最後一個事件沒有補空行
+  const frame = flush();
+  if (frame) yield frame;
+}
+
+// 非 2xx 回應轉成帶有 status 的錯誤；429 / 503 的 Retry-After 換算成毫秒
+export const createHttpError = (response) => {
+  const error = new Error(`API Error: ${response.status}`);
+  error.status = response.status;
+
+  const retryAfter = response.headers?.get?.("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now() // HTTP 日期格式
+      : seconds * 1000;
+    if (ms >= 0) error.retryAfter = ms;
+  }
+  return error;
+};
+
+// fetch 連不上、或讀取回應到一半斷線時會丟 TypeError；只有這兩個地方的 TypeError
+// 才標記成網路錯誤，程式本身的 TypeError 不會被當成斷線而重試
+export const markNetworkError = (error) => {
+  if (error?.name === "TypeError") error.isNetworkError = true;
+  return error;
+};
+
+export const isNetworkError = (error) => error?.isNetworkError === true;
+
+export const fetchWithNetworkError = async (fetchImpl, url, init) => {
+  try {
+    return await fetchImpl(url, init);
+  } catch (err) {
+    throw markNetworkError(err);
+  }
+};
+
+// 安全的 JSON.parse：失敗時交給 onMalformedLine，回傳 undefined
+const parseJson = (text, onMalformedLine) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    onMalformedLine?.(text, err);
+    return undefined;
+  }
+};
+
+// LangChain 訊息的 content 可能是字串，也可能是 [{ type: "text", text }] 陣列
+const extractMessageText = (content) => {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => (typeof part === "string" ? part : part?.text || ""))
+      .join("");
+  }
+  return "";
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  NDJSON (預設)
+ * ----------------------------------------------------------------------------
+ */
+const ndjsonAdapter = {
+  prepareRequest: ({ baseUrl, payload }) => ({
+    url: `${baseUrl}/chat`,
+    body: payload,
+  }),
+
+  async *readEvents(stream, { onMalformedLine, onEventId } = {}) {
+    for await (const line of readLines(stream)) {
+      if (!line.trim()) continue;
+      const data = parseJson(line, onMalformedLine);
+      if (data === undefined) continue;
+      if (data?.event_id != null) onEventId?.(String(data.event_id));
+      yield data;
+    }
+  },
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  LangServe
+ * ----------------------------------------------------------------------------
+ *  `event: data` 的內容可能是字串、AIMessageChunk 或 agent 的中間輸出。
+ */
+const langserveAdapter = {
+  prepareRequest: ({ baseUrl, payload }) => ({
+    url: `${baseUrl}/stream`,
+    body: payload,
+  }),
+
+  async *readEvents(stream, { onMalformedLine, onEventId } = {}) {
+    for await (const frame of parseSseStream(stream)) {
+      if (frame.id) onEventId?.(frame.id);
+      if (frame.event === "end") {
+        yield { type: "done" };
+        return;
+      }
+      if (frame.event === "error") {
+        const data = parseJson(frame.data, onMalformedLine);
+        throw new Error(data?.message || frame.data || "Stream Error");
+      }
+      if (frame.event === "metadata") {
+        const data = parseJson(frame.data, onMalformedLine);
+        if (data?.run_id) yield { type: "metadata", run_id: data.run_id };
+        continue;
+      }
+      if (frame.event !== "data") continue; // 其他事件不影響畫面
+
+      const data = parseJson(frame.data, onMalformedLine);
+      if (data === undefined) continue;
+
+      const text =
+        typeof data === "string"
+          ? data
+          : extractMessageText(data?.content ?? data?.output);
+      if (text) yield { type: "text", content: text };
+    }
+    yield { type: "done" };
+  },
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  LangGraph Platform
+ * ----------------------------------------------------------------------------
+ *  LangGraph 的 thread_id 必須是 UUID，這裡用 SHA-1 把本地的 thread id
+ *  轉成固定的 UUID (同一段對話永遠對應到同一個 LangGraph thread)。
+ */
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const toLangGraphThreadId = async (threadId) => {
+  if (UUID_PATTERN.test(threadId)) return threadId;
+
+  const digest = await crypto.subtle.digest(
+    "SHA-1",
+    new TextEncoder().encode(threadId)
+  );
+  const bytes = Array.from(new Uint8Array(digest).slice(0, 16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x50; // version 5
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = bytes.map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(
+    12,
+    16
+  )}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const langgraphAdapter = {
+  async prepareRequest({
+    baseUrl,
+    threadId,
+    payload,
+    assistantId = "agent",
+    headers,
+    signal,
+    fetchImpl = fetch,
+  }) {
+    const lgThreadId = await toLangGraphThreadId(threadId);
+
+    // 確保 thread 存在 (已存在時 do_nothing)
+    const res = await fetchWithNetworkError(fetchImpl, `${baseUrl}/threads`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ thread_id: lgThreadId, if_exists: "do_nothing" }),
+      signal,
+    });
+    if (!res.ok) throw createHttpError(res);
+
+    // thread_id 已經在網址上，不需要再放進 configurable
+    const configurable = { ...payload.config?.configurable };
+    delete configurable.thread_id;
+    return {
+      url: `${baseUrl}/threads/${lgThreadId}/runs/stream`,
+      body: {
+        assistant_id: assistantId,
+        // 核准工具呼叫後改送 command.resume 讓 thread 從中斷點繼續
+        ...(payload.command
+          ? { command: payload.command }
+          : { input: payload.input }),
+        config: { ...payload.config, configurable },
+        stream_mode: ["messages-tuple", "updates"],
+      },
+    };
+  },
+
+  // 重新 POST 會建立新的 run (agent 從頭再跑一次)，所以改為加入原本那個 run 的串流
+  // (Join Run Stream)；還沒收到 metadata 的 run_id 時沒辦法續傳
+  async prepareResume({ baseUrl, threadId, runId }) {
+    if (!runId) return null;
+    const lgThreadId = await toLangGraphThreadId(threadId);
+    return {
+      url: `${baseUrl}/threads/${lgThreadId}/runs/${runId}/stream`,
+      method: "GET",
+    };
+  },
+
+  async *readEvents(stream, { onMalformedLine, onEventId } = {}) {
+    for await (const frame of parseSseStream(stream)) {
+      if (frame.id) onEventId?.(frame.id);
+      if (frame.event === "end") {
+        yield { type: "done" };
+        return;
+      }
+
+      const data = parseJson(frame.data, onMalformedLine);
+      if (data === undefined) continue;
+
+      if (frame.event === "error") {
+        throw new Error(data?.message || data?.error || "Stream Error");
+      }
+
+      // 每個 run 開始時送出 { run_id, attempt }
+      if (frame.event === "metadata") {
+        if (data?.run_id) yield { type: "metadata", run_id: data.run_id };
+        continue;
+      }
+
+      // messages 模式：data 是 [messageChunk, metadata]
+      if (frame.event === "messages" || frame.event.startsWith("messages|")) {
+        const [chunk, metadata] = Array.isArray(data) ? data : [data];
+        if (!chunk) continue;
+
+        // 模型呼叫結束時的最後一個 chunk 會帶 usage_metadata
+        if (chunk.usage_metadata) {
+          yield {
+            type: "metadata",
+            model: metadata?.ls_model_name || null,
+            usage: chunk.usage_metadata,
+          };
+        }
+
+        // 工具結果由 updates 模式轉成 tool_end，這裡不重複處理
+        if (chunk.type === "tool") continue;
+        const toolCall = chunk.tool_call_chunks?.find((c) => c.name);
+        if (toolCall) {
+          yield {
+            type: "status",
+            content: t("stream.callingTool", { name: toolCall.name }),
+          };
+        }
+        const text = extractMessageText(chunk.content);
+        if (text) yield { type: "text", content: text };
+        continue;
+      }
+
+      // updates 模式：data 是 { 節點名稱: 該節點的輸出 }
+      // AI 訊息上的 tool_calls -> tool_start，ToolMessage -> tool_end
+      if (frame.event === "updates" || frame.event.startsWith("updates|")) {
+        // graph 在 interrupt() 暫停時會送出 { __interrupt__: [{ value, id }] }
+        if (data?.__interrupt__) {
+          for (const item of data.__interrupt__) {
+            yield { type: "interrupt", id: item.id, value: item.value };
+          }
+          continue;
+        }
+
+        const nodes = Object.keys(data || {});
+        let hasToolEvent = false;
+
+        for (const node of nodes) {
+          for (const message of data[node]?.messages || []) {
+            if (message?.type === "ai" && message.tool_calls?.length) {
+              for (const call of message.tool_calls) {
+                hasToolEvent = true;
+                yield {
+                  type: "tool_start",
+                  id: call.id,
+                  name: call.name,
+                  args: call.args,
+                };
+              }
+            } else if (message?.type === "tool") {
+              hasToolEvent = true;
+              const isError = message.status === "error";
+              yield {
+                type: "tool_end",
+                id: message.tool_call_id,
+                name: message.name,
+                result: isError ? null : message.content,
+                error: isError ? message.content : null,
+              };
+            }
+          }
+        }
+
+        if (!hasToolEvent && nodes.length) {
+          yield {
+            type: "status",
+            content: t("stream.runningNodes", { nodes: nodes.join(", ") }),
+          };
+        }
+      }
+    }
+    yield { type: "done" };
+  },
+};
+
+const adapters = {
+  ndjson: ndjsonAdapter,
+  langserve: langserveAdapter,
+  langgraph: langgraphAdapter,
+};
+
+export const getStreamAdapter = (format = "ndjson") => {
+  const adapter = adapters[format];
+  if (!adapter) throw new Error(`Unknown stream format: ${format}`);
+  return adapter;
+};
@@ -0,0 +1,182 @@
+/**
+ * ============================================================================
+ *  伺服器端對話紀錄 (Thread History)
+ * ============================================================================
+ *  後端 (例如 LangGraph 的 checkpointer) 會保存每個 thread 的訊息。
+ *  開啟頁面或切換對話時從這裡讀回來，轉成畫面使用的訊息格式：
+ *    GET `${baseUrl}${historyPath}`，historyPath 中的 {threadId} 會換成實際的 thread id
+ *  - langgraph：預設 `/threads/{threadId}/history?limit=1` (thread id 會先轉成 UUID)
+ *  - ndjson / langserve：沒有標準端點，設定了 historyPath 才會讀取
+ *
+ *  可以接受的回應格式：
+ *  - LangGraph 的 checkpoint 陣列 (最新的在前)：[{ values: { messages }, created_at }, ...]
+ *  - 單一 state：{ values: { messages } }
+ *  - { messages: [...] }，或直接是訊息陣列
+ *  訊息可以是 LangChain 格式 ({ type: "human" | "ai" | "tool" | "system" })
+ *  或 OpenAI 格式 ({ role: "user" | "assistant" | "tool" | "system" })。
+ *
+ *  找不到 thread 時丟出 status 為 404 的錯誤 (見 createHttpError)。
+ */
+import { createHttpError, toLangGraphThreadId } from "./streamFormats";
+import { settleRunningSteps, finishToolStep } from "../lib/toolSteps";
+
+const DEFAULT_HISTORY_PATHS = {
+  langgraph: "/threads/{threadId}/history?limit=1",
+};
+
+// 目前設定要使用的端點；回傳空字串代表不讀取伺服器端的紀錄
+export const getHistoryPath = (settings) =>
+  settings.historyPath || DEFAULT_HISTORY_PATHS[settings.streamFormat] || "";
+
+// LangGraph 的 thread id 必須是 UUID (與送出訊息時的轉換一致)
+const resolveServerThreadId = (format, threadId) =>
+  format === "langgraph" ? toLangGraphThreadId(threadId) : threadId;
+
+/**
+ * 讀取一段對話在後端的訊息
+ * @returns {Promise<Array>} 畫面使用的訊息陣列 (可能是空陣列)
+ */
+export const fetchThreadHistory = async ({
+  baseUrl,
+  format = "ndjson",
+  path,
+  threadId,
+  headers = {},
+  signal,
+  fetchImpl = fetch,
+}) => {
+  const serverThreadId = await resolveServerThreadId(format, threadId);
+  const url = `${baseUrl}${path.replaceAll(
+    "{threadId}",
+    encodeURIComponent(serverThreadId)
+  )}`;
+
+  const response = await fetchImpl(url, { headers, signal });
+  if (!response.ok) throw createHttpError(response);
+  return toLocalMessages(await response.json());
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  訊息轉換 (Message Mapping)
+ * ----------------------------------------------------------------------------
+ *  一次提問之後的 AI 訊息與工具訊息 (ai -> tool -> ai ...) 合併成畫面上的一則 AI 訊息：
+ *  文字依序串接，tool_calls 與對應的 ToolMessage 整理成 steps (時間軸)。
+ *  附件只還原文字內容；system 訊息不顯示。
+ */
+const ROLE_TYPES = {
+  human: "user",
+  user: "user",
+  ai: "ai",
+  assistant: "ai",
+  AIMessageChunk: "ai",
+  tool: "tool",
+};
+
+const extractText = (content) => {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((part) =>
+        typeof part === "string" ? part : part?.type === "text" ? part.text : ""
+      )
+      .join("");
+  }
+  return "";
+};
+
+// 取出訊息陣列與保存時間 (checkpoint 的 created_at)
+const unwrapHistory = (data) => {
+  const state = Array.isArray(data) && data[0]?.values ? data[0] : data;
+  const messages = Array.isArray(state)
+    ? state
+    : state?.values?.messages || state?.messages || [];
+  const savedAt = Date.parse(state?.created_at);
+  return { messages, createdAt: Number.isNaN(savedAt) ? null : savedAt };
+};
+
+// OpenAI 格式的 tool_calls ({ function: { name, arguments } }) 轉成 LangChain 格式
+const normalizeToolCall = (call) => {
+  if (!call.function) return call;
+  let args = call.function.arguments;
+  try {
+    args = JSON.parse(args);
+  } catch {
+    // 不是 JSON 就保留原字串
+  }
+  return { id: call.id, name: call.function.name, args };
+};
+
+export const toLocalMessages = (data) => {
+  const { messages, createdAt } = unwrapHistory(data);
+  const result = [];
+  let currentAi = null; // 正在合併的 AI 回答
+
+  const closeAi = () => {
+    if (!currentAi) return;
+    const { steps, ...aiMessage } = currentAi;
+    result.push(
+      steps.length
+        ? { ...aiMessage, steps: settleRunningSteps(steps) }
+        : aiMessage
+    );
+    currentAi = null;
+  };
+
+  messages.forEach((message, index) => {
+    if (!message) return;
+    const type = ROLE_TYPES[message.type || message.role];
+    const id = message.id || `history-${index}`;
+
+    if (type === "user") {
+      closeAi();
+      result.push({
+        id,
+        type: "user",
+        content: extractText(message.content),
+        createdAt,
+      });
+      return;
+    }
+
+    if (type === "ai") {
+      currentAi ??= { id, type: "ai", content: "", createdAt, steps: [] };
+      const text = extractText(message.content);
+      if (text) {
+        currentAi.content = currentAi.content
+          ? `${currentAi.content}\n\n${text}`
+          : text;
+      }
+      for (const call of (message.tool_calls || []).map(normalizeToolCall)) {
+        currentAi.steps = [
+          ...currentAi.steps,
+          {
+            id: call.id || `step-${index}-${currentAi.steps.length}`,
+            name: call.name,
+            args: call.args,
+            result: null,
+            error: null,
+            status: "running",
+            startedAt: null,
+            duration: null,
+          },
+        ];
+      }
+      const model = message.response_metadata?.model_name;
+      if (model) currentAi.model = model;
+      return;
+    }
+
+    if (type === "tool" && currentAi) {
+      const isError = message.status === "error";
+      currentAi.steps = finishToolStep(currentAi.steps, {
+        id: message.tool_call_id,
+        name: message.name,
+        result: isError ? null : message.content,
+        error: isError ? message.content : null,
+      });
+    }
+  });
+  closeAi();
+  return result;
+};
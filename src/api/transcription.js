@@ -0,0 +1,59 @@
+/**
+ * ============================================================================
+ *  語音轉文字 (Transcription)
+ * ============================================================================
+ *  系統設定有填 transcriptionUrl 時，語音輸入會把錄音上傳到這個端點轉成文字
+ *  (沒有填就使用瀏覽器內建的語音辨識，見 hooks/useVoiceInput.js)：
+ *    POST multipart/form-data { file: 錄音檔, model: transcriptionModel, language: "zh" | "en" }
+ *    -> 200 { text: "..." }，或直接回傳純文字
+ *  欄位與 OpenAI 的 /audio/transcriptions 相同：model 預設 whisper-1 (系統設定可以改)，
+ *  language 是 ISO-639-1 語言代碼 (介面語系 zh-TW 的主要部分 zh)。
+ *
+ *  請求會帶上與其他後端請求相同的認證 headers (見 api/auth.js)。
+ *  本地開發可以傳入 fetchImpl 換掉 fetch，不需要真的架一個轉寫服務。
+ */
+import { withAuth } from "./auth";
+import { createHttpError } from "./streamFormats";
+
+// ISO-639-1 語言代碼：zh-TW -> zh、en-US -> en
+const toLanguageCode = (locale) => locale.split("-")[0].toLowerCase();
+
+// MediaRecorder 的 mimeType (例如 audio/webm;codecs=opus) 對應的副檔名
+const getFileName = (blob) => {
+  const subtype = blob.type.split(";")[0].split("/")[1] || "webm";
+  return `speech.${subtype}`;
+};
+
+/**
+ * 上傳錄音並取得轉寫結果
+ * @returns {Promise<string>} 轉寫出的文字 (可能是空字串)
+ */
+export const transcribeAudio = async ({
+  settings,
+  audio,
+  language,
+  signal,
+  fetchImpl = fetch,
+}) =>
+  withAuth(settings, async (headers) => {
+    const body = new FormData();
+    body.append("file", audio, getFileName(audio));
+    if (settings.transcriptionModel) {
+      body.append("model", settings.transcriptionModel);
+    }
+    if (language) body.append("language", toLanguageCode(language));
+
+    // Content-Type 交給瀏覽器填 (multipart boundary)
+    const response = await fetchImpl(settings.transcriptionUrl, {
+      method: "POST",
+      headers,
+      body,
+      signal,
+    });
+    if (!response.ok) throw createHttpError(response);
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!contentType.includes("json")) return (await response.text()).trim();
+    const data = await response.json();
+    return String(data?.text ?? "").trim();
+  });
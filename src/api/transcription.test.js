@@ -0,0 +1,52 @@
+import { describe, it, expect, vi } from "vitest";
+import { transcribeAudio } from "./transcription";
+import { DEFAULT_SETTINGS } from "../lib/settings";
+
+const settings = {
+  ...DEFAULT_SETTINGS,
+  authMode: "static",
+  apiKey: "",
+  transcriptionUrl: "http://api/transcribe",
+};
+
+const jsonResponse = (data) => ({
+  ok: true,
+  status: 200,
+  headers: new Headers({ "content-type": "application/json" }),
+  json: async () => data,
+});
+
+describe("transcribeAudio", () => {
+  it("sends the fields of an OpenAI /audio/transcriptions request", async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(jsonResponse({ text: " Hi " }));
+
+    const text = await transcribeAudio({
+      settings,
+      audio: new Blob(["x"], { type: "audio/webm;codecs=opus" }),
+      language: "zh-TW",
+      fetchImpl,
+    });
+
+    expect(text).toBe("Hi");
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe("http://api/transcribe");
+    expect(init.body.get("model")).toBe("whisper-1");
+    expect(init.body.get("language")).toBe("zh");
+    expect(init.body.get("file").name).toBe("speech.webm");
+  });
+
+  it("uses the model from settings", async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(jsonResponse({ text: "" }));
+
+    await transcribeAudio({
+      settings: { ...settings, transcriptionModel: "gpt-4o-transcribe" },
+      audio: new Blob(["x"], { type: "audio/webm" }),
+      language: "en",
+      fetchImpl,
+    });
+
+    const { body } = fetchImpl.mock.calls[0][1];
+    expect(body.get("model")).toBe("gpt-4o-transcribe");
+    expect(body.get("language")).toBe("en");
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ *  工具核准卡片 (Human-in-the-loop Approval Card)
+ * ============================================================================
+ *  LangGraph agent 在敏感工具呼叫前 interrupt() 時顯示：
+ *  工具名稱、說明、可編輯的參數 (JSON)，以及 核准 / 修改後核准 / 拒絕。
+ *  處理完成後卡片會保留在訊息下方，顯示當時的決定。
+ */
+import React, { useState } from "react";
+import { ShieldAlert, Check, X, Pencil } from "lucide-react";
+import { useI18n } from "../lib/i18n";
+
+const formatArgs = (args) => {
+  if (args == null) return "";
+  return typeof args === "string" ? args : JSON.stringify(args, null, 2);
+};
+
+const ApprovalCard = ({ interrupt, onResolve, disabled }) => {
+  const { t } = useI18n();
+  const [argsText, setArgsText] = useState(() => formatArgs(interrupt.args));
+  const [parseError, setParseError] = useState("");
+  const isPending = interrupt.status === "pending";
+  const isEdited = argsText !== formatArgs(interrupt.args);
+
+  // 修改後核准：參數必須是合法 JSON
+  const handleEdit = () => {
+    try {
+      const args = argsText.trim() ? JSON.parse(argsText) : null;
+      setParseError("");
+      onResolve("edit", args);
+    } catch {
+      setParseError(t("approval.invalidJson"));
+    }
+  };
+
+  return (
+    <div className="mt-2 w-full max-w-md bg-amber-50 dark:bg-amber-900/10 border border-amber-200 dark:border-amber-800/60 rounded-xl p-3 text-xs shadow-sm">
+      <div className="flex items-center gap-2 font-semibold text-amber-700 dark:text-amber-400">
+        <ShieldAlert size={14} />
+        <span>{t("approval.title")}</span>
+        <span className="ml-auto font-mono text-slate-600 dark:text-slate-300">
+          {interrupt.toolName}
+        </span>
+      </div>
+
+      {interrupt.description && (
+        <p className="mt-2 text-slate-600 dark:text-slate-300 whitespace-pre-wrap">
+          {interrupt.description}
+        </p>
+      )}
+
+      <div className="mt-2 text-[10px] uppercase tracking-wider text-slate-400 mb-0.5">
+        {t("common.arguments")}
+      </div>
+      <textarea
+        value={argsText}
+        onChange={(e) => setArgsText(e.target.value)}
+        readOnly={!isPending}
+        rows={Math.min(10, Math.max(3, argsText.split("\n").length))}
+        spellCheck={false}
+        className="w-full font-mono text-[11px] bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded p-2 text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-amber-200 dark:focus:ring-slate-600 resize-y"
+      />
+      {parseError && <p className="mt-1 text-red-500">{parseError}</p>}
+
+      {isPending ? (
+        <div className="mt-2 flex justify-end gap-2">
+          <button
+            onClick={() => onResolve("reject")}
+            disabled={disabled}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            <X size={12} />
+            {t("approval.reject")}
+          </button>
+          <button
+            onClick={handleEdit}
+            disabled={disabled || !isEdited}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            <Pencil size={12} />
+            {t("approval.editAndApprove")}
+          </button>
+          <button
+            onClick={() => onResolve("approve")}
+            disabled={disabled || isEdited}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            <Check size={12} />
+            {t("approval.approve")}
+          </button>
+        </div>
+      ) : (
+        <p className="mt-2 text-right text-slate-500 dark:text-slate-400">
+          {t(`approval.status.${interrupt.status}`)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalCard;
@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ *  附件列表 (Attachment List)
+ * ============================================================================
+ *  同一個元件用在兩個地方：
+ *  - 輸入框上方 (onRemove 有值)：送出前的預覽 chip，可以移除
+ *  - 使用者氣泡內：顯示已送出的圖片縮圖與檔案名稱
+ */
+import React from "react";
+import { X, FileText, FileType2 } from "lucide-react";
+import { formatFileSize } from "../lib/attachments";
+import { useI18n } from "../lib/i18n";
+
+const AttachmentList = ({ attachments, onRemove, inBubble = false }) => {
+  const { t } = useI18n();
+  if (!attachments?.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${inBubble ? "mb-2" : ""}`}>
+      {attachments.map((att) => (
+        <div
+          key={att.id}
+          className={`relative group/att flex items-center gap-2 rounded-lg overflow-hidden border text-xs
+          ${
+            inBubble
+              ? "border-blue-400/60 bg-blue-500/40 text-white"
+              : "border-blue-100 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-600 dark:text-slate-300"
+          }`}
+          title={att.name}
+        >
+          {att.kind === "image" ? (
+            <img
+              src={att.dataUrl}
+              alt={att.name}
+              className={`object-cover ${inBubble ? "w-32 h-32" : "w-12 h-12"}`}
+            />
+          ) : (
+            <div className="flex items-center gap-2 px-3 py-2 max-w-[12rem]">
+              {att.kind === "pdf" ? (
+                <FileType2 size={16} className="flex-none text-red-400" />
+              ) : (
+                <FileText size={16} className="flex-none text-blue-400" />
+              )}
+              <div className="min-w-0">
+                <div className="truncate font-medium">{att.name}</div>
+                <div className="opacity-70">{formatFileSize(att.size)}</div>
+              </div>
+            </div>
+          )}
+
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(att.id)}
+              className="absolute top-0.5 right-0.5 p-0.5 rounded-full bg-slate-900/60 text-white opacity-0 group-hover/att:opacity-100 transition-opacity"
+              title={t("attachments.remove")}
+            >
+              <X size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AttachmentList;
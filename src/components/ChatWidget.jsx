@@ -0,0 +1,47 @@
+/**
+ * ============================================================================
+ *  嵌入式小工具 (Chat Widget)
+ * ============================================================================
+ *  widget.jsx 掛載到外部頁面 Shadow DOM 裡的根元件，有兩種版面 (layout)：
+ *  - launcher：右下角的浮動按鈕，點開後顯示對話視窗
+ *  - inline：直接填滿掛載的元素
+ *  對話視窗收起時 ChatInterface 不會卸載，串流與輸入框的內容都會保留。
+ *  [contain:layout] 讓裡面 fixed 定位的遮罩 (系統設定、登入、連結確認) 只蓋住對話視窗。
+ */
+import React from "react";
+import { MessageSquare, X } from "lucide-react";
+import ChatInterface from "../ChatInterface";
+import { useI18n } from "../lib/i18n";
+
+const ChatWidget = ({ layout, isOpen, onOpen, onClose, chatProps }) => {
+  const { t } = useI18n();
+
+  if (layout === "inline") {
+    return (
+      <div className="h-full [contain:layout]">
+        <ChatInterface embedded {...chatProps} />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div
+        className={`fixed bottom-24 right-5 z-[9999] w-[400px] max-w-[calc(100vw-2.5rem)] h-[640px] max-h-[calc(100vh-8rem)] rounded-2xl overflow-hidden shadow-2xl border border-blue-100 dark:border-slate-800 [contain:layout] ${
+          isOpen ? "" : "hidden"
+        }`}
+      >
+        <ChatInterface embedded {...chatProps} onClose={onClose} />
+      </div>
+      <button
+        onClick={isOpen ? onClose : onOpen}
+        className="fixed bottom-5 right-5 z-[9999] w-14 h-14 flex items-center justify-center rounded-full bg-blue-600 text-white shadow-lg hover:bg-blue-700 transition-colors"
+        title={isOpen ? t("header.close") : t("widget.open")}
+      >
+        {isOpen ? <X size={24} /> : <MessageSquare size={24} />}
+      </button>
+    </>
+  );
+};
+
+export default ChatWidget;
@@ -0,0 +1,185 @@
+/**
+ * ============================================================================
+ *  程式碼區塊 (Code Block)
+ * ============================================================================
+ *  - 語法高亮延遲載入；載入中、串流中或高亮失敗時都退回純文字，不會讓訊息崩潰
+ *  - 標題列提供：複製、下載成檔案 (依語言決定副檔名)、html / svg / mermaid 預覽
+ *  - mermaid 區塊預設顯示成圖表，可以切換回原始碼
+ *  - 超過 LONG_BLOCK_LINES 行的區塊顯示行號
+ *  - highlight (搜尋列的關鍵字) 出現在程式碼裡時，改顯示標出關鍵字的原始碼 (不做語法高亮、不預覽)
+ */
+import React, { Component, Suspense, lazy, useState } from "react";
+import { Copy, Check, Download, Eye, Code2 } from "lucide-react";
+import { downloadFile } from "../lib/download";
+import { useI18n } from "../lib/i18n";
+import MermaidDiagram from "./MermaidDiagram";
+import MatchText from "./MatchText";
+import { normalizeQuery } from "../lib/search";
+
+const HighlightedCode = lazy(() => import("./HighlightedCode"));
+
+const LONG_BLOCK_LINES = 15;
+
+// 語言 -> 下載時的副檔名 (沒列出的語言直接用語言名稱，沒有語言時用 txt)
+const FILE_EXTENSIONS = {
+  javascript: "js",
+  typescript: "ts",
+  python: "py",
+  py: "py",
+  bash: "sh",
+  shell: "sh",
+  sh: "sh",
+  zsh: "sh",
+  ruby: "rb",
+  rust: "rs",
+  kotlin: "kt",
+  csharp: "cs",
+  "c++": "cpp",
+  markdown: "md",
+  yaml: "yml",
+  mermaid: "mmd",
+  text: "txt",
+  plaintext: "txt",
+};
+
+const PREVIEW_LANGUAGES = ["html", "svg", "mermaid"];
+
+const getFileExtension = (language) =>
+  FILE_EXTENSIONS[language] || language || "txt";
+
+// 高亮套件出錯時 (例如不認得的文法) 退回純文字
+class HighlightBoundary extends Component {
+  state = { hasError: false };
+
+  static getDerivedStateFromError() {
+    return { hasError: true };
+  }
+
+  render() {
+    return this.state.hasError ? this.props.fallback : this.props.children;
+  }
+}
+
+const PlainCode = ({ code, highlight }) => (
+  <div className="bg-[#1e1e1e] text-[#d4d4d4] p-3 overflow-x-auto">
+    <pre className="font-mono text-[13px] leading-relaxed">
+      <code>
+        <MatchText text={code} query={highlight} />
+      </code>
+    </pre>
+  </div>
+);
+
+// 預覽放在沒有 allow-same-origin 的 sandbox iframe 中，無法存取本頁的資料
+const CodePreview = ({ code, language }) => {
+  const { t } = useI18n();
+  return (
+    <iframe
+      title={t("code.previewFrame")}
+      sandbox="allow-scripts"
+      srcDoc={
+        language === "svg"
+          ? `<body style="margin:0;display:flex;justify-content:center">${code}</body>`
+          : code
+      }
+      className="w-full h-80 bg-white border-0"
+    />
+  );
+};
+
+const HeaderButton = ({ onClick, title, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    title={title}
+    className="p-1 rounded text-slate-400 hover:text-blue-600 hover:bg-white dark:hover:bg-slate-700 dark:hover:text-blue-400 transition-colors"
+  >
+    {children}
+  </button>
+);
+
+const CodeBlock = ({ code, language, isStreaming = false, highlight }) => {
+  const { t } = useI18n();
+  const [isCopied, setIsCopied] = useState(false);
+  const isDiagram = language === "mermaid";
+  const [isPreviewing, setIsPreviewing] = useState(isDiagram);
+
+  const lineCount = code.split("\n").length;
+  const canPreview = PREVIEW_LANGUAGES.includes(language) && !isStreaming;
+  const plain = <PlainCode code={code} />;
+  const query = normalizeQuery(highlight);
+  const hasMatch = Boolean(query) && code.toLowerCase().includes(query);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy:", err);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadFile(`snippet.${getFileExtension(language)}`, code);
+  };
+
+  return (
+    <div className="my-3 rounded-md overflow-hidden border border-slate-200 dark:border-slate-700 shadow-sm">
+      <div className="flex items-center justify-between bg-slate-100 dark:bg-slate-800 px-3 py-1 text-xs text-slate-500 dark:text-slate-400 font-mono border-b border-slate-200 dark:border-slate-700">
+        <span>{language || "text"}</span>
+        <div className="flex items-center gap-1">
+          {canPreview && (
+            <HeaderButton
+              onClick={() => setIsPreviewing((prev) => !prev)}
+              title={
+                isPreviewing
+                  ? t("code.showSource")
+                  : isDiagram
+                  ? t("code.showDiagram")
+                  : t("code.preview")
+              }
+            >
+              {isPreviewing ? <Code2 size={14} /> : <Eye size={14} />}
+            </HeaderButton>
+          )}
+          <HeaderButton onClick={handleDownload} title={t("code.download")}>
+            <Download size={14} />
+          </HeaderButton>
+          <HeaderButton onClick={handleCopy} title={t("code.copy")}>
+            {isCopied ? (
+              <Check size={14} className="text-green-500" />
+            ) : (
+              <Copy size={14} />
+            )}
+          </HeaderButton>
+        </div>
+      </div>
+
+      {hasMatch ? (
+        <PlainCode code={code} highlight={highlight} />
+      ) : isPreviewing && canPreview ? (
+        isDiagram ? (
+          <MermaidDiagram code={code} fallback={plain} />
+        ) : (
+          <CodePreview code={code} language={language} />
+        )
+      ) : isStreaming ? (
+        // 串流中內容還在變動，等回答完成再高亮，避免每個 chunk 都重新解析
+        plain
+      ) : (
+        <HighlightBoundary fallback={plain}>
+          <Suspense fallback={plain}>
+            <HighlightedCode
+              code={code}
+              language={language}
+              showLineNumbers={lineCount > LONG_BLOCK_LINES}
+            />
+          </Suspense>
+        </HighlightBoundary>
+      )}
+    </div>
+  );
+};
+
+export default CodeBlock;
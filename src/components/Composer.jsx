@@ -0,0 +1,286 @@
+/**
+ * ============================================================================
+ *  輸入區 (Composer)
+ * ============================================================================
+ *  多行輸入框 + 附件 + 斜線指令選單 + 送出 / 停止按鈕。
+ *  輸入內容與附件由外層保存 (value / attachments)，才能從外部放回提問或加入拖曳的檔案。
+ *
+ *  鍵盤操作：
+ *  - Enter 送出、Shift+Enter 換行
+ *  - 斜線指令選單開啟時：↑/↓ 選擇、Tab/Enter 補完
+ *  - 單行時：↑/↓ 回溯這段對話送出過的提問 (history)
+ *
+ *  語音輸入：傳入 voiceSettings (系統設定) 時顯示麥克風按鈕，辨識出的文字接在輸入框內容後面
+ *  (瀏覽器不支援、也沒有設定轉寫端點時不顯示，見 hooks/useVoiceInput.js)。
+ *
+ *  可以覆寫的部分：
+ *  - leading：輸入框左側的按鈕 (預設是附件按鈕，傳 null 可以拿掉)
+ *  - renderSubmit({ isLoading, canSend, onStop })：右側的送出 / 停止按鈕
+ */
+import React, { useState, useRef, useEffect } from "react";
+import { Send, Square, Paperclip, Mic, Loader2 } from "lucide-react";
+import AttachmentList from "./AttachmentList";
+import SlashCommandMenu from "./SlashCommandMenu";
+import useVoiceInput from "../hooks/useVoiceInput";
+import { matchSlashCommands } from "../lib/slashCommands";
+import {
+  ACCEPTED_FILE_TYPES,
+  getFilesFromDataTransfer,
+} from "../lib/attachments";
+import { useI18n } from "../lib/i18n";
+
+const Composer = ({
+  value,
+  onChange,
+  onSubmit,
+  onStop,
+  isLoading,
+  canSend,
+  disabled,
+  placeholder,
+  history = [],
+  attachments = [],
+  attachmentError,
+  onAddFiles,
+  onRemoveAttachment,
+  voiceSettings,
+  leading,
+  renderSubmit,
+}) => {
+  const { t, locale } = useI18n();
+  const [historyIndex, setHistoryIndex] = useState(null); // ↑/↓ 回溯到第幾則提問 (null = 沒有在回溯)
+  const [historyDraft, setHistoryDraft] = useState(""); // 開始回溯前輸入框的內容
+  const [slashIndex, setSlashIndex] = useState(0); // 斜線指令選單目前選到哪一項
+
+  const fileInputRef = useRef(null); // 隱藏的 <input type="file">
+  const textareaRef = useRef(null); // 多行輸入框 (自動長高用)
+
+  // 輸入框正在打指令名稱時 (例如 `/th`)，顯示符合的指令
+  const slashMatches = matchSlashCommands(value);
+
+  // 語音輸入：辨識結果接在目前的內容後面
+  const voice = useVoiceInput({
+    settings: voiceSettings,
+    language: locale,
+    onTranscript: (text) => {
+      onChange(value && !/\s$/.test(value) ? `${value} ${text}` : value + text);
+      textareaRef.current?.focus();
+    },
+  });
+  const hasVoiceInput = Boolean(voiceSettings) && voice.isSupported;
+
+  // 輸入框自動長高 (最多 200px，超過後出現捲軸)
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.style.height = "auto";
+    textarea.style.height = `${Math.min(textarea.scrollHeight, 200)}px`;
+  }, [value]);
+
+  const submit = () => {
+    setHistoryIndex(null);
+    onSubmit();
+  };
+
+  const handleSelectSlashCommand = (command) => {
+    onChange(`/${command.name} `);
+    setSlashIndex(0);
+    textareaRef.current?.focus();
+  };
+
+  const handleInputChange = (e) => {
+    onChange(e.target.value);
+    setHistoryIndex(null);
+    setSlashIndex(0);
+  };
+
+  // 從剪貼簿貼上圖片 / 檔案 (純文字仍照常貼進輸入框)
+  const handlePaste = (e) => {
+    const files = getFilesFromDataTransfer(e.clipboardData);
+    if (!files.length || !onAddFiles) return;
+    e.preventDefault();
+    onAddFiles(files);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.nativeEvent.isComposing) return; // 中文輸入法選字中，不處理
+
+    if (slashMatches.length) {
+      const active = slashMatches[slashIndex % slashMatches.length];
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setSlashIndex(
+          (slashIndex + step + slashMatches.length) % slashMatches.length
+        );
+        return;
+      }
+      // 已經完整打出指令名稱時，Enter 直接執行；否則先補完
+      if (
+        e.key === "Tab" ||
+        (e.key === "Enter" && !e.shiftKey && value !== `/${active.name}`)
+      ) {
+        e.preventDefault();
+        handleSelectSlashCommand(active);
+        return;
+      }
+    }
+
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      submit();
+      return;
+    }
+
+    const isSingleLine = !value.includes("\n");
+    if (e.key === "ArrowUp" && isSingleLine && history.length) {
+      if (historyIndex === null && value) return; // 不覆蓋正在輸入的內容
+      e.preventDefault();
+      const nextIndex =
+        historyIndex === null
+          ? history.length - 1
+          : Math.max(0, historyIndex - 1);
+      if (historyIndex === null) setHistoryDraft(value);
+      setHistoryIndex(nextIndex);
+      onChange(history[nextIndex]);
+    } else if (e.key === "ArrowDown" && isSingleLine && historyIndex !== null) {
+      e.preventDefault();
+      const nextIndex = historyIndex + 1;
+      if (nextIndex >= history.length) {
+        setHistoryIndex(null);
+        onChange(historyDraft);
+      } else {
+        setHistoryIndex(nextIndex);
+        onChange(history[nextIndex]);
+      }
+    }
+  };
+
+  const attachButton = onAddFiles && (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILE_TYPES}
+        className="hidden"
+        onChange={(e) => {
+          onAddFiles(Array.from(e.target.files || []));
+          e.target.value = ""; // 允許再次選取同一個檔案
+        }}
+      />
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled}
+        className="absolute left-2 bottom-2 p-2.5 rounded-full text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+        title={t("chat.attachFiles")}
+      >
+        <Paperclip size={20} />
+      </button>
+    </>
+  );
+
+  return (
+    <div className="flex-none p-4 bg-white dark:bg-slate-900 border-t border-blue-50 dark:border-slate-800">
+      {/* 附件預覽 (送出前) */}
+      {(attachments.length > 0 || attachmentError || voice.error) && (
+        <div className="max-w-4xl mx-auto mb-3 px-2 space-y-1">
+          <AttachmentList
+            attachments={attachments}
+            onRemove={onRemoveAttachment}
+          />
+          {attachmentError && (
+            <p className="text-xs text-red-500">{attachmentError}</p>
+          )}
+          {voice.error && <p className="text-xs text-red-500">{voice.error}</p>}
+        </div>
+      )}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit();
+        }}
+        className="max-w-4xl mx-auto relative flex items-end gap-2"
+      >
+        {/* 斜線指令選單 */}
+        <SlashCommandMenu
+          commands={slashMatches}
+          activeIndex={slashIndex % Math.max(slashMatches.length, 1)}
+          onSelect={handleSelectSlashCommand}
+        />
+
+        {/* 附件按鈕 */}
+        {leading === undefined ? attachButton : leading}
+        {/* 多行輸入框：Enter 送出、Shift+Enter 換行、`/` 開啟指令選單 */}
+        <textarea
+          ref={textareaRef}
+          rows={1}
+          value={value}
+          onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
+          placeholder={placeholder ?? t("chat.placeholder")}
+          disabled={disabled}
+          className={`w-full pl-14 ${
+            hasVoiceInput ? "pr-24" : "pr-14"
+          } py-4 resize-none overflow-y-auto leading-6 bg-slate-50 dark:bg-slate-800 border border-blue-100 dark:border-slate-700 text-slate-700 dark:text-slate-200 placeholder-slate-400 rounded-3xl focus:outline-none focus:ring-2 focus:ring-blue-200 dark:focus:ring-slate-600 focus:border-blue-400 dark:focus:border-slate-500 transition-all shadow-inner text-base disabled:opacity-60 disabled:cursor-not-allowed`}
+        />
+        {/* 語音輸入：錄音中再按一次停止並轉成文字 */}
+        {hasVoiceInput && (
+          <button
+            type="button"
+            onClick={voice.isRecording ? voice.stop : voice.start}
+            disabled={disabled || voice.isStarting || voice.isTranscribing}
+            className={`absolute right-14 bottom-2 p-2.5 rounded-full transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${
+              voice.isRecording
+                ? "text-white bg-red-500 dark:bg-red-600 animate-pulse"
+                : "text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400"
+            }`}
+            title={
+              voice.isTranscribing
+                ? t("voice.transcribing")
+                : voice.isRecording
+                ? t("voice.stop")
+                : t("voice.start")
+            }
+          >
+            {voice.isTranscribing ? (
+              <Loader2 size={20} className="animate-spin" />
+            ) : (
+              <Mic size={20} />
+            )}
+          </button>
+        )}
+        {/* 生成中顯示「停止」按鈕，否則顯示「送出」按鈕 */}
+        {renderSubmit ? (
+          renderSubmit({ isLoading, canSend, onStop })
+        ) : isLoading ? (
+          <button
+            type="button"
+            onClick={onStop}
+            className="absolute right-2 bottom-2 p-2.5 rounded-full transition-all duration-200 bg-red-500 dark:bg-red-600 text-white shadow-md hover:bg-red-600 dark:hover:bg-red-500 hover:shadow-lg transform hover:scale-105 active:scale-95"
+            title={t("chat.stopGeneration")}
+          >
+            <Square size={20} fill="currentColor" />
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!canSend}
+            className={`absolute right-2 bottom-2 p-2.5 rounded-full transition-all duration-200
+            ${
+              !canSend
+                ? "bg-slate-200 dark:bg-slate-700 text-slate-400 dark:text-slate-500 cursor-not-allowed"
+                : "bg-blue-600 dark:bg-blue-500 text-white shadow-md hover:bg-blue-700 dark:hover:bg-blue-600 hover:shadow-lg transform hover:scale-105 active:scale-95"
+            }`}
+          >
+            <Send size={20} />
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default Composer;
@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ *  回答回饋按鈕 (Feedback Actions)
+ * ============================================================================
+ *  👍 / 👎 按下後在操作列下方展開小表單，可以選擇分類與留言再送出 (也可以直接送出)。
+ *  根節點使用 display: contents，按鈕與表單直接成為操作列 (flex-wrap) 的項目。
+ *  已送出的回饋記錄在訊息的 feedback 欄位上：{ rating, category, comment, status }
+ *  status: "sending" | "sent" | "queued" (送出失敗，稍後自動補送)
+ *          | "failed" (後端拒絕，error 是給使用者看的原因；可以再按一次重送)
+ */
+import React, { useState } from "react";
+import { ThumbsUp, ThumbsDown, CloudOff, AlertCircle } from "lucide-react";
+import { FEEDBACK_CATEGORIES } from "../lib/feedback";
+import { useI18n } from "../lib/i18n";
+
+const FeedbackForm = ({ rating, initial, onSubmit, onCancel }) => {
+  const { t } = useI18n();
+  const [category, setCategory] = useState(initial?.category || "");
+  const [comment, setComment] = useState(initial?.comment || "");
+
+  return (
+    <div className="basis-full order-last mt-1 p-3 space-y-2 bg-slate-50/60 dark:bg-slate-900/40 border border-blue-100 dark:border-slate-700 rounded-xl text-xs text-slate-600 dark:text-slate-300">
+      <div className="flex flex-wrap gap-1">
+        {FEEDBACK_CATEGORIES[rating].map((item) => (
+          <button
+            key={item}
+            type="button"
+            onClick={() => setCategory(item === category ? "" : item)}
+            className={`px-2 py-0.5 rounded-full border transition-colors ${
+              item === category
+                ? "border-blue-500 bg-blue-50 text-blue-600 dark:bg-slate-800 dark:text-blue-400"
+                : "border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800"
+            }`}
+          >
+            {t(`feedback.category.${item}`)}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={2}
+        placeholder={t("feedback.commentPlaceholder")}
+        className="w-full px-2 py-1.5 bg-slate-50 dark:bg-slate-800 border border-blue-100 dark:border-slate-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-200 dark:focus:ring-slate-600 resize-none"
+      />
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-2 py-1 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"
+        >
+          {t("common.cancel")}
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            onSubmit({ rating, category, comment: comment.trim() })
+          }
+          className="px-2 py-1 rounded-md bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600"
+        >
+          {t("common.send")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const FeedbackActions = ({ feedback, onSubmit }) => {
+  const { t } = useI18n();
+  const [openRating, setOpenRating] = useState(null); // 正在填寫的是 up 還是 down
+
+  const handleSubmit = (value) => {
+    setOpenRating(null);
+    onSubmit(value);
+  };
+
+  const buttonClassName = (rating) =>
+    `p-1.5 rounded-md transition-all ${
+      feedback?.rating === rating
+        ? "text-blue-600 dark:text-blue-400"
+        : "text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400"
+    }`;
+
+  return (
+    <div className="contents">
+      {feedback?.status === "queued" && (
+        <span className="self-center" title={t("feedback.queued")}>
+          <CloudOff size={12} className="text-amber-500" />
+        </span>
+      )}
+      {feedback?.status === "failed" && (
+        <span
+          role="alert"
+          className="self-center flex items-center gap-1 text-xs text-red-500"
+        >
+          <AlertCircle size={12} className="flex-none" />
+          {t("feedback.failed", { message: feedback.error })}
+        </span>
+      )}
+      <button
+        onClick={() => setOpenRating(openRating === "up" ? null : "up")}
+        className={buttonClassName("up")}
+        title={t("feedback.good")}
+      >
+        <ThumbsUp size={14} />
+      </button>
+      <button
+        onClick={() => setOpenRating(openRating === "down" ? null : "down")}
+        className={buttonClassName("down")}
+        title={t("feedback.bad")}
+      >
+        <ThumbsDown size={14} />
+      </button>
+
+      {openRating && (
+        <FeedbackForm
+          key={openRating}
+          rating={openRating}
+          initial={feedback?.rating === openRating ? feedback : null}
+          onSubmit={handleSubmit}
+          onCancel={() => setOpenRating(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default FeedbackActions;
@@ -0,0 +1,31 @@
+/**
+ * ============================================================================
+ *  語法高亮 (Highlighted Code)
+ * ============================================================================
+ *  只被 CodeBlock 以 React.lazy 載入：第一次出現程式碼區塊時才下載高亮套件，
+ *  各語言的文法也是用到時才非同步載入 (PrismAsyncLight)。
+ */
+import React from "react";
+import SyntaxHighlighter from "react-syntax-highlighter/dist/esm/prism-async-light";
+import vscDarkPlus from "react-syntax-highlighter/dist/esm/styles/prism/vsc-dark-plus";
+
+const HighlightedCode = ({ code, language, showLineNumbers }) => (
+  <SyntaxHighlighter
+    language={language || "text"}
+    style={vscDarkPlus}
+    showLineNumbers={showLineNumbers}
+    lineNumberStyle={{ minWidth: "2.5em", opacity: 0.4 }}
+    customStyle={{
+      margin: 0,
+      padding: "0.75rem",
+      borderRadius: 0,
+      background: "#1e1e1e",
+      fontSize: "13px",
+    }}
+    codeTagProps={{ className: "font-mono leading-relaxed" }}
+  >
+    {code}
+  </SyntaxHighlighter>
+);
+
+export default HighlightedCode;
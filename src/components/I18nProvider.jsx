@@ -0,0 +1,36 @@
+/**
+ * ============================================================================
+ *  語系 Provider (I18n Provider)
+ * ============================================================================
+ *  保存目前的介面語系，切換時先更新 lib/i18n 的目前語系 (lib 裡的 t() 立刻生效)，
+ *  再更新 state 讓所有使用 useI18n() 的元件重新渲染。
+ *  embedded：嵌入到其他頁面 (widget.jsx)，不修改外部頁面的 <html lang>
+ *  storageKey：語系存在哪個命名空間 (見 lib/storage.js)
+ */
+import React, { useMemo, useState } from "react";
+import { I18nContext, applyLocale, getInitialLocale } from "../lib/i18n";
+import { getStorage } from "../lib/storage";
+
+const I18nProvider = ({ children, embedded = false, storageKey }) => {
+  const storage = getStorage(storageKey);
+  const [locale, setLocaleState] = useState(() => {
+    const initial = getInitialLocale(storage);
+    applyLocale(initial, { embedded, storage });
+    return initial;
+  });
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale: (next) => {
+        applyLocale(next, { embedded, storage });
+        setLocaleState(next);
+      },
+    }),
+    [locale, embedded, storage]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,64 @@
+/**
+ * ============================================================================
+ *  外部連結確認 (Link Confirm Dialog)
+ * ============================================================================
+ *  開啟不在白名單中的外部連結前，先清楚顯示真正的網域，
+ *  讓使用者看出 `paypa1.com` 或 punycode (xn--) 之類的仿冒網址。
+ */
+import React from "react";
+import { ExternalLink, ShieldAlert } from "lucide-react";
+import { getHostname } from "../lib/linkSafety";
+import { useI18n } from "../lib/i18n";
+
+const LinkConfirmDialog = ({ url, onConfirm, onCancel }) => {
+  const { t } = useI18n();
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 backdrop-blur-sm p-4"
+      onClick={onCancel}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-md bg-white dark:bg-slate-900 border border-blue-100 dark:border-slate-800 rounded-2xl shadow-xl p-5 space-y-4"
+      >
+        <div className="flex items-center gap-2 text-amber-500">
+          <ShieldAlert size={20} />
+          <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">
+            {t("link.title")}
+          </h2>
+        </div>
+        <p className="text-sm text-slate-600 dark:text-slate-300">
+          {t("link.description")}
+        </p>
+        <div className="px-3 py-2 rounded-lg bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700">
+          <div className="font-mono font-bold text-slate-800 dark:text-slate-100">
+            {getHostname(url)}
+          </div>
+          <div className="font-mono text-xs text-slate-400 break-all mt-1">
+            {url}
+          </div>
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors text-sm font-medium"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className="flex items-center gap-1.5 px-4 py-2 rounded-lg bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors text-sm font-medium"
+          >
+            <ExternalLink size={14} />
+            {t("link.open")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LinkConfirmDialog;
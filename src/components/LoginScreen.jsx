@@ -0,0 +1,112 @@
+/**
+ * ============================================================================
+ *  登入畫面 (Login Screen)
+ * ============================================================================
+ *  認證方式為 login 且還沒登入 (或登入已過期) 時蓋在整個畫面上。
+ *  ChatInterface 不會被卸載，所以輸入框裡還沒送出的提問會保留到登入之後。
+ *  token 端點設定錯誤時，可以從這裡直接打開系統設定修改。
+ */
+import React, { useState } from "react";
+import { LogIn, Loader2, AlertCircle, Settings } from "lucide-react";
+import { login } from "../api/auth";
+import { useI18n } from "../lib/i18n";
+
+const inputClassName =
+  "w-full px-3 py-2 bg-slate-50 dark:bg-slate-800 border border-blue-100 dark:border-slate-700 text-slate-700 dark:text-slate-200 placeholder-slate-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-200 dark:focus:ring-slate-600 text-sm";
+
+const LoginScreen = ({ settings, isExpired, onLogin, onOpenSettings }) => {
+  const { t } = useI18n();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+    try {
+      onLogin(await login(settings, { username: username.trim(), password }));
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-slate-50/90 dark:bg-slate-950/90 backdrop-blur-sm p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white dark:bg-slate-900 border border-blue-100 dark:border-slate-800 rounded-2xl shadow-xl p-6 space-y-4"
+      >
+        <div className="text-center">
+          <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">
+            {settings.appTitle}
+          </h2>
+          <p className="text-xs text-slate-400 mt-1">{t("auth.loginHint")}</p>
+        </div>
+
+        {isExpired && (
+          <p className="px-3 py-2 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-xs text-amber-700 dark:text-amber-300">
+            {t("auth.sessionExpiredHint")}
+          </p>
+        )}
+
+        <label className="block">
+          <span className="block text-xs font-semibold text-slate-600 dark:text-slate-300 mb-1">
+            {t("auth.username")}
+          </span>
+          <input
+            autoFocus
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            className={inputClassName}
+          />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-semibold text-slate-600 dark:text-slate-300 mb-1">
+            {t("auth.password")}
+          </span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className={inputClassName}
+          />
+        </label>
+
+        {error && (
+          <p className="flex items-center gap-1 text-xs text-red-500">
+            <AlertCircle size={14} className="flex-none" />
+            {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username.trim() || !password}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors text-sm font-medium disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? (
+            <Loader2 size={16} className="animate-spin" />
+          ) : (
+            <LogIn size={16} />
+          )}
+          {t("auth.login")}
+        </button>
+        <button
+          type="button"
+          onClick={onOpenSettings}
+          className="w-full flex items-center justify-center gap-1 text-xs text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+        >
+          <Settings size={12} />
+          {t("sidebar.settings")}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
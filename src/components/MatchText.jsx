@@ -0,0 +1,25 @@
+/**
+ * ============================================================================
+ *  搜尋關鍵字標示 (Match Text)
+ * ============================================================================
+ *  純文字 (使用者訊息、程式碼區塊的原始碼) 中符合搜尋關鍵字的部分以 <mark> 標示。
+ *  Markdown 的文字由 lib/search.js 的 rehypeHighlightMatches 標示，使用同一個樣式。
+ */
+import React from "react";
+import { splitByQuery } from "../lib/search";
+
+// 搜尋關鍵字的標示樣式 (藍底的使用者訊息、深色的程式碼區塊與深色模式下都看得清楚)
+export const MATCH_CLASS_NAME = "bg-yellow-200 text-slate-900 rounded-sm";
+
+const MatchText = ({ text, query }) =>
+  splitByQuery(text, query).map((part, i) =>
+    part.isMatch ? (
+      <mark key={i} className={MATCH_CLASS_NAME}>
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+
+export default MatchText;
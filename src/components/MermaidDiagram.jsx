@@ -0,0 +1,74 @@
+/**
+ * ============================================================================
+ *  Mermaid 圖表 (Mermaid Diagram)
+ * ============================================================================
+ *  mermaid 套件很大，第一次遇到 ```mermaid 區塊時才動態載入。
+ *  語法還不完整 (串流到一半) 或寫錯時不會丟錯：保留上一次成功的圖，
+ *  從來沒有成功過就顯示 fallback (原始碼)。
+ *  深淺色依最近的 .dark 祖先決定 (獨立頁面是 <html>，嵌入模式是元件最外層)。
+ */
+import React, { useEffect, useId, useRef, useState } from "react";
+
+let mermaidPromise = null;
+
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = import("mermaid").then(({ default: mermaid }) => {
+      mermaid.initialize({ startOnLoad: false, securityLevel: "strict" });
+      return mermaid;
+    });
+  }
+  return mermaidPromise;
+};
+
+const MermaidDiagram = ({ code, fallback }) => {
+  const [svg, setSvg] = useState("");
+  const containerRef = useRef(null);
+  const renderId = `mermaid-${useId().replace(/:/g, "")}`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const render = async () => {
+      try {
+        const mermaid = await loadMermaid();
+        if (!(await mermaid.parse(code, { suppressErrors: true }))) return;
+
+        const isDark = Boolean(containerRef.current?.closest(".dark"));
+        mermaid.initialize({
+          startOnLoad: false,
+          securityLevel: "strict",
+          theme: isDark ? "dark" : "default",
+        });
+        const result = await mermaid.render(renderId, code);
+        if (!cancelled) setSvg(result.svg);
+      } catch (err) {
+        console.warn("Failed to render mermaid diagram:", err);
+      }
+    };
+    render();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, renderId]);
+
+  // 還沒畫出圖時也要有一個元素，才能找到所在的深淺色範圍
+  if (!svg) {
+    return (
+      <div ref={containerRef} className="contents">
+        {fallback}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="flex justify-center p-3 bg-white dark:bg-slate-900 overflow-x-auto"
+      dangerouslySetInnerHTML={{ __html: svg }}
+    />
+  );
+};
+
+export default MermaidDiagram;
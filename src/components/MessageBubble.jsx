@@ -0,0 +1,405 @@
+/**
+ * ============================================================================
+ *  訊息氣泡 (MessageBubble)
+ * ============================================================================
+ *  一則訊息：頭像、內容、錯誤與重試、操作按鈕 (複製 / 朗讀 / 回饋 / 重新生成)、工具時間軸、
+ *  工具核准卡片、狀態膠囊，以及底部的時間、分支切換與編輯按鈕。
+ *  狀態與操作都來自 useChatAgent() 的回傳值 (chat)。
+ *  highlight / isActiveMatch：搜尋列的關鍵字，以及這則訊息是否為目前選到的搜尋結果。
+ *
+ *  可以覆寫的部分 (render props)：
+ *  - renderAvatar(message)：頭像
+ *  - renderContent(message)：訊息內容 (預設是 MessageContent 的 Markdown)
+ *  - renderActions(message, defaultActions)：氣泡底部的操作按鈕
+ *  - renderStatus(status)：狀態膠囊 (預設是 StatusCapsule)
+ */
+import React, { useState, useSyncExternalStore } from "react";
+import { motion as Motion } from "framer-motion";
+import {
+  Bot,
+  User,
+  AlertCircle,
+  Copy,
+  Check,
+  Pencil,
+  RotateCcw,
+  ChevronLeft,
+  ChevronRight,
+  RotateCw,
+  Volume2,
+  VolumeX,
+} from "lucide-react";
+import MessageContent from "./MessageContent";
+import StatusCapsule from "./StatusCapsule";
+import ToolTimeline from "./ToolTimeline";
+import FeedbackActions from "./FeedbackActions";
+import MessageMetrics from "./MessageMetrics";
+import ApprovalCard from "./ApprovalCard";
+import { getBranchInfo } from "../lib/branches";
+import {
+  getSpeakingId,
+  isSpeechSynthesisSupported,
+  speak,
+  stopSpeaking,
+  subscribeSpeech,
+} from "../lib/speech";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * 子元件：複製按鈕 (CopyAction)
+ * 點擊後複製文字，並將圖示暫時變為「打勾」，2秒後變回。
+ */
+const CopyAction = ({ content }) => {
+  const { t } = useI18n();
+  const [isCopied, setIsCopied] = useState(false);
+
+  const handleCopy = async () => {
+    if (!content) return;
+    try {
+      await navigator.clipboard.writeText(content); // 瀏覽器原生的剪貼簿 API
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000); // 2秒後重置狀態
+    } catch (err) {
+      console.error("Failed to copy:", err);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      className="p-1.5 rounded-md text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400 transition-all"
+      title={t("message.copy")}
+    >
+      {isCopied ? (
+        <Check size={14} className="text-green-500" />
+      ) : (
+        <Copy size={14} />
+      )}
+    </button>
+  );
+};
+
+/**
+ * 子元件：朗讀按鈕 (ReadAloudAction)
+ * 用瀏覽器的語音合成朗讀回答 (略過程式碼區塊與表格)，朗讀中再按一次停止。
+ */
+const ReadAloudAction = ({ id, content }) => {
+  const { t, locale } = useI18n();
+  const speakingId = useSyncExternalStore(subscribeSpeech, getSpeakingId);
+  const isSpeaking = speakingId === id;
+
+  return (
+    <button
+      onClick={() =>
+        isSpeaking ? stopSpeaking() : speak(id, content, { lang: locale })
+      }
+      className={`p-1.5 rounded-md hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400 transition-all ${
+        isSpeaking ? "text-blue-600 dark:text-blue-400" : "text-slate-400"
+      }`}
+      title={isSpeaking ? t("message.stopReading") : t("message.readAloud")}
+    >
+      {isSpeaking ? <VolumeX size={14} /> : <Volume2 size={14} />}
+    </button>
+  );
+};
+
+/**
+ * 子元件：重新生成按鈕 (RegenerateAction)
+ * 放在 CopyAction 旁邊，舊的回答會保留成另一個分支。
+ */
+const RegenerateAction = ({ onClick, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className="p-1.5 rounded-md text-slate-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-slate-700 dark:hover:text-blue-400 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+      title={t("message.regenerate")}
+    >
+      <RotateCcw size={14} />
+    </button>
+  );
+};
+
+/**
+ * 子元件：分支切換 (BranchSwitcher)
+ * 顯示「‹ 2/3 ›」，切換同一個位置的不同版本。
+ */
+const BranchSwitcher = ({ info, onSwitch, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <span className="inline-flex items-center gap-0.5 font-mono">
+      <button
+        onClick={() => onSwitch(info.active - 1)}
+        disabled={disabled || info.active === 0}
+        className="p-0.5 rounded hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-40 disabled:cursor-not-allowed"
+        title={t("message.previousVersion")}
+      >
+        <ChevronLeft size={12} />
+      </button>
+      <span>
+        {info.active + 1}/{info.total}
+      </span>
+      <button
+        onClick={() => onSwitch(info.active + 1)}
+        disabled={disabled || info.active === info.total - 1}
+        className="p-0.5 rounded hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-40 disabled:cursor-not-allowed"
+        title={t("message.nextVersion")}
+      >
+        <ChevronRight size={12} />
+      </button>
+    </span>
+  );
+};
+
+/**
+ * 子元件：編輯使用者訊息 (MessageEditor)
+ * 草稿只存在這個元件裡，按下「送出」才會產生新的分支。
+ */
+const MessageEditor = ({ initialText, onSubmit, onCancel }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(initialText);
+
+  return (
+    <div className="flex flex-col gap-2 min-w-[16rem]">
+      <textarea
+        autoFocus
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") onCancel();
+          if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            onSubmit(draft);
+          }
+        }}
+        rows={Math.min(8, Math.max(2, draft.split("\n").length))}
+        className="w-full bg-blue-500/40 text-white placeholder-blue-100 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-white/50 resize-y"
+      />
+      <div className="flex justify-end gap-2 text-xs">
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 rounded-md text-blue-100 hover:bg-blue-500/50 transition-colors"
+        >
+          {t("common.cancel")}
+        </button>
+        <button
+          onClick={() => onSubmit(draft)}
+          disabled={!draft.trim()}
+          className="px-3 py-1 rounded-md bg-white text-blue-600 font-medium hover:bg-blue-50 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {t("common.send")}
+        </button>
+      </div>
+    </div>
+  );
+};
+const defaultAvatar = (message) =>
+  message.type === "user" ? <User size={20} /> : <Bot size={20} />;
+
+const MessageBubble = ({
+  chat,
+  message: msg,
+  index,
+  isEditing,
+  onStartEdit,
+  onCancelEdit,
+  onConfirmLink,
+  animate = false,
+  highlight,
+  isActiveMatch = false,
+  renderAvatar = defaultAvatar,
+  renderContent,
+  renderActions,
+  renderStatus = (status) => <StatusCapsule status={status} />,
+}) => {
+  const { t, formatMessageTime } = useI18n();
+  const { messages, isLoading, isOnline, pendingInterrupt, status } = chat;
+  const isUser = msg.type === "user";
+  const isLast = index === messages.length - 1;
+  const isStreaming = isLoading && isLast;
+  const branchInfo = getBranchInfo(messages, index);
+
+  // 操作按鈕：複製與朗讀 (非錯誤時)、回饋 (開場白以外已完成的回答) 與重新生成 (回應使用者提問的 AI 訊息)
+  const defaultActions = (
+    <>
+      {!msg.isError && <CopyAction content={msg.content} />}
+      {!msg.isError && !isStreaming && isSpeechSynthesisSupported() && (
+        <ReadAloudAction id={msg.id} content={msg.content} />
+      )}
+      {!msg.isError && index > 0 && !isStreaming && (
+        <FeedbackActions
+          feedback={msg.feedback}
+          onSubmit={(feedback) => chat.submitFeedback(msg, feedback)}
+        />
+      )}
+      {messages[index - 1]?.type === "user" && (
+        <RegenerateAction
+          onClick={() => chat.regenerate(index)}
+          disabled={isLoading || pendingInterrupt}
+        />
+      )}
+    </>
+  );
+
+  return (
+    <Motion.div
+      // 捲回來重新掛載的舊訊息不需要進場動畫
+      initial={animate ? { opacity: 0, y: 10 } : false}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className={`flex items-start gap-3 ${isUser ? "flex-row-reverse" : ""}`}
+    >
+      {/* 頭像 */}
+      <div
+        className={`flex-none w-10 h-10 rounded-full flex items-center justify-center shadow-sm border
+      ${
+        isUser
+          ? "bg-blue-600 text-white border-blue-600"
+          : "bg-white dark:bg-slate-800 text-blue-600 dark:text-blue-400 border-blue-100 dark:border-slate-700"
+      }`}
+      >
+        {renderAvatar(msg)}
+      </div>
+
+      {/* 氣泡框 */}
+      <div
+        className={`flex flex-col max-w-[85%] ${
+          isUser ? "items-end" : "items-start"
+        }`}
+      >
+        <div
+          className={`px-5 py-3.5 rounded-2xl shadow-sm text-[15px] leading-relaxed overflow-hidden relative group
+        ${
+          isUser
+            ? "bg-blue-600 text-white rounded-tr-none"
+            : "bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-blue-100 dark:border-slate-700 rounded-tl-none"
+        } 
+        ${isActiveMatch ? "ring-2 ring-yellow-400" : ""}
+        ${
+          msg.isError
+            ? "border-red-200 bg-red-50 text-red-600 dark:bg-red-900/20 dark:border-red-800 dark:text-red-300"
+            : ""
+        }`}
+        >
+          {msg.isError && !msg.errorMessage && (
+            <AlertCircle size={16} className="inline-block mr-2 -mt-1" />
+          )}
+
+          {/* 渲染訊息內容 (使用者訊息可切換成編輯模式) */}
+          {isEditing ? (
+            <MessageEditor
+              initialText={msg.content}
+              onCancel={onCancelEdit}
+              onSubmit={(text) => {
+                onCancelEdit();
+                if (text.trim() && text !== msg.content) {
+                  chat.editMessage(index, text);
+                }
+              }}
+            />
+          ) : renderContent ? (
+            renderContent(msg)
+          ) : (
+            <MessageContent
+              content={msg.content}
+              isUser={isUser}
+              attachments={msg.attachments}
+              isStreaming={isStreaming}
+              safety={chat.settings}
+              onConfirmLink={onConfirmLink}
+              highlight={highlight}
+            />
+          )}
+
+          {/* 打字機游標 (Cursor) */}
+          {!isUser && isStreaming && !status && (
+            <span className="inline-block w-1.5 h-4 ml-1 align-middle bg-blue-400 animate-pulse"></span>
+          )}
+
+          {/* 串流失敗：保留已收到的文字，顯示原因與重試按鈕 */}
+          {msg.isError && msg.errorMessage && (
+            <div className="flex items-center gap-2 mt-2 text-xs">
+              <AlertCircle size={14} className="flex-none" />
+              <span>
+                {t(
+                  msg.content ? "chat.answerInterrupted" : "chat.answerFailed",
+                  { message: msg.errorMessage }
+                )}
+              </span>
+              {isLast && (
+                <button
+                  onClick={() => chat.retry(index)}
+                  disabled={isLoading || !isOnline}
+                  className="ml-auto flex items-center gap-1 px-2 py-0.5 rounded-md border border-red-200 dark:border-red-800 hover:bg-red-100 dark:hover:bg-red-900/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RotateCw size={12} />
+                  {t("common.retry")}
+                </button>
+              )}
+            </div>
+          )}
+
+          {!isUser &&
+            (!msg.isError || messages[index - 1]?.type === "user") && (
+              <div className="mt-2 flex flex-wrap justify-end gap-1 border-t border-slate-100 dark:border-slate-700/50 pt-1">
+                {renderActions
+                  ? renderActions(msg, defaultActions)
+                  : defaultActions}
+              </div>
+            )}
+        </div>
+
+        {/* 工具呼叫時間軸 (Tool Timeline) */}
+        {!isUser && <ToolTimeline steps={msg.steps} />}
+
+        {/* 工具核准卡片 (Human-in-the-loop) */}
+        {msg.interrupt && (
+          <ApprovalCard
+            interrupt={msg.interrupt}
+            disabled={isLoading}
+            onResolve={(action, args) =>
+              chat.resolveInterrupt(msg, action, args)
+            }
+          />
+        )}
+
+        {/* MCP 狀態顯示 (Status Capsule) */}
+        {!isUser && isStreaming && status && renderStatus(status)}
+
+        {/* 時間戳 (被使用者中斷的回答會加註「已停止」) + 分支切換 + 編輯 */}
+        <span className="flex items-center gap-2 text-[10px] text-slate-400 mt-1 px-1 opacity-70">
+          {branchInfo && (
+            <BranchSwitcher
+              info={branchInfo}
+              onSwitch={(target) => chat.selectBranch(index, target)}
+              disabled={isLoading}
+            />
+          )}
+          {isUser && !isLoading && !pendingInterrupt && !isEditing && (
+            <button
+              onClick={onStartEdit}
+              className="p-0.5 rounded hover:text-blue-600 dark:hover:text-blue-400"
+              title={t("message.edit")}
+            >
+              <Pencil size={12} />
+            </button>
+          )}
+          <span>{formatMessageTime(msg)}</span>
+          {!isUser && (
+            <MessageMetrics
+              metrics={msg.metrics}
+              usage={msg.usage}
+              model={msg.model}
+            />
+          )}
+          {msg.isStopped && (
+            <span className="text-amber-500">· {t("chat.stopped")}</span>
+          )}
+        </span>
+      </div>
+    </Motion.div>
+  );
+};
+
+export default MessageBubble;
@@ -0,0 +1,176 @@
+/**
+ * ============================================================================
+ *  訊息內容渲染器 (MessageContent)
+ * ============================================================================
+ *  負責判斷是「使用者」還是「AI」，並決定要顯示純文字還是 Markdown。
+ *  程式碼區塊交給 CodeBlock (延遲載入的語法高亮、mermaid 圖表，串流中先顯示純文字)，
+ *  數學式由 remark-math + rehype-katex 渲染 (KaTeX 的樣式由入口引入：main.jsx、index.js，
+ *  widget.jsx 則注入 Shadow DOM)。
+ *  highlight：搜尋列的關鍵字，符合的文字以 <mark> 標示 (程式碼區塊由 CodeBlock 標示，數學式不標示)。
+ *  以 memo 包起來：內容沒變的訊息 (也就是所有已完成的訊息) 不會重新解析 Markdown。
+ */
+import React, { memo } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import rehypeKatex from "rehype-katex";
+import CodeBlock from "./CodeBlock";
+import RemoteImage from "./RemoteImage";
+import AttachmentList from "./AttachmentList";
+import { getImagePolicy, getLinkPolicy, sanitizeUrl } from "../lib/linkSafety";
+import { useI18n } from "../lib/i18n";
+import { rehypeHighlightMatches } from "../lib/search";
+import MatchText, { MATCH_CLASS_NAME } from "./MatchText";
+
+const MessageContent = memo(function MessageContent({
+  content,
+  isUser,
+  attachments,
+  isStreaming,
+  safety,
+  onConfirmLink,
+  highlight,
+}) {
+  const { t } = useI18n();
+  // 防呆機制：確保 content 是字串，避免 undefined 導致崩潰
+  const safeContent = content ? String(content) : "";
+
+  // [重要修正] 使用者訊息：
+  // 因為背景是深藍色 (bg-blue-600)，所以文字必須強制設為白色 (text-white)
+  // 有附件時，縮圖 / 檔名顯示在文字上方
+  if (isUser) {
+    return (
+      <div className="whitespace-pre-wrap break-words text-white">
+        <AttachmentList attachments={attachments} inBubble />
+        <MatchText text={safeContent} query={highlight} />
+      </div>
+    );
+  }
+
+  // AI 訊息：使用 ReactMarkdown 渲染
+  return (
+    <div className="markdown-body text-sm text-slate-800 dark:text-slate-200">
+      <ReactMarkdown
+        urlTransform={sanitizeUrl} // 只允許 http / https / mailto 與相對路徑
+        remarkPlugins={[remarkGfm, remarkMath]} // 支援表格、刪除線與 $...$ / $$...$$ 數學式
+        // 串流到一半的公式語法不完整：不丟錯，改以紅字顯示原始內容
+        // 搜尋關鍵字在 KaTeX 之後標示，才能略過產生出來的數學式節點
+        rehypePlugins={[
+          [rehypeKatex, { throwOnError: false, strict: "ignore" }],
+          [
+            rehypeHighlightMatches,
+            { query: highlight, className: MATCH_CLASS_NAME.split(" ") },
+          ],
+        ]}
+        components={{
+          // === 區塊程式碼 (Block Code) ===
+          // react-markdown 會把區塊程式碼包在 <pre> 裡，在這裡整塊交給 CodeBlock
+          pre({ children }) {
+            const { className, children: code } = children?.props || {};
+            const match = /language-([\w+-]+)/.exec(className || "");
+            return (
+              <CodeBlock
+                code={String(code ?? "").replace(/\n$/, "")}
+                language={match ? match[1].toLowerCase() : ""}
+                isStreaming={isStreaming}
+                highlight={highlight}
+              />
+            );
+          },
+          // === 行內程式碼 (Inline Code) ===
+          code({ node, ...props }) {
+            return (
+              <code
+                {...props}
+                className="bg-slate-100 dark:bg-slate-800 text-pink-500 dark:text-pink-400 px-1.5 py-0.5 rounded font-mono text-sm border border-slate-200 dark:border-slate-700 mx-0.5"
+              />
+            );
+          },
+          // 自定義連結 (強制開新視窗)
+          // 網址已先經過 sanitizeUrl；再依網域清單決定直接開啟、先確認或封鎖
+          a: ({ node, href, children, ...props }) => {
+            const policy = getLinkPolicy(href, safety);
+            if (policy === "block") {
+              return (
+                <span
+                  className="text-slate-400 line-through"
+                  title={t("message.blockedLink", { href: href || "" })}
+                >
+                  {children}
+                </span>
+              );
+            }
+            return (
+              <a
+                {...props}
+                href={href}
+                target="_blank"
+                rel="noopener noreferrer nofollow"
+                onClick={(e) => {
+                  if (policy !== "confirm") return;
+                  e.preventDefault();
+                  onConfirmLink(href);
+                }}
+                className="text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                {children}
+              </a>
+            );
+          },
+          // 遠端圖片預設不載入 (見 lib/linkSafety.js)
+          img: ({ src, alt }) => (
+            <RemoteImage
+              src={src}
+              alt={alt}
+              policy={getImagePolicy(src, safety)}
+            />
+          ),
+          // 自定義表格樣式
+          table: ({ node, ...props }) => (
+            <div className="overflow-x-auto my-3 border border-slate-200 dark:border-slate-700 rounded-lg">
+              <table {...props} className="min-w-full text-sm text-left" />
+            </div>
+          ),
+          thead: ({ node, ...props }) => (
+            <thead
+              {...props}
+              className="bg-slate-50 dark:bg-slate-800 font-semibold"
+            />
+          ),
+          th: ({ node, ...props }) => (
+            <th
+              {...props}
+              className="px-4 py-2 border-b border-slate-200 dark:border-slate-700"
+            />
+          ),
+          td: ({ node, ...props }) => (
+            <td
+              {...props}
+              className="px-4 py-2 border-b border-slate-100 dark:border-slate-800"
+            />
+          ),
+          // 其他基本樣式
+          ul: ({ node, ...props }) => (
+            <ul
+              {...props}
+              className="list-disc list-outside ml-5 my-2 space-y-1"
+            />
+          ),
+          ol: ({ node, ...props }) => (
+            <ol
+              {...props}
+              className="list-decimal list-outside ml-5 my-2 space-y-1"
+            />
+          ),
+          p: ({ node, ...props }) => (
+            <p {...props} className="mb-2 last:mb-0 leading-7" />
+          ),
+        }}
+      >
+        {safeContent}
+      </ReactMarkdown>
+    </div>
+  );
+});
+
+export default MessageContent;
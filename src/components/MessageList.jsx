@@ -0,0 +1,185 @@
+/**
+ * ============================================================================
+ *  訊息列表 (MessageList)
+ * ============================================================================
+ *  虛擬化：只渲染畫面附近的訊息，每一列的實際高度由 measureElement 量測。
+ *  自動捲動：內容長高 (新訊息、串流文字、高度量測完成) 時，只有在「跟隨中」才捲到底部；
+ *  使用者往上捲動就停止跟隨，改顯示「跳到最新」按鈕。切換對話時會重新跟隨。
+ *
+ *  搜尋：search = { query, activeMessageId }，符合的文字會被標示，
+ *  activeMessageId 改變時把那一則訊息捲到畫面中間 (並停止自動跟隨)。
+ *
+ *  renderMessage(props) 可以換掉每一則訊息的呈現，props 就是 MessageBubble 的 props：
+ *    <MessageList chat={chat} renderMessage={(props) => (
+ *      <MessageBubble {...props} renderAvatar={() => <img src="/bot.png" />} />
+ *    )} />
+ */
+import React, { useState, useRef, useEffect } from "react";
+import { ArrowDown } from "lucide-react";
+import { useVirtualizer } from "@tanstack/react-virtual";
+import MessageBubble from "./MessageBubble";
+import { useI18n } from "../lib/i18n";
+
+const defaultRenderMessage = (props) => <MessageBubble {...props} />;
+
+const MessageList = ({
+  chat,
+  onConfirmLink,
+  search,
+  renderMessage = defaultRenderMessage,
+}) => {
+  const { t } = useI18n();
+  const { messages, threadId, isHydrating } = chat;
+  // 從後端讀回紀錄時，還沒有本地內容可以顯示 (只有開場白) 就先放骨架
+  const showSkeleton = isHydrating && !messages.some((m) => m.type === "user");
+  const [editingMessageId, setEditingMessageId] = useState(null); // 正在編輯的使用者訊息
+  const [showJumpToLatest, setShowJumpToLatest] = useState(false); // 往上捲動後顯示「跳到最新」
+
+  const scrollContainerRef = useRef(null); // 訊息列表的捲動容器
+  const messagesContentRef = useRef(null); // 訊息列表的內容 (高度會隨串流長高)
+  const isFollowingRef = useRef(true); // 是否跟著最新訊息自動捲到底部
+  const scrolledMatchIdRef = useRef(null); // 最後一個捲到畫面中間的搜尋結果
+
+  const virtualizer = useVirtualizer({
+    count: messages.length,
+    getScrollElement: () => scrollContainerRef.current,
+    getItemKey: (index) => messages[index].id,
+    estimateSize: () => 120,
+    overscan: 6,
+    paddingStart: 16,
+    paddingEnd: 16,
+  });
+
+  // 捲到最底部並恢復跟隨 (捲動事件會順便收起「跳到最新」按鈕)
+  const followLatest = () => {
+    isFollowingRef.current = true;
+    const container = scrollContainerRef.current;
+    if (container) container.scrollTop = container.scrollHeight;
+  };
+
+  useEffect(() => {
+    const container = scrollContainerRef.current;
+    const content = messagesContentRef.current;
+    if (!container || !content) return;
+
+    const observer = new ResizeObserver(() => {
+      if (isFollowingRef.current) container.scrollTop = container.scrollHeight;
+    });
+    observer.observe(content);
+    return () => observer.disconnect();
+  }, []);
+
+  // 切換對話後從最底部開始看
+  useEffect(() => {
+    isFollowingRef.current = true;
+    const container = scrollContainerRef.current;
+    if (container) container.scrollTop = container.scrollHeight;
+  }, [threadId]);
+
+  // 搜尋結果：把目前選到的訊息捲到畫面中間
+  const activeMessageId = search?.activeMessageId;
+  useEffect(() => {
+    // 只在選到另一個結果時捲動 (串流更新 messages 時不要把畫面拉回去)
+    if (activeMessageId === scrolledMatchIdRef.current) return;
+    const index = messages.findIndex((m) => m.id === activeMessageId);
+    if (index === -1) {
+      scrolledMatchIdRef.current = null;
+      return;
+    }
+    scrolledMatchIdRef.current = activeMessageId;
+    isFollowingRef.current = false;
+    virtualizer.scrollToIndex(index, { align: "center" });
+  }, [activeMessageId, messages, virtualizer]);
+
+  // 使用者往上捲動 (離底部超過 80px) 就停止自動跟隨
+  const handleScroll = () => {
+    const container = scrollContainerRef.current;
+    const isAtBottom =
+      container.scrollHeight - container.scrollTop - container.clientHeight <
+      80;
+    isFollowingRef.current = isAtBottom;
+    setShowJumpToLatest(!isAtBottom);
+  };
+
+  return (
+    <div className="flex-1 min-h-0 relative">
+      <div
+        ref={scrollContainerRef}
+        onScroll={handleScroll}
+        className="h-full overflow-y-auto bg-gradient-to-b from-slate-50 to-blue-50/30 dark:from-slate-950 dark:to-slate-900"
+      >
+        {/* 載入紀錄中的骨架 */}
+        {showSkeleton && (
+          <div
+            className="max-w-4xl mx-auto px-4 py-4 space-y-6 animate-pulse"
+            role="status"
+            aria-label={t("chat.loadingHistory")}
+          >
+            {[0.5, 0.75, 0.4, 0.65].map((width, i) => (
+              <div
+                key={i}
+                className={`flex items-start gap-3 ${
+                  i % 2 === 0 ? "flex-row-reverse" : ""
+                }`}
+              >
+                <div className="flex-none w-10 h-10 rounded-full bg-slate-200 dark:bg-slate-800" />
+                <div
+                  className="h-14 rounded-2xl bg-slate-200 dark:bg-slate-800"
+                  style={{ width: `${width * 100}%` }}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        <div
+          ref={messagesContentRef}
+          className={`relative w-full ${showSkeleton ? "hidden" : ""}`}
+          style={{ height: virtualizer.getTotalSize() }}
+        >
+          {virtualizer.getVirtualItems().map((virtualRow) => {
+            const index = virtualRow.index;
+            const msg = messages[index];
+            return (
+              <div
+                key={virtualRow.key}
+                data-index={index}
+                ref={virtualizer.measureElement}
+                className="absolute top-0 left-0 w-full px-4 pb-6"
+                style={{ transform: `translateY(${virtualRow.start}px)` }}
+              >
+                {renderMessage({
+                  chat,
+                  message: msg,
+                  index,
+                  animate: index === messages.length - 1,
+                  isEditing: editingMessageId === msg.id,
+                  highlight: search?.query,
+                  isActiveMatch: activeMessageId === msg.id,
+                  onStartEdit: () => setEditingMessageId(msg.id),
+                  onCancelEdit: () => setEditingMessageId(null),
+                  onConfirmLink,
+                })}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* 跳到最新訊息 (往上捲動後才出現) */}
+      {showJumpToLatest && (
+        <button
+          onClick={() => {
+            setShowJumpToLatest(false);
+            followLatest();
+          }}
+          className="absolute bottom-4 left-1/2 -translate-x-1/2 flex items-center gap-1.5 px-3 py-1.5 rounded-full bg-white dark:bg-slate-800 border border-blue-100 dark:border-slate-700 shadow-md text-xs text-slate-600 dark:text-slate-300 hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+        >
+          <ArrowDown size={14} />
+          {t("chat.jumpToLatest")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageList;
@@ -0,0 +1,48 @@
+/**
+ * ============================================================================
+ *  回答指標 (Message Metrics)
+ * ============================================================================
+ *  顯示在 AI 訊息時間戳旁：首字時間、總時間、token 數與費用 (有資料的才顯示)。
+ *  滑鼠移上去可以看到模型名稱與輸入 / 輸出 token 的明細。
+ */
+import React from "react";
+import { Timer, Coins } from "lucide-react";
+import {
+  describeUsage,
+  formatCost,
+  formatDuration,
+  formatTokens,
+} from "../lib/usage";
+import { useI18n } from "../lib/i18n";
+
+const MessageMetrics = ({ metrics, usage, model }) => {
+  const { t } = useI18n();
+  if (!metrics && !usage) return null;
+
+  return (
+    <span
+      className="flex items-center gap-2"
+      title={describeUsage(usage, model)}
+    >
+      {metrics && (
+        <span className="flex items-center gap-0.5">
+          <Timer size={10} />
+          {metrics.ttft != null &&
+            `${t("metrics.ttft", {
+              duration: formatDuration(metrics.ttft),
+            })} · `}
+          {formatDuration(metrics.duration)}
+        </span>
+      )}
+      {usage && (
+        <span className="flex items-center gap-0.5">
+          <Coins size={10} />
+          {formatTokens(usage.totalTokens)} tokens
+          {usage.cost != null && ` · ${formatCost(usage.cost)}`}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default MessageMetrics;
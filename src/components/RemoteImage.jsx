@@ -0,0 +1,56 @@
+/**
+ * ============================================================================
+ *  遠端圖片 (Remote Image)
+ * ============================================================================
+ *  依 getImagePolicy 的結果顯示 AI 回答中的圖片：
+ *  - allow：直接載入 (不送 Referer)
+ *  - click：顯示佔位按鈕，使用者點擊後才向遠端發出請求
+ *  - block：不安全的網址或黑名單網域，只顯示提示文字
+ */
+import React, { useState } from "react";
+import { ImageOff, Image as ImageIcon } from "lucide-react";
+import { getHostname } from "../lib/linkSafety";
+import { useI18n } from "../lib/i18n";
+
+const placeholderClassName =
+  "inline-flex items-center gap-2 my-1 px-3 py-2 rounded-lg border border-dashed border-slate-300 dark:border-slate-600 text-xs text-slate-500 dark:text-slate-400";
+
+const RemoteImage = ({ src, alt, policy }) => {
+  const { t } = useI18n();
+  const [isLoaded, setIsLoaded] = useState(false); // 使用者手動載入
+
+  if (policy === "block") {
+    return (
+      <span className={placeholderClassName} title={src}>
+        <ImageOff size={14} />
+        {alt ? t("image.blockedWithAlt", { alt }) : t("image.blocked")}
+      </span>
+    );
+  }
+
+  if (policy === "click" && !isLoaded) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsLoaded(true)}
+        className={`${placeholderClassName} hover:border-blue-300 hover:text-blue-600 dark:hover:text-blue-400 transition-colors`}
+        title={src}
+      >
+        <ImageIcon size={14} />
+        {t("image.load", { host: getHostname(src) })}
+      </button>
+    );
+  }
+
+  return (
+    <img
+      src={src}
+      alt={alt}
+      loading="lazy"
+      referrerPolicy="no-referrer"
+      className="max-w-full rounded-lg my-2"
+    />
+  );
+};
+
+export default RemoteImage;
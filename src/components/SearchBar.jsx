@@ -0,0 +1,137 @@
+/**
+ * ============================================================================
+ *  搜尋列 (Search Bar)
+ * ============================================================================
+ *  Ctrl/Cmd+F 開啟，搜尋目前對話的訊息內容：
+ *  - Enter / Shift+Enter (或 ↓ / ↑ 按鈕) 在符合的訊息之間移動，Esc 關閉
+ *  - 勾選「所有對話」時，下方另外列出其他本地對話中符合的結果，點擊後切換過去
+ *  符合的訊息與目前位置由外層計算 (見 lib/search.js)，這裡只負責輸入與顯示。
+ */
+import React from "react";
+import { Search, ChevronUp, ChevronDown, X, MessageSquare } from "lucide-react";
+import { useI18n } from "../lib/i18n";
+
+const SearchBar = ({
+  ref,
+  query,
+  onQueryChange,
+  matchCount,
+  activeIndex,
+  onNext,
+  onPrevious,
+  onClose,
+  isSearchingAllThreads,
+  onToggleAllThreads,
+  threadResults = [],
+  onOpenThread,
+}) => {
+  const { t } = useI18n();
+  const hasQuery = Boolean(query.trim());
+
+  const handleKeyDown = (e) => {
+    if (e.nativeEvent.isComposing) return; // 中文輸入法選字中，不處理
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (e.shiftKey) onPrevious();
+      else onNext();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="flex-none relative z-10 px-4 py-2 bg-white dark:bg-slate-900 border-b border-blue-100 dark:border-slate-800">
+      <div className="max-w-4xl mx-auto flex items-center gap-2">
+        <Search size={16} className="flex-none text-slate-400" />
+        <input
+          ref={ref}
+          autoFocus
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={t("search.placeholder")}
+          className="flex-1 min-w-0 bg-transparent text-sm text-slate-700 dark:text-slate-200 placeholder-slate-400 focus:outline-none"
+        />
+        {/* 目前位置 / 符合的訊息數 */}
+        {hasQuery && (
+          <span className="flex-none text-xs text-slate-400 tabular-nums">
+            {matchCount
+              ? `${activeIndex + 1} / ${matchCount}`
+              : t("search.noResults")}
+          </span>
+        )}
+        <button
+          onClick={onPrevious}
+          disabled={!matchCount}
+          className="flex-none p-1 rounded text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-40 disabled:cursor-not-allowed"
+          title={t("search.previous")}
+        >
+          <ChevronUp size={16} />
+        </button>
+        <button
+          onClick={onNext}
+          disabled={!matchCount}
+          className="flex-none p-1 rounded text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-40 disabled:cursor-not-allowed"
+          title={t("search.next")}
+        >
+          <ChevronDown size={16} />
+        </button>
+        <label className="flex-none flex items-center gap-1 text-xs text-slate-500 dark:text-slate-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={isSearchingAllThreads}
+            onChange={(e) => onToggleAllThreads(e.target.checked)}
+          />
+          {t("search.allThreads")}
+        </label>
+        <button
+          onClick={onClose}
+          className="flex-none p-1 rounded text-slate-400 hover:text-slate-600 dark:hover:text-slate-200"
+          title={t("search.close")}
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {/* 其他對話中符合的結果 */}
+      {isSearchingAllThreads && hasQuery && (
+        <div className="absolute left-4 right-4 top-full mt-1 max-w-4xl mx-auto max-h-64 overflow-y-auto py-1 bg-white dark:bg-slate-900 border border-blue-100 dark:border-slate-700 rounded-xl shadow-lg">
+          <div className="px-4 py-1.5 text-[11px] font-bold text-slate-400 uppercase tracking-wider">
+            {t("search.otherThreads")}
+          </div>
+          {threadResults.length === 0 && (
+            <p className="px-4 py-2 text-xs text-slate-400">
+              {t("search.noResults")}
+            </p>
+          )}
+          {threadResults.map(({ thread, count, snippet }) => (
+            <button
+              key={thread.id}
+              onClick={() => onOpenThread(thread.id)}
+              className="w-full flex items-start gap-2 px-4 py-2 text-left hover:bg-blue-50 dark:hover:bg-slate-800"
+            >
+              <MessageSquare
+                size={14}
+                className="flex-none mt-0.5 text-slate-400"
+              />
+              <span className="flex-1 min-w-0">
+                <span className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200">
+                  <span className="truncate">{thread.title}</span>
+                  <span className="flex-none text-[11px] text-slate-400">
+                    {t("search.matchCount", { count })}
+                  </span>
+                </span>
+                <span className="block truncate text-xs text-slate-400">
+                  {snippet}
+                </span>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,458 @@
+/**
+ * ============================================================================
+ *  系統設定視窗 (Settings Dialog)
+ * ============================================================================
+ *  編輯的是一份「草稿」，按下儲存才會交給 onSave 寫入 localStorage。
+ *  「測試連線」使用草稿中的網址與 headers，不需要先儲存 (login 模式會帶上目前的登入 token)。
+ */
+import React, { useState } from "react";
+import {
+  X,
+  Plus,
+  Trash2,
+  Loader2,
+  PlugZap,
+  CheckCircle2,
+  AlertCircle,
+} from "lucide-react";
+import { STREAM_FORMATS } from "../api/streamFormats";
+import {
+  DEFAULT_SETTINGS,
+  buildRequestHeaders,
+  testConnection,
+} from "../lib/settings";
+import { getAuthModes, getRequestHeaders } from "../api/auth";
+import { getHistoryPath } from "../api/threadHistory";
+import { useI18n } from "../lib/i18n";
+
+const inputClassName =
+  "w-full px-3 py-2 bg-slate-50 dark:bg-slate-800 border border-blue-100 dark:border-slate-700 text-slate-700 dark:text-slate-200 placeholder-slate-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-200 dark:focus:ring-slate-600 text-sm";
+
+// 單一欄位：標題 + 說明 + 輸入元件
+const Field = ({ label, hint, children }) => (
+  <label className="block">
+    <span className="block text-xs font-semibold text-slate-600 dark:text-slate-300 mb-1">
+      {label}
+    </span>
+    {children}
+    {hint && (
+      <span className="block text-[11px] text-slate-400 mt-1">{hint}</span>
+    )}
+  </label>
+);
+
+const Section = ({ title, children }) => (
+  <section className="space-y-3">
+    <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+      {title}
+    </h3>
+    {children}
+  </section>
+);
+
+const SettingsDialog = ({ settings, onSave, onClose }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(settings);
+  const [testResult, setTestResult] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+
+  const update = (field) => (e) =>
+    setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const updateHeader = (index, field, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      headers: prev.headers.map((h, i) =>
+        i === index ? { ...h, [field]: value } : h
+      ),
+    }));
+
+  const handleTest = async () => {
+    setIsTesting(true);
+    setTestResult(null);
+    const headers = await getRequestHeaders(draft).catch(() =>
+      buildRequestHeaders(draft)
+    );
+    setTestResult(await testConnection(draft, { headers }));
+    setIsTesting(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...draft,
+      headers: draft.headers.filter((h) => h.key.trim()),
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 backdrop-blur-sm p-4"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg max-h-[90vh] flex flex-col bg-white dark:bg-slate-900 border border-blue-100 dark:border-slate-800 rounded-2xl shadow-xl"
+      >
+        {/* 標題列 */}
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-100 dark:border-slate-800">
+          <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">
+            {t("settings.title")}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1.5 rounded-lg text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* 設定內容 */}
+        <div className="flex-1 overflow-y-auto px-5 py-4 space-y-6">
+          <Section title={t("settings.connection")}>
+            <Field label={t("settings.apiBaseUrl")}>
+              <input
+                value={draft.apiBaseUrl}
+                onChange={update("apiBaseUrl")}
+                placeholder={DEFAULT_SETTINGS.apiBaseUrl}
+                className={inputClassName}
+              />
+            </Field>
+            <Field
+              label={t("settings.streamFormat")}
+              hint={t("settings.streamFormatHint")}
+            >
+              <select
+                value={draft.streamFormat}
+                onChange={update("streamFormat")}
+                className={inputClassName}
+              >
+                {STREAM_FORMATS.map((format) => (
+                  <option key={format} value={format}>
+                    {format}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            {draft.streamFormat === "langgraph" && (
+              <Field label="Assistant ID">
+                <input
+                  value={draft.assistantId}
+                  onChange={update("assistantId")}
+                  className={inputClassName}
+                />
+              </Field>
+            )}
+            <Field
+              label={t("settings.historyPath")}
+              hint={t("settings.historyPathHint")}
+            >
+              <input
+                value={draft.historyPath}
+                onChange={update("historyPath")}
+                placeholder={getHistoryPath({
+                  streamFormat: draft.streamFormat,
+                })}
+                className={inputClassName}
+              />
+            </Field>
+            <Field
+              label={t("settings.transcriptionUrl")}
+              hint={t("settings.transcriptionUrlHint")}
+            >
+              <input
+                value={draft.transcriptionUrl}
+                onChange={update("transcriptionUrl")}
+                placeholder={t("settings.transcriptionUrlPlaceholder")}
+                className={inputClassName}
+              />
+            </Field>
+            <Field
+              label={t("settings.transcriptionModel")}
+              hint={t("settings.transcriptionModelHint")}
+            >
+              <input
+                value={draft.transcriptionModel}
+                onChange={update("transcriptionModel")}
+                placeholder="whisper-1"
+                className={inputClassName}
+              />
+            </Field>
+            <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+              <input
+                type="checkbox"
+                checked={draft.resumeStreams}
+                onChange={(e) =>
+                  setDraft((prev) => ({
+                    ...prev,
+                    resumeStreams: e.target.checked,
+                  }))
+                }
+              />
+              {t("settings.resumeStreams")}
+            </label>
+            {/* 認證方式 (見 api/auth.js) */}
+            <Field
+              label={t("settings.authMode")}
+              hint={t("settings.authModeHint")}
+            >
+              <select
+                value={draft.authMode}
+                onChange={update("authMode")}
+                className={inputClassName}
+              >
+                {getAuthModes().map((mode) => (
+                  <option key={mode} value={mode}>
+                    {mode}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field label="API Key" hint={t("settings.apiKeyHint")}>
+              <input
+                type="password"
+                value={draft.apiKey}
+                onChange={update("apiKey")}
+                autoComplete="off"
+                className={inputClassName}
+              />
+            </Field>
+            {draft.authMode === "login" ? (
+              <Field
+                label={t("settings.authTokenUrl")}
+                hint={t("settings.authTokenUrlHint")}
+              >
+                <input
+                  value={draft.authTokenUrl}
+                  onChange={update("authTokenUrl")}
+                  placeholder="http://localhost:8000/auth/token"
+                  className={inputClassName}
+                />
+              </Field>
+            ) : (
+              <Field label="Bearer Token" hint={t("settings.bearerTokenHint")}>
+                <input
+                  type="password"
+                  value={draft.bearerToken}
+                  onChange={update("bearerToken")}
+                  autoComplete="off"
+                  className={inputClassName}
+                />
+              </Field>
+            )}
+
+            {/* 自訂 Headers */}
+            <div>
+              <span className="block text-xs font-semibold text-slate-600 dark:text-slate-300 mb-1">
+                {t("settings.headers")}
+              </span>
+              <div className="space-y-2">
+                {draft.headers.map((header, index) => (
+                  <div key={index} className="flex gap-2">
+                    <input
+                      value={header.key}
+                      onChange={(e) =>
+                        updateHeader(index, "key", e.target.value)
+                      }
+                      placeholder="Header"
+                      className={inputClassName}
+                    />
+                    <input
+                      value={header.value}
+                      onChange={(e) =>
+                        updateHeader(index, "value", e.target.value)
+                      }
+                      placeholder="Value"
+                      className={inputClassName}
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setDraft((prev) => ({
+                          ...prev,
+                          headers: prev.headers.filter((_, i) => i !== index),
+                        }))
+                      }
+                      className="flex-none p-2 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() =>
+                    setDraft((prev) => ({
+                      ...prev,
+                      headers: [...prev.headers, { key: "", value: "" }],
+                    }))
+                  }
+                  className="flex items-center gap-1 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  <Plus size={14} />
+                  {t("settings.addHeader")}
+                </button>
+              </div>
+            </div>
+
+            {/* 測試連線 */}
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={handleTest}
+                disabled={isTesting}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors text-sm disabled:opacity-60"
+              >
+                {isTesting ? (
+                  <Loader2 size={14} className="animate-spin" />
+                ) : (
+                  <PlugZap size={14} />
+                )}
+                {t("settings.testConnection")}
+              </button>
+              {testResult && (
+                <span
+                  className={`flex items-center gap-1 text-xs ${
+                    testResult.ok ? "text-green-600" : "text-red-500"
+                  }`}
+                >
+                  {testResult.ok ? (
+                    <CheckCircle2 size={14} />
+                  ) : (
+                    <AlertCircle size={14} />
+                  )}
+                  {testResult.message}
+                </span>
+              )}
+            </div>
+          </Section>
+
+          <Section title="Agent">
+            <Field label={t("settings.model")} hint={t("settings.modelHint")}>
+              <input
+                value={draft.model}
+                onChange={update("model")}
+                placeholder={t("settings.backendDefault")}
+                className={inputClassName}
+              />
+            </Field>
+            <Field label="Agent" hint={t("settings.agentHint")}>
+              <input
+                value={draft.agent}
+                onChange={update("agent")}
+                placeholder={t("settings.backendDefault")}
+                className={inputClassName}
+              />
+            </Field>
+          </Section>
+
+          <Section title={t("settings.display")}>
+            <Field label={t("settings.appTitle")}>
+              <input
+                value={draft.appTitle}
+                onChange={update("appTitle")}
+                className={inputClassName}
+              />
+            </Field>
+            <Field label={t("settings.assistantName")}>
+              <input
+                value={draft.assistantName}
+                onChange={update("assistantName")}
+                placeholder={t("defaults.assistantName")}
+                className={inputClassName}
+              />
+            </Field>
+            <Field
+              label={t("settings.greeting")}
+              hint={t("settings.greetingHint")}
+            >
+              <textarea
+                value={draft.greeting}
+                onChange={update("greeting")}
+                placeholder={t("defaults.greeting")}
+                rows={2}
+                className={inputClassName}
+              />
+            </Field>
+            <Field label={t("settings.logoUrl")}>
+              <input
+                value={draft.logoUrl}
+                onChange={update("logoUrl")}
+                className={inputClassName}
+              />
+            </Field>
+          </Section>
+
+          <Section title={t("settings.linkSafety")}>
+            <Field
+              label={t("settings.linkAllowlist")}
+              hint={t("settings.linkAllowlistHint")}
+            >
+              <textarea
+                value={draft.linkAllowlist}
+                onChange={update("linkAllowlist")}
+                rows={2}
+                placeholder="example.com"
+                className={inputClassName}
+              />
+            </Field>
+            <Field
+              label={t("settings.linkDenylist")}
+              hint={t("settings.linkDenylistHint")}
+            >
+              <textarea
+                value={draft.linkDenylist}
+                onChange={update("linkDenylist")}
+                rows={2}
+                className={inputClassName}
+              />
+            </Field>
+            <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+              <input
+                type="checkbox"
+                checked={draft.allowRemoteImages}
+                onChange={(e) =>
+                  setDraft((prev) => ({
+                    ...prev,
+                    allowRemoteImages: e.target.checked,
+                  }))
+                }
+              />
+              {t("settings.allowRemoteImages")}
+            </label>
+          </Section>
+        </div>
+
+        {/* 底部按鈕 */}
+        <div className="flex items-center justify-between px-5 py-4 border-t border-slate-100 dark:border-slate-800">
+          <button
+            type="button"
+            onClick={() => setDraft({ ...DEFAULT_SETTINGS })}
+            className="text-xs text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+          >
+            {t("settings.reset")}
+          </button>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors text-sm font-medium"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-lg bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors text-sm font-medium"
+            >
+              {t("common.save")}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SettingsDialog;
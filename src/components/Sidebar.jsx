@@ -0,0 +1,315 @@
+/**
+ * ============================================================================
+ *  側邊欄 (Sidebar)
+ * ============================================================================
+ *  Logo、新對話 / 匯入、對話紀錄 (切換、重新命名、刪除)、系統設定與登出，
+ *  底部是深色模式與語系切換。對話紀錄的操作都來自 useChatAgent (chat)。
+ *
+ *  可以覆寫的部分：
+ *  - header：換掉上方的 Logo 區
+ *  - footer：換掉底部的深色模式 / 語系切換
+ *  - renderThread({ thread, isActive, select, startRename, remove })：對話紀錄的每一列
+ *    (remove 會直接刪除；預設的列表會先在那一列上確認，刪除後無法復原)
+ *
+ *  寬度與開合動畫由外層決定 (ChatInterface 用 motion.aside 包起來)。
+ */
+import React, { useState, useRef } from "react";
+import {
+  Trash2,
+  Settings,
+  MessageSquare,
+  Moon,
+  Sun,
+  Plus,
+  Pencil,
+  FileUp,
+  Languages,
+  LogOut,
+  Check,
+  X,
+} from "lucide-react";
+import { LOCALES, useI18n } from "../lib/i18n";
+
+const menuButtonClass =
+  "w-full flex items-center gap-3 px-3 py-2.5 text-slate-500 hover:bg-slate-50 hover:text-slate-700 dark:text-slate-400 dark:hover:bg-slate-800 dark:hover:text-slate-200 rounded-lg font-medium transition-colors disabled:opacity-60 disabled:cursor-not-allowed";
+
+const Sidebar = ({
+  chat,
+  onOpenSettings,
+  isDarkMode,
+  onToggleDarkMode,
+  header,
+  footer,
+  renderThread,
+}) => {
+  const { t, locale, setLocale } = useI18n();
+  const { settings, threads, threadId, isLoading, authSession } = chat;
+  const [editingThreadId, setEditingThreadId] = useState(null); // 正在重新命名的對話
+  const [editingTitle, setEditingTitle] = useState("");
+  const [deletingThreadId, setDeletingThreadId] = useState(null); // 等待確認刪除的對話
+  const [brokenLogoUrl, setBrokenLogoUrl] = useState(null); // 載入失敗的 Logo (改了網址就再試一次)
+
+  const importInputRef = useRef(null); // 匯入對話用的 <input type="file">
+
+  const isLogoBroken = brokenLogoUrl === settings.logoUrl;
+
+  // 重新命名對話
+  const handleStartRename = (thread) => {
+    setEditingThreadId(thread.id);
+    setEditingTitle(thread.title);
+  };
+
+  const handleRenameThread = () => {
+    const id = editingThreadId;
+    setEditingThreadId(null);
+    if (id) chat.renameThread(id, editingTitle);
+  };
+
+  // 匯入 JSON 匯出檔：檔案格式錯誤時提示
+  const handleImportThread = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      await chat.importThread(file);
+    } catch (err) {
+      console.error("Failed to import thread:", err);
+      alert(t("chat.importFailed", { message: err.message }));
+    }
+  };
+
+  const renderDefaultThread = ({
+    thread,
+    isActive,
+    select,
+    startRename,
+    remove,
+  }) => (
+    <div
+      className={`group w-full flex items-center gap-2 px-3 py-2.5 rounded-lg font-medium transition-colors
+      ${
+        isActive
+          ? "bg-blue-50 text-blue-600 dark:bg-slate-800 dark:text-blue-400"
+          : "text-slate-500 hover:bg-slate-50 hover:text-slate-700 dark:text-slate-400 dark:hover:bg-slate-800 dark:hover:text-slate-200"
+      }`}
+    >
+      <MessageSquare size={18} className="flex-none" />
+      {deletingThreadId === thread.id ? (
+        <>
+          <span className="flex-1 min-w-0 truncate text-sm text-red-500">
+            {t("sidebar.confirmDelete")}
+          </span>
+          <button
+            autoFocus
+            onClick={() => {
+              setDeletingThreadId(null);
+              remove();
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") setDeletingThreadId(null);
+            }}
+            disabled={isLoading}
+            className="flex-none p-1 rounded text-red-500 hover:bg-red-50 dark:hover:bg-slate-700 disabled:cursor-not-allowed"
+            title={t("sidebar.deleteThread")}
+          >
+            <Check size={14} />
+          </button>
+          <button
+            onClick={() => setDeletingThreadId(null)}
+            className="flex-none p-1 rounded text-slate-400 hover:text-slate-600 dark:hover:text-slate-200"
+            title={t("common.cancel")}
+          >
+            <X size={14} />
+          </button>
+        </>
+      ) : editingThreadId === thread.id ? (
+        <input
+          autoFocus
+          value={editingTitle}
+          onChange={(e) => setEditingTitle(e.target.value)}
+          onBlur={handleRenameThread}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") e.currentTarget.blur();
+            if (e.key === "Escape") setEditingThreadId(null);
+          }}
+          className="flex-1 min-w-0 bg-white dark:bg-slate-900 border border-blue-200 dark:border-slate-600 rounded px-1.5 py-0.5 text-sm text-slate-700 dark:text-slate-200 focus:outline-none"
+        />
+      ) : (
+        <>
+          <button
+            onClick={select}
+            disabled={isLoading}
+            className="flex-1 min-w-0 text-left truncate text-sm disabled:cursor-not-allowed"
+            title={thread.title}
+          >
+            {thread.title}
+          </button>
+          <button
+            onClick={startRename}
+            className="flex-none p-1 rounded opacity-0 group-hover:opacity-100 text-slate-400 hover:text-blue-600 dark:hover:text-blue-400 transition-opacity"
+            title={t("sidebar.rename")}
+          >
+            <Pencil size={14} />
+          </button>
+          <button
+            onClick={() => setDeletingThreadId(thread.id)}
+            disabled={isLoading}
+            className="flex-none p-1 rounded opacity-0 group-hover:opacity-100 text-slate-400 hover:text-red-500 transition-opacity disabled:cursor-not-allowed"
+            title={t("sidebar.deleteThread")}
+          >
+            <Trash2 size={14} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <>
+      {/* Logo 區 */}
+      {header ?? (
+        <div className="p-6 flex flex-col items-center border-b border-slate-100 dark:border-slate-800">
+          <div
+            className={`w-24 h-24 rounded-full overflow-hidden shadow-md border-4 border-blue-50 dark:border-slate-700 mb-3 ${
+              isLogoBroken
+                ? "bg-blue-100 dark:bg-slate-800 flex items-center justify-center"
+                : ""
+            }`}
+          >
+            {isLogoBroken ? (
+              <span className="text-blue-400 font-bold">Logo</span>
+            ) : (
+              <img
+                src={settings.logoUrl}
+                alt="My Logo"
+                className="w-full h-full object-cover"
+                onError={() => setBrokenLogoUrl(settings.logoUrl)}
+              />
+            )}
+          </div>
+          <h2 className="text-lg font-bold text-slate-700 dark:text-slate-200">
+            {settings.assistantName || t("defaults.assistantName")}
+          </h2>
+          <p className="text-xs text-slate-400">Intelligent Agent</p>
+        </div>
+      )}
+
+      {/* 選單區 */}
+      <nav className="flex-1 p-4 space-y-2 overflow-y-auto">
+        <div className="text-xs font-bold text-slate-400 px-3 py-2 uppercase tracking-wider">
+          {t("sidebar.mainMenu")}
+        </div>
+        <button
+          onClick={chat.newChat}
+          disabled={isLoading}
+          className={menuButtonClass}
+        >
+          <Plus size={18} />
+          <span>{t("sidebar.newChat")}</span>
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          disabled={isLoading}
+          className={menuButtonClass}
+        >
+          <FileUp size={18} />
+          <span>{t("sidebar.importThread")}</span>
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportThread}
+          className="hidden"
+        />
+
+        {/* 對話紀錄列表 */}
+        <div className="text-xs font-bold text-slate-400 px-3 pt-4 pb-2 uppercase tracking-wider">
+          {t("sidebar.history")}
+        </div>
+        {threads.length === 0 && (
+          <p className="px-3 py-1 text-xs text-slate-400">
+            {t("sidebar.noHistory")}
+          </p>
+        )}
+        {threads.map((thread) => (
+          <React.Fragment key={thread.id}>
+            {(renderThread || renderDefaultThread)({
+              thread,
+              isActive: thread.id === threadId,
+              select: () => chat.selectThread(thread.id),
+              startRename: () => handleStartRename(thread),
+              remove: () => chat.deleteThread(thread.id),
+            })}
+          </React.Fragment>
+        ))}
+
+        <div className="pt-2" />
+        {onOpenSettings && (
+          <button onClick={onOpenSettings} className={menuButtonClass}>
+            <Settings size={18} />
+            <span>{t("sidebar.settings")}</span>
+          </button>
+        )}
+        {settings.authMode === "login" && authSession && (
+          <button
+            onClick={chat.logout}
+            className={menuButtonClass}
+            title={authSession.username}
+          >
+            <LogOut size={18} />
+            <span className="truncate">
+              {t("auth.logout", { username: authSession.username })}
+            </span>
+          </button>
+        )}
+      </nav>
+
+      {/* 底部切換按鈕：深色模式 + 語系 */}
+      {footer ?? (
+        <div className="p-4 border-t border-slate-100 dark:border-slate-800">
+          <div className="flex gap-2">
+            {onToggleDarkMode && (
+              <button
+                onClick={onToggleDarkMode}
+                className="flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors text-sm font-medium"
+              >
+                {isDarkMode ? (
+                  <Sun size={18} className="text-amber-400" />
+                ) : (
+                  <Moon size={18} className="text-indigo-500" />
+                )}
+                <span>
+                  {isDarkMode ? t("sidebar.lightMode") : t("sidebar.darkMode")}
+                </span>
+              </button>
+            )}
+            <label
+              className="flex items-center gap-1 px-2 rounded-lg border border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors text-sm"
+              title={t("sidebar.language")}
+            >
+              <Languages size={16} className="flex-none text-blue-500" />
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="bg-transparent focus:outline-none cursor-pointer dark:[color-scheme:dark]"
+              >
+                {Object.entries(LOCALES).map(([code, { label }]) => (
+                  <option key={code} value={code}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="text-[10px] text-center text-slate-300 mt-4">
+            v1.3.0 Build 2024
+          </p>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default Sidebar;
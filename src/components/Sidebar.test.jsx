@@ -0,0 +1,46 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import Sidebar from "./Sidebar";
+import { translate } from "../lib/i18n";
+
+const text = (key) => translate("zh-TW", key);
+
+const renderSidebar = () => {
+  const chat = {
+    settings: { authMode: "static", logoUrl: "/logo.png" },
+    threads: [{ id: "t1", title: "Trip plans" }],
+    threadId: "t1",
+    isLoading: false,
+    authSession: null,
+    deleteThread: vi.fn(),
+    selectThread: vi.fn(),
+  };
+  render(<Sidebar chat={chat} />);
+  return chat;
+};
+
+describe("Sidebar", () => {
+  afterEach(cleanup);
+
+  it("asks before deleting a thread", () => {
+    const chat = renderSidebar();
+
+    fireEvent.click(screen.getByTitle(text("sidebar.deleteThread")));
+    expect(chat.deleteThread).not.toHaveBeenCalled();
+    expect(screen.getByText(text("sidebar.confirmDelete"))).toBeTruthy();
+
+    fireEvent.click(screen.getByTitle(text("sidebar.deleteThread")));
+    expect(chat.deleteThread).toHaveBeenCalledWith("t1");
+  });
+
+  it("keeps the thread when the delete is cancelled", () => {
+    const chat = renderSidebar();
+
+    fireEvent.click(screen.getByTitle(text("sidebar.deleteThread")));
+    fireEvent.click(screen.getByTitle(text("common.cancel")));
+
+    expect(chat.deleteThread).not.toHaveBeenCalled();
+    expect(screen.getByText("Trip plans")).toBeTruthy();
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * ============================================================================
+ *  斜線指令選單 (Slash Command Menu)
+ * ============================================================================
+ *  輸入框以 `/` 開頭時，浮在輸入框上方列出符合的指令。
+ *  鍵盤操作 (↑/↓/Enter/Tab/Esc) 由輸入框處理，這裡只負責顯示與滑鼠點擊。
+ */
+import React from "react";
+import { TerminalSquare } from "lucide-react";
+
+const SlashCommandMenu = ({ commands, activeIndex, onSelect }) => {
+  if (!commands.length) return null;
+
+  return (
+    <ul className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-white dark:bg-slate-800 border border-blue-100 dark:border-slate-700 rounded-xl shadow-lg p-1 z-20">
+      {commands.map((command, index) => (
+        <li key={command.name}>
+          <button
+            type="button"
+            // 用 onMouseDown 避免輸入框先失去焦點
+            onMouseDown={(e) => {
+              e.preventDefault();
+              onSelect(command);
+            }}
+            className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+              index === activeIndex
+                ? "bg-blue-50 text-blue-600 dark:bg-slate-700 dark:text-blue-400"
+                : "text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700/50"
+            }`}
+          >
+            <TerminalSquare size={16} className="flex-none" />
+            <span className="font-mono">
+              {command.usage || `/${command.name}`}
+            </span>
+            <span className="ml-auto text-xs text-slate-400 truncate">
+              {command.description}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SlashCommandMenu;
@@ -0,0 +1,33 @@
+/**
+ * ============================================================================
+ *  狀態膠囊 (StatusCapsule)
+ * ============================================================================
+ *  串流中顯示在 AI 訊息下方的小提示：思考中、正在呼叫工具、重試倒數...
+ *  icon 可以換成自己的圖示 (預設是轉圈 + 扳手)。
+ */
+import React from "react";
+import { motion as Motion } from "framer-motion";
+import { Loader2, Wrench } from "lucide-react";
+
+const defaultIcon = (
+  <>
+    <Loader2 size={12} className="animate-spin text-blue-500" />
+    <Wrench size={12} className="text-amber-500" />
+  </>
+);
+
+const StatusCapsule = ({ status, icon = defaultIcon }) => {
+  if (!status) return null;
+  return (
+    <Motion.div
+      initial={{ opacity: 0, y: -5 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mt-2 flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400 bg-white dark:bg-slate-800 px-3 py-1.5 rounded-full border border-blue-100 dark:border-slate-700 shadow-sm w-fit"
+    >
+      {icon}
+      <span>{status}</span>
+    </Motion.div>
+  );
+};
+
+export default StatusCapsule;
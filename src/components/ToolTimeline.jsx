@@ -0,0 +1,150 @@
+/**
+ * ============================================================================
+ *  工具呼叫時間軸 (Tool Call Timeline)
+ * ============================================================================
+ *  顯示在 AI 訊息氣泡下方，記錄這一輪 agent 呼叫了哪些 MCP 工具：
+ *  工具名稱、參數、回傳結果、耗時與錯誤。
+ *  - 收合時：若有工具正在執行，顯示一條「即時狀態」膠囊 (原本的 Wrench/Loader2)
+ *  - 展開時：列出所有步驟，每一步可以再展開看參數與結果
+ */
+import React, { useState } from "react";
+import {
+  Loader2,
+  Wrench,
+  Check,
+  AlertCircle,
+  ChevronRight,
+  ChevronDown,
+  CircleSlash,
+} from "lucide-react";
+import { useI18n } from "../lib/i18n";
+
+// 參數 / 結果可能是物件或字串，統一轉成好讀的文字
+const formatValue = (value) => {
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+};
+
+const formatDuration = (ms) => {
+  if (ms == null) return "";
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+};
+
+const StepIcon = ({ status }) => {
+  if (status === "running") {
+    return <Loader2 size={12} className="animate-spin text-blue-500" />;
+  }
+  if (status === "error") {
+    return <AlertCircle size={12} className="text-red-500" />;
+  }
+  if (status === "cancelled") {
+    return <CircleSlash size={12} className="text-slate-400" />;
+  }
+  return <Check size={12} className="text-green-500" />;
+};
+
+// 單一步驟：點擊可展開參數與結果
+const StepRow = ({ step }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const args = formatValue(step.args);
+  const output = formatValue(step.error || step.result);
+
+  return (
+    <li className="text-xs">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-2 py-1 rounded-md text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700/50 transition-colors"
+      >
+        {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        <StepIcon status={step.status} />
+        <Wrench size={12} className="text-amber-500" />
+        <span className="font-mono truncate">{step.name}</span>
+        <span className="ml-auto text-slate-400 font-mono">
+          {formatDuration(step.duration)}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="ml-6 mt-1 mb-2 space-y-2">
+          {args && (
+            <div>
+              <div className="text-[10px] uppercase tracking-wider text-slate-400 mb-0.5">
+                {t("common.arguments")}
+              </div>
+              <pre className="font-mono text-[11px] bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded p-2 overflow-x-auto max-h-48 whitespace-pre-wrap break-all">
+                {args}
+              </pre>
+            </div>
+          )}
+          {output && (
+            <div>
+              <div
+                className={`text-[10px] uppercase tracking-wider mb-0.5 ${
+                  step.error ? "text-red-500" : "text-slate-400"
+                }`}
+              >
+                {t(step.error ? "common.error" : "common.result")}
+              </div>
+              <pre className="font-mono text-[11px] bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded p-2 overflow-x-auto max-h-48 whitespace-pre-wrap break-all">
+                {output}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+const ToolTimeline = ({ steps }) => {
+  const { t } = useI18n();
+  const [isExpanded, setIsExpanded] = useState(false);
+  if (!steps || steps.length === 0) return null;
+
+  const runningStep = [...steps].reverse().find((s) => s.status === "running");
+  const errorCount = steps.filter((s) => s.status === "error").length;
+
+  return (
+    <div className="mt-2 w-full max-w-md">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="flex items-center gap-1.5 text-xs text-slate-400 hover:text-slate-600 dark:hover:text-slate-300 px-1 transition-colors"
+      >
+        {isExpanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        <span>
+          {t("tools.summary", { count: steps.length })}
+          {errorCount > 0 && (
+            <span className="text-red-500">
+              {t("tools.failed", { count: errorCount })}
+            </span>
+          )}
+        </span>
+      </button>
+
+      {/* 收合時的即時狀態膠囊 */}
+      {!isExpanded && runningStep && (
+        <div className="mt-2 flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400 bg-white dark:bg-slate-800 px-3 py-1.5 rounded-full border border-blue-100 dark:border-slate-700 shadow-sm w-fit">
+          <Loader2 size={12} className="animate-spin text-blue-500" />
+          <Wrench size={12} className="text-amber-500" />
+          <span>{t("tools.running", { name: runningStep.name })}</span>
+        </div>
+      )}
+
+      {isExpanded && (
+        <ul className="mt-1 bg-white dark:bg-slate-800 border border-blue-100 dark:border-slate-700 rounded-lg p-1 shadow-sm">
+          {steps.map((step) => (
+            <StepRow key={step.id} step={step} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ToolTimeline;
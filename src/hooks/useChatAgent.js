@@ -0,0 +1,904 @@
+/**
+ * ============================================================================
+ *  對話狀態 Hook (useChatAgent)
+ * ============================================================================
+ *  不含任何畫面的對話核心：訊息、串流、對話紀錄 (IndexedDB)、分支、工具核准、
+ *  回饋與登入狀態都在這裡，ChatInterface 只負責把它們畫出來。
+ *  fork 這個專案時可以只用這個 hook，搭配自己的元件 (或 components/ 裡可覆寫的元件)：
+ *
+ *    const chat = useChatAgent({ apiBaseUrl: "http://localhost:8000" });
+ *    chat.messages        // [{ id, type: "user" | "ai", content, createdAt, ... }]
+ *    chat.isLoading       // 串流中
+ *    chat.status          // 狀態膠囊的文字 (思考中、呼叫工具...)
+ *    chat.isHydrating     // 正在從後端讀回對話紀錄 (見 api/threadHistory.js)
+ *    await chat.send("你好");  // 回答結束後 resolve；沒有送出 (或認證失敗) 時為 false
+ *    chat.stop(); chat.clear();
+ *
+ *  options：
+ *  - threadId：一開始要開啟的對話 (預設沿用上次的對話)
+ *  - storageKey：目前對話與系統設定存在 localStorage 的哪個命名空間 (見 lib/storage.js)
+ *  - onMessage / onToolCall / onError：送出的提問與完成的回答、tool_start / tool_end、串流失敗
+ *  - 其他系統設定的欄位 (apiBaseUrl、streamFormat、greeting、headers...) 會蓋在
+ *    localStorage / .env 的設定上，只用在這個實例；之後可以用 updateSettings() 修改並保存
+ *    (傳入的這些欄位不會寫進 localStorage，嵌入時不會改到外部頁面的設定)
+ */
+import { useState, useRef, useEffect } from "react";
+import {
+  listThreads,
+  getThread,
+  saveThread,
+  deleteThread,
+  deriveThreadTitle,
+  toThreadSummary,
+} from "../lib/threadStore";
+import {
+  DEFAULT_RETRY,
+  describeStreamError,
+  sendChatMessage,
+} from "../api/chatClient";
+import { clearSession, isAuthError, loadSession, withAuth } from "../api/auth";
+import {
+  startToolStep,
+  finishToolStep,
+  settleRunningSteps,
+} from "../lib/toolSteps";
+import {
+  forkAt,
+  switchBranch,
+  getRunThreadId,
+  createBranchThreadId,
+  toHistoryPayload,
+} from "../lib/branches";
+import { downloadFile } from "../lib/download";
+import { createFrameBatcher } from "../lib/frameBatcher";
+import { getStorage } from "../lib/storage";
+import { addUsage } from "../lib/usage";
+import {
+  buildFeedbackPayload,
+  applyFeedbackResults,
+  flushFeedbackQueue,
+  submitFeedback as postFeedback,
+} from "../lib/feedback";
+import {
+  EXPORT_TYPES,
+  exportThread as renderExport,
+  parseJsonExport,
+  toExportFilename,
+} from "../lib/exporters";
+import { buildMessageContent } from "../lib/attachments";
+import { fetchThreadHistory, getHistoryPath } from "../api/threadHistory";
+import {
+  loadSettings,
+  saveSettings,
+  normalizeBaseUrl,
+  buildConfigurable,
+} from "../lib/settings";
+import { translate, useI18n } from "../lib/i18n";
+
+const generateThreadId = () =>
+  `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// 建立一段新對話的開場訊息
+// 訊息只記錄建立時間 (createdAt)，顯示時才依目前語系格式化
+const createGreetingMessages = (content) => [
+  { id: `new-${Date.now()}`, content, type: "ai", createdAt: Date.now() },
+];
+
+// 目前路徑上的提問數 (比較本地與後端的紀錄哪一份比較新)
+const countPrompts = (messages) =>
+  messages ? messages.filter((m) => m.type === "user").length : 0;
+
+const useChatAgent = ({
+  threadId: initialThreadId,
+  storageKey,
+  onMessage,
+  onToolCall,
+  onError,
+  ...settingsOverrides
+} = {}) => {
+  const { t, locale } = useI18n();
+  const storage = getStorage(storageKey);
+
+  // --- 狀態 (State) ---
+  // 系統設定 (localStorage，預設值來自 .env；再蓋上呼叫端傳入的值)
+  const [settings, setSettings] = useState(() => ({
+    ...loadSettings(storage),
+    ...settingsOverrides,
+  }));
+  const [messages, setMessages] = useState(() =>
+    createGreetingMessages(settings.greeting || t("defaults.greeting"))
+  );
+  const [isLoading, setIsLoading] = useState(false);
+  const [threadId, setThreadId] = useState(""); // 對話 ID (記憶功能)
+  const [status, setStatus] = useState(""); // MCP 工具調用狀態
+  const [threads, setThreads] = useState([]); // 側邊欄的對話紀錄列表 (摘要，不含訊息)
+  const [systemPrompt, setSystemPrompt] = useState(""); // 這段對話的系統提示 (/system)
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine); // 瀏覽器是否有網路
+  const [authSession, setAuthSession] = useState(loadSession); // login 模式的登入狀態
+  const [isSessionExpired, setIsSessionExpired] = useState(false); // 因為 401 被登出
+  const [authNotice, setAuthNotice] = useState(""); // 固定 token 被拒絕 (401) 時的提示
+  const [isHydrating, setIsHydrating] = useState(false); // 正在從後端讀回對話紀錄
+
+  // --- 引用 (Refs) ---
+  // 記住「已經存進 IndexedDB (或剛從 IndexedDB 讀出)」的內容，避免重複寫入
+  const persistedRef = useRef({ messages: null, systemPrompt: "" });
+  const abortControllerRef = useRef(null); // 目前串流請求的 AbortController (停止生成用)
+  const streamingMsgIdRef = useRef(null); // 正在串流的 AI 訊息 (結束後送出 onMessage)
+  // 不向後端讀取紀錄的對話：剛在本地建立的、匯入的、後端已經找不到的
+  const localOnlyThreadIdsRef = useRef(new Set());
+  // 讀回後端紀錄 (見 7.) 時使用最新的設定與語系；這兩個改變時不需要重新讀取
+  const settingsRef = useRef(settings);
+  const localeRef = useRef(locale);
+  const threadIdRef = useRef(threadId); // 補送回饋 (見 4.) 完成時的目前對話
+
+  const API_BASE_URL = normalizeBaseUrl(settings.apiBaseUrl);
+  const needsLogin = settings.authMode === "login" && !authSession;
+
+  // 尚未處理的工具核准 (interrupt)：處理完之前不能送出新訊息
+  const pendingInterrupt = messages.some(
+    (m) => m.interrupt?.status === "pending"
+  );
+
+  // --- 副作用 (Effects) ---
+
+  // 同步給 settingsRef / localeRef / threadIdRef
+  useEffect(() => {
+    settingsRef.current = settings;
+    localeRef.current = locale;
+    threadIdRef.current = threadId;
+  });
+
+  // 1. 初始化 Thread ID 與對話紀錄
+  // 只在第一次載入時執行 (threadId 選項之後不會改變)
+  // 先讀出所有對話，再還原上次使用中 (或指定) 的那一段 (若它已被存過)
+  useEffect(() => {
+    const savedThreadId = initialThreadId || storage.getItem("chat_thread_id");
+    const activeId = savedThreadId || generateThreadId();
+    if (!savedThreadId) localOnlyThreadIdsRef.current.add(activeId);
+    storage.setItem("chat_thread_id", activeId);
+
+    // threadId 等本地紀錄讀完才設定，後端的紀錄 (見 7.) 才能和本地的比較
+    const loadThreads = async () => {
+      try {
+        const storedThreads = await listThreads();
+        setThreads(storedThreads);
+
+        const activeThread = storedThreads.some((t) => t.id === activeId)
+          ? await getThread(activeId)
+          : null;
+        if (activeThread) {
+          persistedRef.current = {
+            messages: activeThread.messages,
+            systemPrompt: activeThread.systemPrompt || "",
+          };
+          setMessages(activeThread.messages);
+          setSystemPrompt(activeThread.systemPrompt || "");
+        }
+      } catch (err) {
+        console.error("Failed to load threads:", err);
+      } finally {
+        setThreadId(activeId);
+      }
+    };
+    loadThreads();
+  }, [initialThreadId, storage]);
+
+  // 2. 保存目前對話
+  // messages 或系統提示有變動且不在串流中時，寫回 IndexedDB 並同步更新側邊欄列表
+  // (只有歡迎訊息、尚未提問的新對話不會被保存)
+  useEffect(() => {
+    if (!threadId || isLoading) return;
+    if (
+      messages === persistedRef.current.messages &&
+      systemPrompt === persistedRef.current.systemPrompt
+    ) {
+      return;
+    }
+    if (!messages.some((m) => m.type === "user")) return;
+
+    persistedRef.current = { messages, systemPrompt };
+    const existing = threads.find((t) => t.id === threadId);
+    const thread = {
+      id: threadId,
+      title: existing?.isTitleCustom
+        ? existing.title
+        : deriveThreadTitle(messages),
+      isTitleCustom: Boolean(existing?.isTitleCustom),
+      messages,
+      systemPrompt,
+      updatedAt: Date.now(),
+    };
+
+    saveThread(thread).catch((err) =>
+      console.error("Failed to save thread:", err)
+    );
+    setThreads((prev) => [
+      toThreadSummary(thread),
+      ...prev.filter((t) => t.id !== threadId),
+    ]);
+  }, [messages, systemPrompt, isLoading, threadId, threads]);
+
+  // 3. 網路狀態：離線時顯示提示並暫停送出
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  // 4. 補送之前送不出去的回饋 (開啟頁面、切換對話、恢復連線或改了後端設定時)
+  // login 模式要等登入後才補送，不然只會再收到一次 401
+  // 補送的結果寫回訊息的 feedback.status：目前對話直接更新 (由 2. 保存)，其他對話改寫 IndexedDB
+  // (等 1. 讀完本地紀錄、設定好 threadId 才開始，目前對話的訊息才不會被讀出的舊內容蓋掉)
+  useEffect(() => {
+    if (!threadId || !isOnline) return;
+    if (settings.authMode === "login" && !authSession) return;
+    flushFeedbackQueue({
+      baseUrl: normalizeBaseUrl(settings.apiBaseUrl),
+      settings,
+    })
+      .then(async (results) => {
+        for (const id of new Set(results.map((r) => r.threadId))) {
+          const threadResults = results.filter((r) => r.threadId === id);
+          if (id === threadIdRef.current) {
+            setMessages((prev) => applyFeedbackResults(prev, threadResults));
+            continue;
+          }
+          const thread = id && (await getThread(id));
+          if (!thread) continue;
+          const messages = applyFeedbackResults(thread.messages, threadResults);
+          if (messages !== thread.messages) {
+            await saveThread({ ...thread, messages });
+          }
+        }
+      })
+      .catch((err) => console.warn("Failed to flush feedback:", err));
+  }, [threadId, isOnline, settings, authSession]);
+
+  // 5. onMessage：回答結束 (isLoading 變回 false) 後送出完整的 AI 訊息
+  useEffect(() => {
+    if (isLoading || !streamingMsgIdRef.current) return;
+    const message = messages.find((m) => m.id === streamingMsgIdRef.current);
+    streamingMsgIdRef.current = null;
+    if (message) onMessage?.(message);
+  }, [isLoading, messages, onMessage]);
+
+  // 6. 卸載時中斷尚未完成的串流
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  // 7. 從後端讀回對話紀錄 (開啟頁面、切換對話、登入後或改了後端網址 / 紀錄端點 / 串流格式時)
+  // 本地保存的紀錄比較完整 (分支、回饋、用量...)，只有後端有更多提問時才換成後端的版本
+  // 後端找不到 (404) 本地已經有內容的對話時，改開一段新的對話並說明原因
+  const { apiBaseUrl, historyPath, streamFormat } = settings;
+  useEffect(() => {
+    const path = getHistoryPath({ historyPath, streamFormat });
+    if (!threadId || !path || needsLogin) return;
+    if (localOnlyThreadIdsRef.current.has(threadId)) return;
+
+    const localMessages = persistedRef.current.messages;
+    const controller = new AbortController();
+    setIsHydrating(true);
+
+    withAuth(settingsRef.current, (headers) =>
+      fetchThreadHistory({
+        baseUrl: normalizeBaseUrl(apiBaseUrl),
+        format: streamFormat,
+        path,
+        threadId: getRunThreadId(localMessages || [], threadId),
+        headers,
+        signal: controller.signal,
+      })
+    )
+      .then((serverMessages) => {
+        if (countPrompts(serverMessages) <= countPrompts(localMessages)) return;
+        // 交給「保存目前對話」寫進 IndexedDB
+        setMessages([
+          ...createGreetingMessages(
+            settingsRef.current.greeting ||
+              translate(localeRef.current, "defaults.greeting")
+          ),
+          ...serverMessages,
+        ]);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        if (err.status !== 404) {
+          console.warn("Failed to load thread history:", err);
+          return;
+        }
+        if (!countPrompts(localMessages)) return; // 還沒送出過提問的新對話
+
+        localOnlyThreadIdsRef.current.add(threadId);
+        const newId = generateThreadId();
+        const initialMessages = createGreetingMessages(
+          translate(localeRef.current, "chat.threadNotFound")
+        );
+        persistedRef.current = { messages: initialMessages, systemPrompt: "" };
+        localOnlyThreadIdsRef.current.add(newId);
+        setThreadId(newId);
+        storage.setItem("chat_thread_id", newId);
+        setMessages(initialMessages);
+        setSystemPrompt("");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsHydrating(false);
+      });
+
+    return () => {
+      controller.abort();
+      setIsHydrating(false);
+    };
+  }, [threadId, needsLogin, apiBaseUrl, historyPath, streamFormat, storage]);
+
+  // --- 對話紀錄 (Threads) ---
+
+  // 切換到一段新的對話 (舊的對話仍保留在側邊欄紀錄中)
+  const startNewThread = (
+    greeting = settings.greeting || t("defaults.greeting")
+  ) => {
+    const newId = generateThreadId();
+    const initialMessages = createGreetingMessages(greeting);
+    persistedRef.current = { messages: initialMessages, systemPrompt: "" };
+    localOnlyThreadIdsRef.current.add(newId);
+    setThreadId(newId);
+    storage.setItem("chat_thread_id", newId);
+    setMessages(initialMessages);
+    setSystemPrompt("");
+  };
+
+  const clear = () => {
+    startNewThread(t("chat.cleared"));
+  };
+
+  const newChat = () => {
+    if (isLoading) return;
+    startNewThread();
+  };
+
+  // 把一段已保存的對話顯示到畫面上，並沿用該對話的 thread_id
+  const openThread = (thread) => {
+    persistedRef.current = {
+      messages: thread.messages,
+      systemPrompt: thread.systemPrompt || "",
+    };
+    setThreadId(thread.id);
+    storage.setItem("chat_thread_id", thread.id);
+    setMessages(thread.messages);
+    setSystemPrompt(thread.systemPrompt || "");
+  };
+
+  // 切換對話：從 IndexedDB 讀出訊息
+  const selectThread = async (id) => {
+    if (isLoading || id === threadId) return;
+    try {
+      const thread = await getThread(id);
+      if (thread) openThread(thread);
+    } catch (err) {
+      console.error("Failed to load thread:", err);
+    }
+  };
+
+  const removeThread = async (id) => {
+    if (isLoading) return;
+    try {
+      await deleteThread(id);
+      setThreads((prev) => prev.filter((t) => t.id !== id));
+      if (id === threadId) startNewThread();
+    } catch (err) {
+      console.error("Failed to delete thread:", err);
+    }
+  };
+
+  // 重新命名：標記為自訂標題，之後不再被第一則訊息自動覆蓋
+  const renameThread = async (id, newTitle) => {
+    const title = newTitle.trim();
+    const summary = threads.find((t) => t.id === id);
+    if (!summary || !title || title === summary.title) return;
+
+    setThreads((prev) =>
+      prev.map((t) => (t.id === id ? { ...t, title, isTitleCustom: true } : t))
+    );
+    try {
+      // 列表只有摘要，從 IndexedDB 讀出完整的對話再改標題
+      const thread = await getThread(id);
+      if (thread) await saveThread({ ...thread, title, isTitleCustom: true });
+    } catch (err) {
+      console.error("Failed to rename thread:", err);
+    }
+  };
+
+  // 匯出目前對話：md (預設) / html / json
+  const exportThread = async (format) => {
+    const type = EXPORT_TYPES[format] ? format : "md";
+    const existing = threads.find((t) => t.id === threadId);
+    const thread = {
+      id: threadId,
+      title: existing?.title || deriveThreadTitle(messages),
+      isTitleCustom: Boolean(existing?.isTitleCustom),
+      systemPrompt,
+      messages,
+      updatedAt: existing?.updatedAt || Date.now(),
+    };
+
+    try {
+      downloadFile(
+        toExportFilename(thread, type),
+        await renderExport(thread, type),
+        EXPORT_TYPES[type].mimeType
+      );
+    } catch (err) {
+      console.error("Failed to export thread:", err);
+    }
+  };
+
+  // 匯入 JSON 匯出檔：存成本地對話並切換過去 (檔案格式錯誤時丟出錯誤)
+  // 本地已經有同一個 id 時另存成新的對話，不覆蓋原本的紀錄
+  const importThread = async (file) => {
+    if (isLoading) return;
+    const imported = parseJsonExport(await file.text());
+    const thread = threads.some((t) => t.id === imported.id)
+      ? { ...imported, id: generateThreadId() }
+      : imported;
+    await saveThread(thread);
+    localOnlyThreadIdsRef.current.add(thread.id);
+    setThreads((prev) =>
+      [toThreadSummary(thread), ...prev].sort(
+        (a, b) => b.updatedAt - a.updatedAt
+      )
+    );
+    openThread(thread);
+  };
+
+  // --- 串流 (Streaming) ---
+
+  // 以 id 更新單一則訊息
+  const updateMessage = (id, updater) => {
+    setMessages((prev) =>
+      prev.map((msg) => (msg.id === id ? updater(msg) : msg))
+    );
+  };
+
+  // 核心邏輯：把一次串流請求的結果寫進指定的 AI 訊息
+  // - runThreadId：這次請求使用的後端 thread (分支會有自己的 thread)
+  // - body：{ input } 或 { command }，config 會在這裡補上
+  // - initialText：用於「接續」既有的回答 (例如核准工具呼叫後繼續生成)
+  // 認證失敗 (401) 時回傳該錯誤，讓送出訊息的流程可以收回這則提問
+  const streamResponse = async (
+    aiMsgId,
+    runThreadId,
+    body,
+    initialText = ""
+  ) => {
+    setIsLoading(true);
+    setStatus(t("chat.thinking")); // 初始狀態
+    streamingMsgIdRef.current = aiMsgId;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // 文字 chunk 累積起來，每個動畫影格只更新一次畫面
+    let aiResponseText = initialText ? `${initialText}\n\n` : "";
+    const textBatcher = createFrameBatcher(() =>
+      updateMessage(aiMsgId, (msg) => ({ ...msg, content: aiResponseText }))
+    );
+
+    // 延遲量測：首字時間 (TTFT) 與整段串流時間
+    const startedAt = performance.now();
+    let firstTokenAt = null;
+
+    try {
+      // === 串流讀取邏輯 (Stream Handling) ===
+      // 解析細節都在 chatClient 裡，這裡只決定每一種事件要怎麼更新狀態
+      // headers 由 withAuth 帶入：login 模式收到 401 時會先 refresh token 再重送一次
+      await withAuth(settings, (headers) =>
+        sendChatMessage(
+          {
+            baseUrl: API_BASE_URL,
+            format: settings.streamFormat,
+            assistantId: settings.assistantId,
+            headers,
+            threadId: runThreadId,
+            payload: {
+              ...body,
+              config: {
+                configurable: {
+                  ...buildConfigurable(settings, runThreadId),
+                  ...(systemPrompt ? { system_prompt: systemPrompt } : {}),
+                },
+              },
+            },
+            signal: controller.signal,
+            resume: settings.resumeStreams,
+            // 暫時性錯誤會自動重試，等待期間顯示在狀態膠囊上
+            onRetry: ({ attempt, delay }) =>
+              setStatus(
+                t("chat.retrying", {
+                  seconds: Math.ceil(delay / 1000),
+                  attempt,
+                  retries: DEFAULT_RETRY.retries,
+                })
+              ),
+          },
+          {
+            // 文字內容 -> 更新到對話框
+            text: (event) => {
+              firstTokenAt ??= performance.now();
+              aiResponseText += event.content;
+              textBatcher.schedule();
+              setStatus(""); // 開始回答後，清空狀態提示
+            },
+            // 狀態更新 -> 更新狀態膠囊
+            status: (event) => setStatus(event.content),
+            // 工具呼叫 -> 記錄在 AI 訊息的 steps 上 (時間軸會顯示執行中的那一步)
+            tool_start: (event) => {
+              updateMessage(aiMsgId, (msg) => ({
+                ...msg,
+                steps: startToolStep(msg.steps, event),
+              }));
+              setStatus("");
+              onToolCall?.(event);
+            },
+            tool_end: (event) => {
+              updateMessage(aiMsgId, (msg) => ({
+                ...msg,
+                steps: finishToolStep(msg.steps, event),
+              }));
+              onToolCall?.(event);
+            },
+            // 中斷 (interrupt) -> 在訊息下方顯示核准卡片，等待使用者決定
+            interrupt: (event) => {
+              updateMessage(aiMsgId, (msg) => ({
+                ...msg,
+                interrupt: {
+                  id: event.id,
+                  toolName: event.toolName,
+                  args: event.args,
+                  description: event.description,
+                  status: "pending",
+                },
+              }));
+              setStatus("");
+            },
+            // run 的 metadata -> run_id、模型名稱與 token 用量 (用量會累加)
+            metadata: (event) =>
+              updateMessage(aiMsgId, (msg) => ({
+                ...msg,
+                ...(event.runId ? { runId: event.runId } : {}),
+                ...(event.model ? { model: event.model } : {}),
+                ...(event.usage
+                  ? { usage: addUsage(msg.usage, event.usage) }
+                  : {}),
+              })),
+            done: () => setStatus(""),
+          }
+        )
+      );
+    } catch (error) {
+      textBatcher.flush();
+      // 使用者按下「停止」：保留已收到的文字，並標記為已停止
+      if (error.name === "AbortError") {
+        updateMessage(aiMsgId, (msg) => ({ ...msg, isStopped: true }));
+        return;
+      }
+      onError?.(error);
+      // 認證失敗：登入過期就回到登入畫面，固定 token 被拒絕則在輸入框上方提示
+      if (isAuthError(error)) {
+        if (error.sessionExpired) {
+          setAuthSession(null);
+          setIsSessionExpired(true);
+        } else {
+          setAuthNotice(error.message);
+        }
+        updateMessage(aiMsgId, (msg) => ({
+          ...msg,
+          isError: true,
+          errorMessage: error.message,
+        }));
+        return error;
+      }
+      // 其他錯誤 (重試也失敗)：保留已收到的文字，另外標記錯誤原因並提供「重試」
+      console.error("Streaming Failed:", error);
+      updateMessage(aiMsgId, (msg) => ({
+        ...msg,
+        isError: true,
+        errorMessage: describeStreamError(error),
+      }));
+    } finally {
+      textBatcher.flush();
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      // 沒有收到 tool_end 的步驟不應該永遠停在「執行中」
+      // 核准工具後繼續同一則回答時，時間累加、首字時間保留第一次的
+      const elapsed = performance.now() - startedAt;
+      updateMessage(aiMsgId, (msg) => ({
+        ...msg,
+        steps: settleRunningSteps(msg.steps),
+        metrics: {
+          ttft:
+            msg.metrics?.ttft ??
+            (firstTokenAt === null ? null : firstTokenAt - startedAt),
+          duration: (msg.metrics?.duration || 0) + elapsed,
+        },
+      }));
+      setIsLoading(false);
+      setStatus("");
+    }
+  };
+
+  // 送出一則提問並串流回答
+  // 回傳 false 代表沒有送到 agent：目前不能送出 (生成中、讀取紀錄中、待核准、離線、未登入)，
+  // 或是認證失敗 (這時會收回剛加上的訊息，呼叫端可以把提問放回輸入框)
+  const send = async (text, attachments = []) => {
+    const userText = String(text ?? "");
+    if (!userText.trim() && !attachments.length) return false;
+    if (isLoading || isHydrating || pendingInterrupt) return false;
+    if (!isOnline || needsLogin) return false;
+
+    // Optimistic UI (樂觀更新)：先顯示使用者訊息，不用等伺服器回應
+    // 同時預先建立一個空的 AI 訊息，準備接收串流
+    const userMsgId = Date.now();
+    const aiMsgId = userMsgId + 1;
+    const runThreadId = getRunThreadId(messages, threadId);
+    const userMessage = {
+      id: userMsgId,
+      content: userText,
+      type: "user",
+      createdAt: Date.now(),
+      ...(attachments.length ? { attachments } : {}),
+    };
+    onMessage?.(userMessage);
+    setMessages((prev) => [
+      ...prev,
+      userMessage,
+      {
+        id: aiMsgId,
+        content: "",
+        type: "ai",
+        createdAt: Date.now(),
+        runThreadId,
+      },
+    ]);
+
+    const authError = await streamResponse(aiMsgId, runThreadId, {
+      input: {
+        messages: [
+          {
+            role: "user",
+            content: buildMessageContent(userText, attachments),
+          },
+        ],
+      },
+    });
+
+    // 認證失敗時這則提問並沒有送到 agent：收回訊息，登入後可以直接再送一次
+    if (authError) {
+      setMessages((prev) =>
+        prev.filter((m) => m.id !== userMsgId && m.id !== aiMsgId)
+      );
+    }
+    return !authError;
+  };
+
+  // 停止生成：中斷 fetch 與 reader，catch 區塊會負責保留部分回答
+  const stop = () => {
+    abortControllerRef.current?.abort();
+    setStatus("");
+  };
+
+  // 從 index 位置分岔出新分支並重新生成：
+  // 新分支使用新的後端 thread，並一次送出截斷後的完整歷史
+  const streamNewBranch = async (index, newTail, history) => {
+    const aiMsg = newTail[newTail.length - 1];
+    setMessages((prev) => forkAt(prev, index, newTail));
+    await streamResponse(aiMsg.id, aiMsg.runThreadId, {
+      input: { messages: history },
+    });
+  };
+
+  // 重新生成 AI 回答：保留舊的回答作為另一個分支
+  const regenerate = async (index) => {
+    if (isLoading || pendingInterrupt) return;
+
+    const newAi = {
+      id: Date.now(),
+      content: "",
+      type: "ai",
+      createdAt: Date.now(),
+      runThreadId: createBranchThreadId(threadId),
+    };
+    await streamNewBranch(
+      index,
+      [newAi],
+      toHistoryPayload(messages.slice(0, index))
+    );
+  };
+
+  // 重試失敗的回答：在原位置換成新的回答 (不產生分支)
+  // 失敗的那次可能已經在後端留下一半的紀錄，所以改用新的後端 thread 並送出完整歷史
+  const retry = async (index) => {
+    if (isLoading || pendingInterrupt) return;
+
+    const newAi = {
+      id: Date.now(),
+      content: "",
+      type: "ai",
+      createdAt: Date.now(),
+      runThreadId: createBranchThreadId(threadId),
+    };
+    setMessages((prev) => [...prev.slice(0, index), newAi]);
+    await streamResponse(newAi.id, newAi.runThreadId, {
+      input: { messages: toHistoryPayload(messages.slice(0, index)) },
+    });
+  };
+
+  // 編輯使用者訊息後重送：原本的提問與之後的對話保留為另一個分支
+  const editMessage = async (index, newText) => {
+    if (isLoading || pendingInterrupt || !newText.trim()) return;
+
+    const userMsgId = Date.now();
+    const { attachments: editedAttachments = [] } = messages[index];
+    const newUser = {
+      id: userMsgId,
+      content: newText,
+      type: "user",
+      createdAt: Date.now(),
+      ...(editedAttachments.length ? { attachments: editedAttachments } : {}),
+    };
+    const newAi = {
+      id: userMsgId + 1,
+      content: "",
+      type: "ai",
+      createdAt: Date.now(),
+      runThreadId: createBranchThreadId(threadId),
+    };
+    await streamNewBranch(
+      index,
+      [newUser, newAi],
+      [
+        ...toHistoryPayload(messages.slice(0, index)),
+        {
+          role: "user",
+          content: buildMessageContent(newText, editedAttachments),
+        },
+      ]
+    );
+  };
+
+  // 在分支之間切換 (‹ 1/3 ›)
+  const selectBranch = (index, target) => {
+    if (isLoading) return;
+    setMessages((prev) => switchBranch(prev, index, target));
+  };
+
+  // 處理工具核准卡片：approve / edit / reject，並以同一個 thread_id 送出 resume
+  const resolveInterrupt = async (msg, action, args) => {
+    if (isLoading) return;
+
+    const statusByAction = {
+      approve: "approved",
+      edit: "edited",
+      reject: "rejected",
+    };
+    updateMessage(msg.id, (m) => ({
+      ...m,
+      interrupt: {
+        ...m.interrupt,
+        status: statusByAction[action],
+        ...(action === "edit" ? { args } : {}),
+      },
+    }));
+
+    await streamResponse(
+      msg.id,
+      msg.runThreadId || threadId,
+      {
+        command: {
+          resume: action === "edit" ? { action, args } : { action },
+        },
+      },
+      msg.content || ""
+    );
+  };
+
+  // 送出 👍 / 👎 回饋：先記在訊息上，再 POST 到 /feedback
+  // 離線或暫時性的錯誤排入佇列稍後補送；其他錯誤 (例如 400) 記在 feedback.error 顯示出來
+  const submitFeedback = async (msg, feedback) => {
+    updateMessage(msg.id, (m) => ({
+      ...m,
+      feedback: { ...feedback, status: "sending" },
+    }));
+    let next;
+    try {
+      const deliveryStatus = await postFeedback(
+        { baseUrl: API_BASE_URL, settings },
+        buildFeedbackPayload({
+          threadId: msg.runThreadId || threadId,
+          message: msg,
+          feedback,
+        }),
+        { threadId }
+      );
+      next = { status: deliveryStatus };
+    } catch (err) {
+      console.error("Failed to send feedback:", err);
+      next = { status: "failed", error: describeStreamError(err) };
+    }
+    updateMessage(msg.id, (m) => ({
+      ...m,
+      feedback: { ...m.feedback, ...next },
+    }));
+  };
+
+  // --- 設定與登入 (Settings & Auth) ---
+
+  // 呼叫端傳入的欄位 (例如 widget 的 apiKey、headers) 只留在記憶體，存檔時沿用原本保存的值
+  const updateSettings = (nextSettings) => {
+    setSettings(nextSettings);
+    const saved = loadSettings(storage);
+    saveSettings(
+      {
+        ...nextSettings,
+        ...Object.fromEntries(
+          Object.keys(settingsOverrides).map((key) => [key, saved[key]])
+        ),
+      },
+      storage
+    );
+    setAuthNotice("");
+  };
+
+  const login = (session) => {
+    setAuthSession(session);
+    setIsSessionExpired(false);
+  };
+
+  const logout = () => {
+    abortControllerRef.current?.abort();
+    clearSession();
+    setAuthSession(null);
+    setIsSessionExpired(false);
+  };
+
+  return {
+    settings,
+    updateSettings,
+    messages,
+    threadId,
+    threads,
+    systemPrompt,
+    setSystemPrompt,
+    isLoading,
+    isHydrating,
+    status,
+    isOnline,
+    pendingInterrupt,
+    send,
+    stop,
+    clear,
+    newChat,
+    regenerate,
+    retry,
+    editMessage,
+    selectBranch,
+    resolveInterrupt,
+    submitFeedback,
+    selectThread,
+    deleteThread: removeThread,
+    renameThread,
+    exportThread,
+    importThread,
+    authSession,
+    isSessionExpired,
+    authNotice,
+    needsLogin,
+    login,
+    logout,
+  };
+};
+
+export default useChatAgent;
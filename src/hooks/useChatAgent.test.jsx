@@ -0,0 +1,332 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import useChatAgent from "./useChatAgent";
+import { translate } from "../lib/i18n";
+
+// IndexedDB 換成記憶體裡的 Map
+const storedThreads = new Map();
+vi.mock("../lib/threadStore", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listThreads: async () => [...storedThreads.values()],
+  getThread: async (id) => storedThreads.get(id) ?? null,
+  saveThread: async (thread) => {
+    storedThreads.set(thread.id, thread);
+  },
+  deleteThread: async (id) => {
+    storedThreads.delete(id);
+  },
+}));
+
+const encoder = new TextEncoder();
+
+const ndjsonResponse = (...events) => ({
+  ok: true,
+  status: 200,
+  headers: new Headers(),
+  body: new ReadableStream({
+    start(controller) {
+      for (const event of events) {
+        controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+      }
+      controller.close();
+    },
+  }),
+});
+
+const options = {
+  apiBaseUrl: "http://api",
+  streamFormat: "ndjson",
+  historyPath: "",
+  authMode: "static",
+  greeting: "Hi there",
+};
+
+const renderChat = async (extra = {}) => {
+  const hook = renderHook(() => useChatAgent({ ...options, ...extra }));
+  await waitFor(() => expect(hook.result.current.threadId).not.toBe(""));
+  return hook;
+};
+
+const lastMessage = (result) => result.current.messages.at(-1);
+
+describe("useChatAgent", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    localStorage.clear();
+    storedThreads.clear();
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("starts with the greeting", async () => {
+    const { result } = await renderChat();
+
+    expect(result.current.messages).toHaveLength(1);
+    expect(result.current.messages[0]).toMatchObject({
+      type: "ai",
+      content: "Hi there",
+    });
+  });
+
+  it("sends the prompt and streams the answer into a new AI message", async () => {
+    fetchMock.mockResolvedValue(
+      ndjsonResponse(
+        { type: "status", content: "thinking" },
+        { type: "text", content: "Hel" },
+        { type: "text", content: "lo" },
+        { type: "metadata", run_id: "run_1" },
+        { type: "done" }
+      )
+    );
+    const onMessage = vi.fn();
+    const { result } = await renderChat({ onMessage });
+
+    let sent;
+    await act(async () => {
+      sent = await result.current.send("Hello?");
+    });
+
+    expect(sent).toBe(true);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("http://api/chat");
+    expect(JSON.parse(init.body).input.messages).toEqual([
+      { role: "user", content: "Hello?" },
+    ]);
+
+    expect(result.current.isLoading).toBe(false);
+    expect(result.current.messages.map((m) => [m.type, m.content])).toEqual([
+      ["ai", "Hi there"],
+      ["user", "Hello?"],
+      ["ai", "Hello"],
+    ]);
+    expect(lastMessage(result).runId).toBe("run_1");
+    await waitFor(() =>
+      expect(onMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "ai", content: "Hello" })
+      )
+    );
+  });
+
+  it("records tool calls on the AI message", async () => {
+    fetchMock.mockResolvedValue(
+      ndjsonResponse(
+        { type: "tool_start", id: "c1", name: "search", args: { q: "x" } },
+        { type: "tool_end", id: "c1", name: "search", result: "found" },
+        { type: "text", content: "Done" },
+        { type: "done" }
+      )
+    );
+    const onToolCall = vi.fn();
+    const { result } = await renderChat({ onToolCall });
+
+    await act(async () => {
+      await result.current.send("Search x");
+    });
+
+    expect(onToolCall).toHaveBeenCalledTimes(2);
+    expect(lastMessage(result).steps).toEqual([
+      expect.objectContaining({ id: "c1", name: "search", result: "found" }),
+    ]);
+  });
+
+  it("marks the AI message as failed when the request is rejected", async () => {
+    fetchMock.mockResolvedValue({
+      ok: false,
+      status: 400,
+      headers: new Headers(),
+    });
+    const onError = vi.fn();
+    const { result } = await renderChat({ onError });
+
+    await act(async () => {
+      await result.current.send("Hello?");
+    });
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 400 })
+    );
+    expect(result.current.isLoading).toBe(false);
+    expect(lastMessage(result)).toMatchObject({
+      type: "ai",
+      isError: true,
+      errorMessage: translate("zh-TW", "stream.serverError", { status: 400 }),
+    });
+  });
+
+  it("keeps the streamed text when the connection drops", async () => {
+    let sent = false;
+    fetchMock.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers(),
+      body: new ReadableStream({
+        pull(controller) {
+          if (sent) controller.error(new TypeError("network error"));
+          else
+            controller.enqueue(
+              encoder.encode('{"type":"text","content":"Part"}\n')
+            );
+          sent = true;
+        },
+      }),
+    });
+    const { result } = await renderChat();
+
+    await act(async () => {
+      await result.current.send("Hello?");
+    });
+
+    expect(lastMessage(result)).toMatchObject({
+      content: "Part",
+      isError: true,
+      errorMessage: translate("zh-TW", "stream.networkError"),
+    });
+  });
+
+  it("does not send while offline", async () => {
+    const { result } = await renderChat();
+
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    let sent;
+    await act(async () => {
+      sent = await result.current.send("Hello?");
+    });
+
+    expect(sent).toBe(false);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("reloads the server history only when the backend settings change", async () => {
+    fetchMock.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers(),
+      json: async () => ({ messages: [] }),
+    });
+    const { result } = await renderChat({
+      threadId: "t1",
+      historyPath: "/history/{threadId}",
+    });
+    await waitFor(() => expect(result.current.isHydrating).toBe(false));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toBe("http://api/history/t1");
+
+    act(() => {
+      result.current.updateSettings({
+        ...result.current.settings,
+        greeting: "Hello again",
+        apiKey: "another-key",
+      });
+    });
+    await waitFor(() => expect(result.current.isHydrating).toBe(false));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    act(() => {
+      result.current.updateSettings({
+        ...result.current.settings,
+        apiBaseUrl: "http://other",
+      });
+    });
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(2));
+    expect(fetchMock.mock.calls[1][0]).toBe("http://other/history/t1");
+  });
+
+  it("marks queued feedback as sent once it is flushed", async () => {
+    fetchMock.mockResolvedValue(
+      ndjsonResponse({ type: "text", content: "Answer" }, { type: "done" })
+    );
+    const { result } = await renderChat();
+    await act(async () => {
+      await result.current.send("Question");
+    });
+    const answer = lastMessage(result);
+
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+    await act(async () => {
+      await result.current.submitFeedback(answer, { rating: "up" });
+    });
+    expect(lastMessage(result).feedback.status).toBe("queued");
+
+    fetchMock.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers(),
+    });
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+
+    await waitFor(() =>
+      expect(lastMessage(result).feedback.status).toBe("sent")
+    );
+    expect(fetchMock).toHaveBeenLastCalledWith(
+      "http://api/feedback",
+      expect.objectContaining({ method: "POST" })
+    );
+    await waitFor(() =>
+      expect(
+        storedThreads.get(result.current.threadId).messages.at(-1).feedback
+          .status
+      ).toBe("sent")
+    );
+  });
+
+  it("keeps the thread id and saved settings under the storage key", async () => {
+    const { result } = await renderChat({ storageKey: "w1" });
+
+    act(() => {
+      result.current.updateSettings({
+        ...result.current.settings,
+        assistantName: "Helper",
+      });
+    });
+
+    expect(localStorage.getItem("w1:chat_thread_id")).toBe(
+      result.current.threadId
+    );
+    expect(
+      JSON.parse(localStorage.getItem("w1:chat_settings")).assistantName
+    ).toBe("Helper");
+    expect(localStorage.getItem("chat_thread_id")).toBeNull();
+    expect(localStorage.getItem("chat_settings")).toBeNull();
+  });
+
+  it("clear starts a new thread and keeps the old one in the list", async () => {
+    fetchMock.mockResolvedValue(
+      ndjsonResponse({ type: "text", content: "Answer" }, { type: "done" })
+    );
+    const { result } = await renderChat();
+    await act(async () => {
+      await result.current.send("Question");
+    });
+    const oldThreadId = result.current.threadId;
+    await waitFor(() => expect(storedThreads.has(oldThreadId)).toBe(true));
+
+    act(() => {
+      result.current.clear();
+    });
+
+    expect(result.current.threadId).not.toBe(oldThreadId);
+    expect(result.current.messages).toEqual([
+      expect.objectContaining({
+        type: "ai",
+        content: translate("zh-TW", "chat.cleared"),
+      }),
+    ]);
+    expect(result.current.threads.map((t) => t.id)).toContain(oldThreadId);
+  });
+});
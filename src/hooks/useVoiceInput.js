@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ *  語音輸入 Hook (useVoiceInput)
+ * ============================================================================
+ *  輸入框的麥克風按鈕使用，兩種方式 (依系統設定)：
+ *  - 沒有設定 transcriptionUrl：瀏覽器內建的語音辨識 (SpeechRecognition，Chrome / Edge / Safari)
+ *  - 有設定 transcriptionUrl：用 MediaRecorder 錄音，停止後上傳轉寫 (見 api/transcription.js)
+ *
+ *    const voice = useVoiceInput({ settings, language, onTranscript });
+ *    voice.isSupported   // 這個瀏覽器可以使用語音輸入
+ *    voice.isStarting    // 等待麥克風權限中 (transcriptionUrl 模式)
+ *    voice.isRecording   // 錄音中
+ *    voice.isTranscribing // 上傳轉寫中 (transcriptionUrl 模式)
+ *    voice.error         // 麥克風被拒絕、辨識失敗時的訊息
+ *    voice.start(); voice.stop();
+ *
+ *  辨識完成時以 onTranscript(text) 交出文字，由外層決定要放到哪裡。
+ */
+import { useState, useRef, useEffect } from "react";
+import { transcribeAudio } from "../api/transcription";
+import { t } from "../lib/i18n";
+
+const getSpeechRecognition = () =>
+  typeof window === "undefined"
+    ? null
+    : window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+const canRecordAudio = () =>
+  typeof window !== "undefined" &&
+  "MediaRecorder" in window &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+// 麥克風權限被拒絕 (getUserMedia 的 NotAllowedError / 辨識的 not-allowed)
+const isPermissionError = (code) =>
+  ["NotAllowedError", "not-allowed", "service-not-allowed"].includes(code);
+
+const useVoiceInput = ({ settings, language, onTranscript }) => {
+  const [isStarting, setIsStarting] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [error, setError] = useState("");
+
+  const recognitionRef = useRef(null); // SpeechRecognition
+  const recorderRef = useRef(null); // MediaRecorder
+  const isStartingRef = useRef(false); // 等待 getUserMedia 中 (連點兩下不會開兩個錄音)
+  const abortControllerRef = useRef(null); // 上傳轉寫的請求
+  const onTranscriptRef = useRef(onTranscript); // 非同步完成時使用最新的 callback
+
+  useEffect(() => {
+    onTranscriptRef.current = onTranscript;
+  });
+
+  // 元件卸載時停止錄音、取消上傳
+  useEffect(
+    () => () => {
+      isStartingRef.current = false; // 權限取得後直接關掉麥克風
+      recognitionRef.current?.abort();
+      const recorder = recorderRef.current;
+      if (recorder && recorder.state !== "inactive") {
+        recorder.onstop = null;
+        recorder.stop();
+        recorder.stream.getTracks().forEach((track) => track.stop());
+      }
+      abortControllerRef.current?.abort();
+    },
+    []
+  );
+
+  const useServer = Boolean(settings?.transcriptionUrl);
+  const isSupported = Boolean(
+    settings && (useServer ? canRecordAudio() : getSpeechRecognition())
+  );
+
+  const emitTranscript = (text) => {
+    if (text.trim()) onTranscriptRef.current?.(text.trim());
+  };
+
+  // 瀏覽器語音辨識：持續聽寫到按下停止，最後一次交出所有確定的文字
+  const startRecognition = () => {
+    const SpeechRecognition = getSpeechRecognition();
+    const recognition = new SpeechRecognition();
+    recognition.lang = language;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+
+    let transcript = "";
+    recognition.onresult = (e) => {
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        if (e.results[i].isFinal) transcript += e.results[i][0].transcript;
+      }
+    };
+    recognition.onerror = (e) => {
+      if (e.error === "aborted" || e.error === "no-speech") return;
+      setError(
+        isPermissionError(e.error)
+          ? t("voice.microphoneDenied")
+          : t("voice.failed", { message: e.error })
+      );
+    };
+    recognition.onend = () => {
+      recognitionRef.current = null;
+      setIsRecording(false);
+      emitTranscript(transcript);
+    };
+
+    // 已經在辨識中 (InvalidStateError) 或瀏覽器拒絕啟動時 start() 會直接丟出錯誤
+    try {
+      recognition.start();
+    } catch (err) {
+      setError(t("voice.failed", { message: err.message }));
+      return;
+    }
+    recognitionRef.current = recognition;
+    setIsRecording(true);
+  };
+
+  // 錄音後上傳轉寫
+  const startRecording = async () => {
+    isStartingRef.current = true;
+    setIsStarting(true);
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      if (isStartingRef.current) {
+        setError(
+          isPermissionError(err.name)
+            ? t("voice.microphoneDenied")
+            : t("voice.failed", { message: err.message })
+        );
+      }
+      isStartingRef.current = false;
+      return;
+    } finally {
+      setIsStarting(false);
+    }
+    // 等待權限時元件已卸載
+    if (!isStartingRef.current) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    isStartingRef.current = false;
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+    recorder.onstop = async () => {
+      recorderRef.current = null;
+      stream.getTracks().forEach((track) => track.stop()); // 關掉麥克風指示燈
+      setIsRecording(false);
+      if (!chunks.length) return;
+
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setIsTranscribing(true);
+      try {
+        const text = await transcribeAudio({
+          settings,
+          audio: new Blob(chunks, { type: recorder.mimeType }),
+          language,
+          signal: controller.signal,
+        });
+        emitTranscript(text);
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("Transcription failed:", err);
+        setError(t("voice.failed", { message: err.message }));
+      } finally {
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null;
+          setIsTranscribing(false);
+        }
+      }
+    };
+
+    recorderRef.current = recorder;
+    recorder.start();
+    setIsRecording(true);
+  };
+
+  const start = () => {
+    if (!isSupported || isStartingRef.current || isRecording || isTranscribing)
+      return;
+    setError("");
+    if (useServer) startRecording();
+    else startRecognition();
+  };
+
+  // 停止後才交出文字 (辨識的 onend / 錄音的 onstop)
+  const stop = () => {
+    recognitionRef.current?.stop();
+    if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+  };
+
+  return {
+    isSupported,
+    isStarting,
+    isRecording,
+    isTranscribing,
+    error,
+    start,
+    stop,
+  };
+};
+
+export default useVoiceInput;
@@ -0,0 +1,149 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import useVoiceInput from "./useVoiceInput";
+import { translate } from "../lib/i18n";
+
+class FakeMediaRecorder {
+  static instances = [];
+
+  constructor(stream) {
+    this.stream = stream;
+    this.state = "inactive";
+    this.mimeType = "audio/webm";
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start() {
+    this.state = "recording";
+  }
+
+  stop() {
+    this.state = "inactive";
+    this.onstop?.();
+  }
+}
+
+const createStream = () => {
+  const track = { stop: vi.fn() };
+  return { track, stream: { getTracks: () => [track] } };
+};
+
+describe("useVoiceInput", () => {
+  beforeEach(() => {
+    FakeMediaRecorder.instances = [];
+    vi.stubGlobal("MediaRecorder", FakeMediaRecorder);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe("with a transcription endpoint", () => {
+    const settings = { transcriptionUrl: "http://api/transcribe" };
+    let getUserMedia;
+
+    beforeEach(() => {
+      getUserMedia = vi.fn();
+      vi.stubGlobal("navigator", { mediaDevices: { getUserMedia } });
+    });
+
+    it("starts only one recorder when clicked twice while asking for the microphone", async () => {
+      let grant;
+      getUserMedia.mockReturnValue(
+        new Promise((resolve) => {
+          grant = resolve;
+        })
+      );
+      const { result } = renderHook(() =>
+        useVoiceInput({ settings, language: "en-US" })
+      );
+
+      act(() => {
+        result.current.start();
+      });
+      expect(result.current.isStarting).toBe(true);
+      act(() => {
+        result.current.start();
+      });
+      await act(async () => {
+        grant(createStream().stream);
+      });
+
+      expect(getUserMedia).toHaveBeenCalledTimes(1);
+      expect(FakeMediaRecorder.instances).toHaveLength(1);
+      expect(result.current.isStarting).toBe(false);
+      expect(result.current.isRecording).toBe(true);
+    });
+
+    it("can start again after the microphone is denied", async () => {
+      getUserMedia.mockRejectedValueOnce(
+        new DOMException("Denied", "NotAllowedError")
+      );
+      getUserMedia.mockResolvedValueOnce(createStream().stream);
+      const { result } = renderHook(() =>
+        useVoiceInput({ settings, language: "en-US" })
+      );
+
+      await act(async () => {
+        result.current.start();
+      });
+      expect(result.current.error).toBe(
+        translate("zh-TW", "voice.microphoneDenied")
+      );
+
+      await act(async () => {
+        result.current.start();
+      });
+      expect(result.current.isRecording).toBe(true);
+    });
+
+    it("turns the microphone off when unmounted while asking for it", async () => {
+      let grant;
+      getUserMedia.mockReturnValue(
+        new Promise((resolve) => {
+          grant = resolve;
+        })
+      );
+      const { result, unmount } = renderHook(() =>
+        useVoiceInput({ settings, language: "en-US" })
+      );
+
+      act(() => {
+        result.current.start();
+      });
+      unmount();
+      const { track, stream } = createStream();
+      await act(async () => {
+        grant(stream);
+      });
+
+      expect(track.stop).toHaveBeenCalled();
+      expect(FakeMediaRecorder.instances).toHaveLength(0);
+    });
+  });
+
+  it("shows an error instead of throwing when speech recognition cannot start", () => {
+    vi.stubGlobal(
+      "SpeechRecognition",
+      class {
+        start() {
+          throw new DOMException("already started", "InvalidStateError");
+        }
+      }
+    );
+    const { result } = renderHook(() =>
+      useVoiceInput({ settings: {}, language: "en-US" })
+    );
+
+    act(() => {
+      result.current.start();
+    });
+
+    expect(result.current.isRecording).toBe(false);
+    expect(result.current.error).toBe(
+      translate("zh-TW", "voice.failed", { message: "already started" })
+    );
+  });
+});
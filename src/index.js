@@ -0,0 +1,16 @@
+/**
+ * ============================================================================
+ *  對外匯出 (Public Exports)
+ * ============================================================================
+ *  自訂介面時從這裡引入：useChatAgent 負責對話狀態，其餘是可以覆寫的畫面元件。
+ */
+import "katex/dist/katex.min.css"; // MessageContent 的數學式樣式
+export { default as useChatAgent } from "./hooks/useChatAgent";
+export { default as useVoiceInput } from "./hooks/useVoiceInput";
+export { default as ChatInterface } from "./ChatInterface";
+export { default as Sidebar } from "./components/Sidebar";
+export { default as MessageList } from "./components/MessageList";
+export { default as MessageBubble } from "./components/MessageBubble";
+export { default as MessageContent } from "./components/MessageContent";
+export { default as Composer } from "./components/Composer";
+export { default as StatusCapsule } from "./components/StatusCapsule";
@@ -0,0 +1,174 @@
+// @vitest-environment jsdom
+import React, { useState } from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  act,
+  cleanup,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from "@testing-library/react";
+import { useChatAgent, MessageList, Composer } from "./index";
+import { translate } from "./lib/i18n";
+
+vi.mock("./lib/threadStore", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listThreads: async () => [],
+  getThread: async () => null,
+  saveThread: async () => {},
+  deleteThread: async () => {},
+}));
+
+const encoder = new TextEncoder();
+const text = (key, params) => translate("zh-TW", key, params);
+
+// README「自訂介面」的組合方式
+const MyChat = () => {
+  const chat = useChatAgent({
+    apiBaseUrl: "http://api",
+    streamFormat: "ndjson",
+    historyPath: "",
+    authMode: "static",
+    greeting: "Welcome!",
+  });
+  const [value, setValue] = useState("");
+
+  return (
+    <div>
+      <MessageList chat={chat} />
+      <Composer
+        value={value}
+        onChange={setValue}
+        onSubmit={() => chat.send(value).then((sent) => sent && setValue(""))}
+        onStop={chat.stop}
+        isLoading={chat.isLoading}
+        canSend={Boolean(value.trim()) && !chat.isLoading}
+      />
+    </div>
+  );
+};
+
+// 可以從外面一段一段推送內容的 NDJSON 串流
+const createControlledResponse = () => {
+  let controller;
+  const body = new ReadableStream({
+    start(c) {
+      controller = c;
+    },
+  });
+  return {
+    response: { ok: true, status: 200, headers: new Headers(), body },
+    push: (event) =>
+      controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`)),
+    close: () => controller.close(),
+    fail: (error) => controller.error(error),
+  };
+};
+
+const submitPrompt = (prompt) => {
+  const input = screen.getByPlaceholderText(text("chat.placeholder"));
+  fireEvent.change(input, { target: { value: prompt } });
+  fireEvent.keyDown(input, { key: "Enter" });
+  return input;
+};
+
+describe("composed chat components", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    vi.stubGlobal(
+      "ResizeObserver",
+      class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+      }
+    );
+    // jsdom 沒有版面配置，給元素一個大小，虛擬化列表才會渲染訊息
+    vi.spyOn(HTMLElement.prototype, "offsetHeight", "get").mockReturnValue(800);
+    vi.spyOn(HTMLElement.prototype, "offsetWidth", "get").mockReturnValue(800);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("sends the prompt from the composer and renders the streamed answer", async () => {
+    const stream = createControlledResponse();
+    fetchMock.mockResolvedValue(stream.response);
+    render(<MyChat />);
+    expect(await screen.findByText("Welcome!")).toBeTruthy();
+
+    const input = submitPrompt("What is up?");
+
+    expect(await screen.findAllByText("What is up?")).not.toHaveLength(0);
+    await act(async () => {
+      stream.push({ type: "status", content: "Looking it up" });
+    });
+    expect(await screen.findByText("Looking it up")).toBeTruthy();
+
+    await act(async () => {
+      stream.push({ type: "text", content: "All **good**" });
+      stream.push({ type: "done" });
+      stream.close();
+    });
+
+    expect((await screen.findByText("good")).tagName).toBe("STRONG");
+    expect(screen.queryByText("Looking it up")).toBeNull();
+    expect(input.value).toBe("");
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).input.messages).toEqual([
+      { role: "user", content: "What is up?" },
+    ]);
+  });
+
+  it("shows the error on the answer when the backend fails", async () => {
+    fetchMock.mockResolvedValue({
+      ok: false,
+      status: 400,
+      headers: new Headers(),
+    });
+    render(<MyChat />);
+    await screen.findByText("Welcome!");
+
+    submitPrompt("Hello");
+
+    expect(
+      await screen.findByText(text("stream.serverError", { status: 400 }), {
+        exact: false,
+      })
+    ).toBeTruthy();
+  });
+
+  it("stops the answer with the stop button and keeps the partial text", async () => {
+    const stream = createControlledResponse();
+    // 和瀏覽器的 fetch 一樣：中斷請求時，讀取中的回應串流以 AbortError 結束
+    fetchMock.mockImplementation(async (url, init) => {
+      init.signal.addEventListener("abort", () =>
+        stream.fail(new DOMException("Aborted", "AbortError"))
+      );
+      return stream.response;
+    });
+    render(<MyChat />);
+    await screen.findByText("Welcome!");
+
+    submitPrompt("Tell me a story");
+    await act(async () => {
+      stream.push({ type: "text", content: "Once upon a time" });
+    });
+    expect(await screen.findByText("Once upon a time")).toBeTruthy();
+
+    fireEvent.click(screen.getByTitle(text("chat.stopGeneration")));
+
+    await waitFor(() =>
+      expect(screen.queryByTitle(text("chat.stopGeneration"))).toBeNull()
+    );
+    expect(screen.getByText("Once upon a time")).toBeTruthy();
+  });
+});
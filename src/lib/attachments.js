@@ -0,0 +1,103 @@
+/**
+ * ============================================================================
+ *  附件處理 (Attachments)
+ * ============================================================================
+ *  把使用者選取 / 拖曳 / 貼上的檔案轉成可以存進訊息與 IndexedDB 的物件：
+ *  { id, name, mimeType, size, kind, dataUrl, text }
+ *  kind: "image" | "pdf" | "text"
+ *
+ *  送給後端時轉成多模態的 content parts：
+ *  - 圖片 -> { type: "image_url", image_url: { url: "data:image/png;base64,..." } }
+ *  - PDF  -> { type: "file", file: { filename, file_data: "data:application/pdf;base64,..." } }
+ *  - 文字 -> { type: "text", text: "檔名 + 檔案內容" }
+ */
+import { t } from "./i18n";
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+export const MAX_ATTACHMENTS = 5;
+
+// <input type="file" accept> 使用的清單
+export const ACCEPTED_FILE_TYPES =
+  "image/*,application/pdf,text/*,.md,.json,.csv,.py,.js,.ts,.jsx,.tsx,.yaml,.yml";
+
+// 沒有 text/* MIME type，但內容其實是文字的副檔名
+const TEXT_EXTENSIONS =
+  /\.(md|json|csv|py|js|ts|jsx|tsx|yaml|yml|txt|log|xml|html|css|sql|sh)$/i;
+
+export const getAttachmentKind = (file) => {
+  if (file.type.startsWith("image/")) return "image";
+  if (file.type === "application/pdf") return "pdf";
+  if (file.type.startsWith("text/") || TEXT_EXTENSIONS.test(file.name)) {
+    return "text";
+  }
+  return null;
+};
+
+const readAs = (file, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+
+// 讀取單一檔案；不支援或過大時丟出錯誤 (訊息可直接顯示給使用者)
+export const readFileAsAttachment = async (file) => {
+  const kind = getAttachmentKind(file);
+  if (!kind)
+    throw new Error(t("attachments.unsupportedType", { name: file.name }));
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(t("attachments.tooLarge", { name: file.name }));
+  }
+
+  const attachment = {
+    id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    name: file.name || `${kind}-${Date.now()}`,
+    mimeType: file.type || "text/plain",
+    size: file.size,
+    kind,
+  };
+
+  if (kind === "text") {
+    attachment.text = await readAs(file, "readAsText");
+  } else {
+    attachment.dataUrl = await readAs(file, "readAsDataURL");
+  }
+  return attachment;
+};
+
+// 從剪貼簿 / 拖曳事件取出檔案
+export const getFilesFromDataTransfer = (dataTransfer) =>
+  Array.from(dataTransfer?.files || []);
+
+// 組出送給後端的 content：沒有附件時維持純字串 (與原本的 payload 相容)
+export const buildMessageContent = (text, attachments = []) => {
+  if (!attachments.length) return text;
+
+  const parts = [];
+  if (text) parts.push({ type: "text", text });
+
+  for (const att of attachments) {
+    if (att.kind === "image") {
+      parts.push({ type: "image_url", image_url: { url: att.dataUrl } });
+    } else if (att.kind === "pdf") {
+      parts.push({
+        type: "file",
+        file: { filename: att.name, file_data: att.dataUrl },
+      });
+    } else {
+      const label = t("attachments.fileLabel", { name: att.name });
+      parts.push({
+        type: "text",
+        text: `${label}\n\`\`\`\n${att.text}\n\`\`\``,
+      });
+    }
+  }
+  return parts;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ *  訊息分支 (Message Branches)
+ * ============================================================================
+ *  「重新生成」與「編輯後重送」不會覆蓋舊的內容，而是在同一個位置產生新的分支。
+ *
+ *  資料結構：messages 永遠是「目前顯示的那一條路徑」。
+ *  分支資訊存在分岔點的前一則訊息 (parent) 上：
+ *    parent.branches = { versions: [tail0, tail1, ...], active: 1 }
+ *  每個 tail 是從分岔點開始到結尾的訊息陣列；目前顯示的 tail 就是
+ *  messages.slice(index)，切換時先把它存回 versions[active] 再換上另一個。
+ *
+ *  後端的對話記憶也要跟著分岔：新分支會使用新的後端 thread id
+ *  (記錄在 AI 訊息的 runThreadId 上)，並把截斷後的完整歷史一次送出。
+ */
+import { buildMessageContent } from "./attachments";
+
+// 在 index 位置產生新分支，newTail 取代目前 index 之後的所有訊息
+export const forkAt = (messages, index, newTail) => {
+  if (index < 1) return [...messages.slice(0, index), ...newTail];
+
+  const parent = messages[index - 1];
+  const versions = [...(parent.branches?.versions || [null])];
+  const active = parent.branches?.active ?? 0;
+  versions[active] = messages.slice(index);
+  versions.push(newTail);
+
+  return [
+    ...messages.slice(0, index - 1),
+    { ...parent, branches: { versions, active: versions.length - 1 } },
+    ...newTail,
+  ];
+};
+
+// 切換 index 位置的分支到第 target 個版本
+export const switchBranch = (messages, index, target) => {
+  const parent = messages[index - 1];
+  const branches = parent?.branches;
+  if (!branches || !branches.versions[target]) return messages;
+  if (target === branches.active) return messages;
+
+  const versions = [...branches.versions];
+  versions[branches.active] = messages.slice(index);
+
+  return [
+    ...messages.slice(0, index - 1),
+    { ...parent, branches: { versions, active: target } },
+    ...versions[target],
+  ];
+};
+
+// 取得 index 位置的分支資訊 ({ active, total })，沒有分支時回傳 null
+export const getBranchInfo = (messages, index) => {
+  const branches = messages[index - 1]?.branches;
+  if (!branches || branches.versions.length < 2) return null;
+  return { active: branches.active, total: branches.versions.length };
+};
+
+// 目前路徑對應的後端 thread：最後一則帶有 runThreadId 的訊息，否則使用本地 thread id
+export const getRunThreadId = (messages, fallbackThreadId) => {
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    if (messages[i].runThreadId) return messages[i].runThreadId;
+  }
+  return fallbackThreadId;
+};
+
+// 產生新分支專用的後端 thread id
+export const createBranchThreadId = (threadId) =>
+  `${threadId}_branch_${Date.now().toString(36)}`;
+
+// 把畫面上的訊息轉成送給後端的歷史紀錄 (略過第一則提問之前的開場白與錯誤訊息)
+// 使用者訊息的附件會一併轉成多模態 content parts
+export const toHistoryPayload = (messages) => {
+  const firstUserIndex = messages.findIndex((m) => m.type === "user");
+  if (firstUserIndex === -1) return [];
+
+  return messages
+    .slice(firstUserIndex)
+    .filter((m) => !m.isError && (m.content || m.attachments?.length))
+    .map((m) =>
+      m.type === "user"
+        ? {
+            role: "user",
+            content: buildMessageContent(m.content, m.attachments),
+          }
+        : { role: "assistant", content: m.content }
+    );
+};
@@ -0,0 +1,21 @@
+/**
+ * 下載檔案 (Download Helper)
+ * 用 Blob + 暫時的 <a download> 觸發瀏覽器下載，不需要後端參與。
+ */
+export const downloadFile = (filename, content, mimeType = "text/plain") => {
+  const blob =
+    content instanceof Blob
+      ? content
+      : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // 等瀏覽器開始下載後再釋放 URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
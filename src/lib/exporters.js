@@ -0,0 +1,343 @@
+/**
+ * ============================================================================
+ *  對話匯出 / 匯入 (Thread Export & Import)
+ * ============================================================================
+ *  - JSON：無損格式，包含訊息 id、type、錯誤旗標、工具步驟、分支與附件，
+ *          可以再匯入還原成本地的一段對話
+ *  - Markdown：以角色為標題、附上時間戳，適合貼進 bug report
+ *  - HTML：自帶樣式的單一檔案，AI 回答以 Markdown 渲染
+ *  Markdown / HTML 的標籤與時間格式使用匯出當下的語系。
+ *
+ *  thread 的形狀與 threadStore 相同：
+ *  { id, title, isTitleCustom, systemPrompt, messages, updatedAt }
+ */
+import { createElement } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { sanitizeUrl } from "./linkSafety";
+import { formatDateTime, formatMessageTime, getLocale, t } from "./i18n";
+
+export const EXPORT_FORMAT = "react-chat-agent-thread";
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_TYPES = {
+  md: { extension: "md", mimeType: "text/markdown" },
+  html: { extension: "html", mimeType: "text/html" },
+  json: { extension: "json", mimeType: "application/json" },
+};
+
+const roleLabel = (type) =>
+  ({ user: t("export.roleUser"), ai: t("export.roleAi") }[type] || type);
+
+const formatValue = (value) =>
+  typeof value === "string" ? value : JSON.stringify(value, null, 2);
+
+// 檔名不能有 / \ : * ? " < > |
+export const toExportFilename = (thread, type) =>
+  `${(thread.title || thread.id).replace(/[\\/:*?"<>|]+/g, "_").trim()}.${
+    EXPORT_TYPES[type].extension
+  }`;
+
+/**
+ * ----------------------------------------------------------------------------
+ *  JSON (Lossless)
+ * ----------------------------------------------------------------------------
+ */
+export const toJson = (thread) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      thread,
+    },
+    null,
+    2
+  );
+
+const MESSAGE_TYPES = new Set(["user", "ai"]);
+
+const isValidId = (id) =>
+  (typeof id === "string" && id !== "") || Number.isFinite(id);
+
+const createImportedId = () =>
+  `imported-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// 附件只接受本機讀進來的內容：圖片 / PDF 必須是 data: URL (不能指向遠端，繞過圖片的安全設定)
+const isValidAttachment = (att) =>
+  isPlainObject(att) &&
+  (att.kind === "text"
+    ? typeof att.text === "string"
+    : typeof att.dataUrl === "string" && att.dataUrl.startsWith("data:"));
+
+// 匯入的訊息：略過不是 user / ai 的項目，content 轉成字串，
+// 缺少或重複的 id 換成新的 (訊息列表以 id 當 key，重複的 id 會讓畫面錯亂)
+// 其餘欄位在畫面上會直接使用，格式不對就丟掉 (壞掉的對話存進 IndexedDB 後每次重新整理都會出錯)：
+// - steps：工具呼叫的陣列
+// - attachments：只留下合格的附件
+// - interrupt：等待核准 (pending) 的會鎖住輸入框，匯入後也無法再回覆後端，一律丟掉
+const normalizeImportedMessages = (messages) => {
+  const seenIds = new Set();
+  return messages.flatMap((msg) => {
+    if (!msg || typeof msg !== "object" || !MESSAGE_TYPES.has(msg.type)) {
+      return [];
+    }
+    const id =
+      isValidId(msg.id) && !seenIds.has(msg.id) ? msg.id : createImportedId();
+    seenIds.add(id);
+
+    const normalized = {
+      ...msg,
+      id,
+      content: msg.content == null ? "" : formatValue(msg.content),
+    };
+    const branches = normalizeImportedBranches(msg.branches);
+    if (branches) normalized.branches = branches;
+    else delete normalized.branches;
+
+    if (!Array.isArray(msg.steps) || !msg.steps.every(isPlainObject)) {
+      delete normalized.steps;
+    }
+    const attachments = Array.isArray(msg.attachments)
+      ? msg.attachments.filter(isValidAttachment)
+      : [];
+    if (attachments.length) normalized.attachments = attachments;
+    else delete normalized.attachments;
+    if (!isPlainObject(msg.interrupt) || msg.interrupt.status === "pending") {
+      delete normalized.interrupt;
+    }
+    if (typeof msg.runThreadId !== "string") delete normalized.runThreadId;
+    return [normalized];
+  });
+};
+
+// 分支 (見 lib/branches.js)：{ versions: [tail | null, ...], active }，格式不對就整個丟掉
+const normalizeImportedBranches = (branches) => {
+  if (!Array.isArray(branches?.versions) || branches.versions.length < 2) {
+    return null;
+  }
+  const versions = branches.versions.map((tail) =>
+    Array.isArray(tail) ? normalizeImportedMessages(tail) : null
+  );
+  const active = Number.isInteger(branches.active) ? branches.active : -1;
+  if (active < 0 || active >= versions.length) return null;
+  return { versions, active };
+};
+
+// 解析匯入的 JSON；格式不符時丟出可以直接顯示給使用者的錯誤
+export const parseJsonExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("export.invalidJson"));
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error(t("export.notExportFile"));
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(t("export.unsupportedVersion", { version: data.version }));
+  }
+
+  const thread = data.thread;
+  if (!thread?.id || !Array.isArray(thread.messages)) {
+    throw new Error(t("export.incomplete"));
+  }
+  const messages = normalizeImportedMessages(thread.messages);
+  if (!messages.length) throw new Error(t("export.incomplete"));
+  return {
+    id: String(thread.id),
+    title: thread.title || t("export.importedTitle"),
+    isTitleCustom: Boolean(thread.isTitleCustom),
+    systemPrompt: thread.systemPrompt || "",
+    messages,
+    updatedAt: Number.isFinite(thread.updatedAt)
+      ? thread.updatedAt
+      : Date.now(),
+  };
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  Markdown
+ * ----------------------------------------------------------------------------
+ */
+const stepsToMarkdown = (steps) =>
+  steps
+    .map((step) => {
+      const lines = [`- \`${step.name}\` (${step.status})`];
+      if (step.args != null) {
+        lines.push(
+          `  - ${t("export.argumentsLabel")}`,
+          "    ```json",
+          ...formatValue(step.args)
+            .split("\n")
+            .map((l) => `    ${l}`),
+          "    ```"
+        );
+      }
+      const output = step.error ?? step.result;
+      if (output != null) {
+        lines.push(
+          `  - ${t(step.error ? "export.errorLabel" : "export.resultLabel")}`,
+          "    ```",
+          ...formatValue(output)
+            .split("\n")
+            .map((l) => `    ${l}`),
+          "    ```"
+        );
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
+
+export const toMarkdown = (thread) => {
+  const parts = [`# ${thread.title}`, ""];
+  parts.push(`- Thread ID: \`${thread.id}\``);
+  if (thread.updatedAt) {
+    parts.push(
+      `- ${t("export.updatedAt", { date: formatDateTime(thread.updatedAt) })}`
+    );
+  }
+  if (thread.systemPrompt) {
+    parts.push(
+      `- ${t("export.systemPrompt", { prompt: thread.systemPrompt })}`
+    );
+  }
+  parts.push("");
+
+  for (const msg of thread.messages) {
+    const flags = [
+      msg.isError && t("export.error"),
+      msg.isStopped && t("chat.stopped"),
+    ].filter(Boolean);
+    parts.push(
+      `## ${[roleLabel(msg.type), formatMessageTime(msg)]
+        .filter(Boolean)
+        .join(" · ")}${
+        flags.length ? ` (${flags.join(t("common.listSeparator"))})` : ""
+      }`,
+      ""
+    );
+
+    if (msg.attachments?.length) {
+      parts.push(
+        ...msg.attachments.map((att) => `> 📎 ${att.name} (${att.mimeType})`),
+        ""
+      );
+    }
+    parts.push(msg.content || `_(${t("export.noContent")})_`, "");
+
+    if (msg.steps?.length) {
+      parts.push(`<details><summary>${t("export.toolCalls")}</summary>`, "");
+      parts.push(stepsToMarkdown(msg.steps), "", "</details>", "");
+    }
+  }
+  return parts.join("\n");
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  HTML (Self-contained)
+ * ----------------------------------------------------------------------------
+ *  renderToStaticMarkup 只有匯出時才需要，用動態 import 避免拖慢首次載入。
+ */
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const HTML_STYLES = `
+  body { font-family: system-ui, -apple-system, "Noto Sans TC", sans-serif; background: #f8fafc; color: #1e293b; margin: 0; padding: 2rem 1rem; }
+  main { max-width: 48rem; margin: 0 auto; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .meta { color: #94a3b8; font-size: .75rem; margin-bottom: 2rem; }
+  .msg { margin: 1rem 0; padding: .75rem 1.25rem; border-radius: 1rem; border: 1px solid #dbeafe; background: #fff; }
+  .msg.user { background: #2563eb; color: #fff; border-color: #2563eb; margin-left: 15%; white-space: pre-wrap; }
+  .msg.error { background: #fef2f2; border-color: #fecaca; color: #dc2626; }
+  .role { font-size: .7rem; opacity: .7; margin-bottom: .5rem; }
+  pre { background: #1e1e1e; color: #d4d4d4; padding: .75rem; border-radius: .375rem; overflow-x: auto; }
+  code { font-family: ui-monospace, monospace; font-size: .85em; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #e2e8f0; padding: .25rem .75rem; }
+  img.att { max-width: 12rem; border-radius: .5rem; margin: .25rem; }
+  details { font-size: .8rem; margin-top: .5rem; color: #475569; }
+`;
+
+export const toHtml = async (thread) => {
+  const { renderToStaticMarkup } = await import("react-dom/server");
+  const renderMarkdown = (text) =>
+    renderToStaticMarkup(
+      createElement(
+        ReactMarkdown,
+        { remarkPlugins: [remarkGfm], urlTransform: sanitizeUrl },
+        text || ""
+      )
+    );
+
+  const body = thread.messages
+    .map((msg) => {
+      const classes = ["msg", msg.type, msg.isError ? "error" : ""].join(" ");
+      const attachments = (msg.attachments || [])
+        .map((att) =>
+          att.kind === "image"
+            ? `<img class="att" src="${escapeHtml(
+                att.dataUrl
+              )}" alt="${escapeHtml(att.name)}">`
+            : `<div>📎 ${escapeHtml(att.name)}</div>`
+        )
+        .join("");
+      const content =
+        msg.type === "user"
+          ? escapeHtml(msg.content)
+          : renderMarkdown(msg.content);
+      const steps = msg.steps?.length
+        ? `<details><summary>${t("export.toolCalls")} (${
+            msg.steps.length
+          })</summary><pre>${escapeHtml(
+            stepsToMarkdown(msg.steps)
+          )}</pre></details>`
+        : "";
+
+      return `<section class="${classes}"><div class="role">${escapeHtml(
+        roleLabel(msg.type)
+      )} · ${escapeHtml(
+        formatMessageTime(msg)
+      )}</div>${attachments}${content}${steps}</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${getLocale()}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(thread.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(thread.title)}</h1>
+<div class="meta">Thread ID: ${escapeHtml(thread.id)} · ${escapeHtml(
+    formatDateTime(thread.updatedAt)
+  )}</div>
+${body}
+</main>
+</body>
+</html>
+`;
+};
+
+// 依格式產生匯出內容
+export const exportThread = async (thread, type = "md") => {
+  if (type === "json") return toJson(thread);
+  if (type === "html") return toHtml(thread);
+  return toMarkdown(thread);
+};
@@ -0,0 +1,195 @@
+import { describe, it, expect } from "vitest";
+import { EXPORT_FORMAT, parseJsonExport, toJson } from "./exporters";
+
+const exportFile = (thread) =>
+  JSON.stringify({ format: EXPORT_FORMAT, version: 1, thread });
+
+describe("parseJsonExport", () => {
+  it("round-trips a thread exported with toJson", () => {
+    const thread = {
+      id: "thread_1",
+      title: "Hello",
+      isTitleCustom: false,
+      systemPrompt: "",
+      messages: [
+        { id: "m1", type: "ai", content: "Hi" },
+        { id: "m2", type: "user", content: "Question" },
+      ],
+      updatedAt: 1700000000000,
+    };
+
+    expect(parseJsonExport(toJson(thread))).toEqual(thread);
+  });
+
+  it("drops entries without a valid type", () => {
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          null,
+          "text",
+          { id: "a", type: "system", content: "x" },
+          { id: "b", type: "user", content: "kept" },
+        ],
+      })
+    );
+
+    expect(messages).toEqual([{ id: "b", type: "user", content: "kept" }]);
+  });
+
+  it("gives new ids to messages with a missing or duplicate id", () => {
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          { id: "same", type: "user", content: "1" },
+          { id: "same", type: "ai", content: "2" },
+          { type: "user", content: "3" },
+          { id: {}, type: "ai", content: "4" },
+        ],
+      })
+    );
+
+    const ids = messages.map((m) => m.id);
+    expect(ids[0]).toBe("same");
+    expect(new Set(ids).size).toBe(4);
+    expect(ids.every((id) => typeof id === "string" && id)).toBe(true);
+  });
+
+  it("turns non-string content into a string", () => {
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          { id: "a", type: "user" },
+          { id: "b", type: "ai", content: { answer: 42 } },
+        ],
+      })
+    );
+
+    expect(messages[0].content).toBe("");
+    expect(typeof messages[1].content).toBe("string");
+    expect(messages[1].content).toContain("42");
+  });
+
+  it("drops malformed branches but keeps well-formed ones", () => {
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          {
+            id: "q",
+            type: "user",
+            content: "q",
+            branches: { versions: "nope", active: 0 },
+          },
+          {
+            id: "r",
+            type: "ai",
+            content: "r",
+            branches: {
+              versions: [[{ id: "x", type: "ai", content: "old" }], null],
+              active: 1,
+            },
+          },
+        ],
+      })
+    );
+
+    expect(messages[0].branches).toBeUndefined();
+    expect(messages[1].branches.active).toBe(1);
+    expect(messages[1].branches.versions[0][0].content).toBe("old");
+  });
+
+  it("drops tool steps that are not a list of objects", () => {
+    const step = { id: "c1", name: "search", status: "done" };
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          { id: "a", type: "ai", content: "1", steps: "x" },
+          { id: "b", type: "ai", content: "2", steps: [step, "x"] },
+          { id: "c", type: "ai", content: "3", steps: [step] },
+        ],
+      })
+    );
+
+    expect(messages[0].steps).toBeUndefined();
+    expect(messages[1].steps).toBeUndefined();
+    expect(messages[2].steps).toEqual([step]);
+  });
+
+  it("keeps only attachments with local content", () => {
+    const image = {
+      id: "i",
+      kind: "image",
+      name: "a.png",
+      dataUrl: "data:image/png;base64,AAAA",
+    };
+    const text = { id: "f", kind: "text", name: "a.txt", text: "hello" };
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          {
+            id: "a",
+            type: "user",
+            content: "1",
+            attachments: [
+              image,
+              text,
+              { ...image, id: "r", dataUrl: "https://tracker.example/p.gif" },
+              { ...image, id: "n", dataUrl: null },
+              "x",
+            ],
+          },
+          { id: "b", type: "user", content: "2", attachments: "x" },
+        ],
+      })
+    );
+
+    expect(messages[0].attachments).toEqual([image, text]);
+    expect(messages[1].attachments).toBeUndefined();
+  });
+
+  it("drops pending approvals but keeps answered ones", () => {
+    const interrupt = { id: "i", toolName: "send_email", args: {} };
+    const { messages } = parseJsonExport(
+      exportFile({
+        id: "t",
+        messages: [
+          {
+            id: "a",
+            type: "ai",
+            content: "1",
+            interrupt: { ...interrupt, status: "pending" },
+          },
+          {
+            id: "b",
+            type: "ai",
+            content: "2",
+            interrupt: { ...interrupt, status: "approved" },
+          },
+          { id: "c", type: "ai", content: "3", interrupt: "pending" },
+        ],
+      })
+    );
+
+    expect(messages[0].interrupt).toBeUndefined();
+    expect(messages[1].interrupt.status).toBe("approved");
+    expect(messages[2].interrupt).toBeUndefined();
+  });
+
+  it("rejects a thread without any valid message", () => {
+    expect(() =>
+      parseJsonExport(
+        exportFile({ id: "t", messages: [{ type: "bogus", content: "x" }] })
+      )
+    ).toThrow();
+  });
+
+  it("rejects files that are not chat exports", () => {
+    expect(() => parseJsonExport("{oops")).toThrow();
+    expect(() => parseJsonExport(JSON.stringify({ thread: {} }))).toThrow();
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ *  回答回饋 (Message Feedback)
+ * ============================================================================
+ *  使用者對 AI 回答按讚 / 倒讚 (可附上分類與留言) 後，POST 到 `${baseUrl}/feedback`：
+ *    {
+ *      thread_id, run_id, message_id,
+ *      score: 1 | -1, category, comment, created_at
+ *    }
+ *  暫時性的失敗 (離線、5xx、429，或 login 模式還沒登入) 時先存進 localStorage 的佇列，
+ *  之後恢復連線或重新開啟頁面時由 flushFeedbackQueue() 補送，回饋不會遺失。
+ *  其他 4xx 重送也不會成功，直接丟出錯誤讓畫面顯示。
+ *  補送的結果由 applyFeedbackResults() 寫回訊息的 feedback.status (queued -> sent / failed)。
+ */
+import { withAuth, isAuthError } from "../api/auth";
+import { describeStreamError, isRetryableError } from "../api/chatClient";
+import { createHttpError, fetchWithNetworkError } from "../api/streamFormats";
+
+const QUEUE_KEY = "chat_feedback_queue";
+
+// 送給後端的是固定的分類 id，畫面上的文字由 feedback.category.<id> 翻譯
+export const FEEDBACK_CATEGORIES = {
+  up: ["correct", "helpful", "clear", "other"],
+  down: ["incorrect", "off_topic", "wrong_tool", "too_verbose", "other"],
+};
+
+// 佇列的每一筆：{ threadId, payload }
+// threadId 是本地對話 (IndexedDB) 的 id，補送後用來找到要更新狀態的訊息
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(QUEUE_KEY) || "[]");
+    return Array.isArray(queue) ? queue.filter((entry) => entry?.payload) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  if (queue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  else localStorage.removeItem(QUEUE_KEY);
+};
+
+// 同一則訊息只保留最新的一筆回饋
+const enqueue = (entry) => {
+  writeQueue([
+    ...readQueue().filter(
+      (item) => item.payload.message_id !== entry.payload.message_id
+    ),
+    entry,
+  ]);
+};
+
+// connection: { baseUrl, settings }；認證 headers 由 withAuth 帶上，401 時會先 refresh 再重送
+const postFeedback = ({ baseUrl, settings }, payload) =>
+  withAuth(settings, async (headers) => {
+    const response = await fetchWithNetworkError(fetch, `${baseUrl}/feedback`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) throw createHttpError(response);
+  });
+
+// 之後再送有機會成功：網路錯誤、5xx、429，以及需要 (重新) 登入
+const isQueueable = (error) =>
+  isRetryableError(error) || (isAuthError(error) && error.sessionExpired);
+
+// 組出送給後端的內容
+export const buildFeedbackPayload = ({ threadId, message, feedback }) => ({
+  thread_id: threadId,
+  run_id: message.runId ?? null,
+  message_id: String(message.id),
+  score: feedback.rating === "up" ? 1 : -1,
+  category: feedback.category || null,
+  comment: feedback.comment || "",
+  created_at: new Date().toISOString(),
+});
+
+/**
+ * 送出回饋；暫時性的失敗放進佇列，其他錯誤直接丟出
+ * @param {{ threadId?: string }} [options] 訊息所在的本地對話 (補送後更新狀態用)
+ * @returns {Promise<"sent" | "queued">}
+ */
+export const submitFeedback = async (
+  connection,
+  payload,
+  { threadId } = {}
+) => {
+  try {
+    await postFeedback(connection, payload);
+    return "sent";
+  } catch (err) {
+    if (!isQueueable(err)) throw err;
+    console.warn("Failed to send feedback, queued for later:", err);
+    enqueue({ threadId, payload });
+    return "queued";
+  }
+};
+
+const flushQueue = async (connection) => {
+  const queue = readQueue();
+  if (!queue.length) return [];
+
+  const results = [];
+  const remaining = [];
+  for (const entry of queue) {
+    const result = {
+      threadId: entry.threadId,
+      messageId: entry.payload.message_id,
+    };
+    try {
+      await postFeedback(connection, entry.payload);
+      results.push({ ...result, status: "sent" });
+    } catch (err) {
+      if (isQueueable(err)) {
+        remaining.push(entry);
+      } else {
+        console.warn("Dropped feedback rejected by the server:", err);
+        results.push({
+          ...result,
+          status: "failed",
+          error: describeStreamError(err),
+        });
+      }
+    }
+  }
+  // 補送期間可能又有新的回饋進入佇列，所以重新讀取後只移除已處理 (送出或被拒絕) 的那幾筆
+  const done = queue.filter((entry) => !remaining.includes(entry));
+  const isDone = ({ payload }) =>
+    done.some(
+      (entry) =>
+        entry.payload.message_id === payload.message_id &&
+        entry.payload.created_at === payload.created_at
+    );
+  writeQueue(readQueue().filter((entry) => !isDone(entry)));
+  return results;
+};
+
+let flushPromise = null;
+
+/**
+ * 補送佇列中的回饋；送不出去的留在佇列裡等下一次
+ * 恢復連線、登入、改設定可能同時觸發補送，同一時間只跑一次，避免同一筆回饋送出兩次
+ * @returns {Promise<Array<{ threadId, messageId, status: "sent" | "failed", error? }>>}
+ *   已處理 (送出或被拒絕) 的回饋
+ */
+export const flushFeedbackQueue = (connection) => {
+  flushPromise ??= flushQueue(connection).finally(() => {
+    flushPromise = null;
+  });
+  return flushPromise;
+};
+
+// 把補送的結果寫回訊息；只更新還在等待補送 (queued) 的回饋，之後又改過的不動
+// 沒有任何變動時回傳原本的陣列
+export const applyFeedbackResults = (messages, results) => {
+  let changed = false;
+  const next = messages.map((msg) => {
+    const result = results.find((r) => r.messageId === String(msg.id));
+    if (!result || msg.feedback?.status !== "queued") return msg;
+    changed = true;
+    const { status, error } = result;
+    return {
+      ...msg,
+      feedback: { ...msg.feedback, status, ...(error ? { error } : {}) },
+    };
+  });
+  return changed ? next : messages;
+};
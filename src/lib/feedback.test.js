@@ -0,0 +1,141 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  applyFeedbackResults,
+  flushFeedbackQueue,
+  submitFeedback,
+} from "./feedback";
+
+const QUEUE_KEY = "chat_feedback_queue";
+
+const connection = {
+  baseUrl: "http://api",
+  settings: { authMode: "static", apiKey: "secret", headers: [] },
+};
+
+const payload = (id) => ({
+  thread_id: "t1",
+  run_id: null,
+  message_id: id,
+  score: 1,
+  category: null,
+  comment: "",
+  created_at: "2024-01-01T00:00:00.000Z",
+});
+
+const respond = (status) => ({
+  ok: status < 400,
+  status,
+  headers: new Headers(),
+});
+
+const entry = (id) => ({ threadId: "local", payload: payload(id) });
+
+const readQueue = () => JSON.parse(localStorage.getItem(QUEUE_KEY) || "[]");
+
+describe("feedback", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("sends with the auth headers from settings", async () => {
+    fetchMock.mockResolvedValue(respond(200));
+
+    expect(await submitFeedback(connection, payload("m1"))).toBe("sent");
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("http://api/feedback");
+    expect(init.headers["X-API-Key"]).toBe("secret");
+    expect(readQueue()).toEqual([]);
+  });
+
+  it.each([
+    ["a network error", () => Promise.reject(new TypeError("Failed to fetch"))],
+    ["a 503", () => Promise.resolve(respond(503))],
+    ["a 429", () => Promise.resolve(respond(429))],
+  ])("queues feedback after %s", async (_, response) => {
+    fetchMock.mockImplementation(response);
+
+    expect(
+      await submitFeedback(connection, payload("m1"), { threadId: "local" })
+    ).toBe("queued");
+    expect(readQueue()).toEqual([entry("m1")]);
+  });
+
+  it("throws permanent client errors instead of queueing them", async () => {
+    fetchMock.mockResolvedValue(respond(400));
+
+    await expect(
+      submitFeedback(connection, payload("m1"))
+    ).rejects.toMatchObject({ status: 400 });
+    expect(readQueue()).toEqual([]);
+  });
+
+  it("drops queued feedback the server rejects and keeps the rest", async () => {
+    localStorage.setItem(
+      QUEUE_KEY,
+      JSON.stringify([entry("ok"), entry("bad"), entry("later")])
+    );
+    fetchMock.mockImplementation(async (_, init) => {
+      const { message_id } = JSON.parse(init.body);
+      return respond({ ok: 200, bad: 422, later: 502 }[message_id]);
+    });
+
+    const results = await flushFeedbackQueue(connection);
+
+    expect(readQueue()).toEqual([entry("later")]);
+    expect(results).toEqual([
+      { threadId: "local", messageId: "ok", status: "sent" },
+      {
+        threadId: "local",
+        messageId: "bad",
+        status: "failed",
+        error: expect.any(String),
+      },
+    ]);
+  });
+
+  it("runs only one flush at a time", async () => {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify([entry("m1")]));
+    fetchMock.mockResolvedValue(respond(200));
+
+    await Promise.all([
+      flushFeedbackQueue(connection),
+      flushFeedbackQueue(connection),
+      flushFeedbackQueue(connection),
+    ]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(readQueue()).toEqual([]);
+  });
+
+  it("writes flushed results back to messages still waiting for them", () => {
+    const messages = [
+      { id: "m1", type: "ai", feedback: { rating: "up", status: "queued" } },
+      { id: "m2", type: "ai", feedback: { rating: "up", status: "queued" } },
+      { id: "m3", type: "ai", feedback: { rating: "down", status: "sent" } },
+    ];
+
+    const next = applyFeedbackResults(messages, [
+      { messageId: "m1", status: "sent" },
+      { messageId: "m2", status: "failed", error: "Bad request" },
+      { messageId: "m3", status: "failed", error: "Bad request" },
+    ]);
+
+    expect(next.map((m) => m.feedback)).toEqual([
+      { rating: "up", status: "sent" },
+      { rating: "up", status: "failed", error: "Bad request" },
+      { rating: "down", status: "sent" },
+    ]);
+    expect(applyFeedbackResults(messages, [])).toBe(messages);
+  });
+});
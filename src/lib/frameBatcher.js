@@ -0,0 +1,25 @@
+/**
+ * 每個動畫影格最多更新一次 (Frame Batcher)
+ * 串流時每個 chunk 都 setState 會讓整個列表重新渲染好幾十次；
+ * 改成 schedule() 累積，下一個 requestAnimationFrame 才真正 flush 一次。
+ * 串流結束 (或出錯) 時呼叫 flush() 立刻寫入還沒送出的內容。
+ */
+export const createFrameBatcher = (callback) => {
+  let frameId = null;
+
+  return {
+    schedule() {
+      if (frameId !== null) return;
+      frameId = requestAnimationFrame(() => {
+        frameId = null;
+        callback();
+      });
+    },
+    flush() {
+      if (frameId === null) return;
+      cancelAnimationFrame(frameId);
+      frameId = null;
+      callback();
+    },
+  };
+};
@@ -0,0 +1,136 @@
+/**
+ * ============================================================================
+ *  多國語系 (Internationalization)
+ * ============================================================================
+ *  訊息目錄放在 src/locales/，每個語系一個檔案，key 採扁平的「區塊.名稱」：
+ *    t("sidebar.newChat")                       -> "新對話" / "New chat"
+ *    t("chat.tooManyAttachments", { max: 5 })   -> 參數以 {max} 插入
+ *
+ *  - 元件內使用 useI18n()：語系切換時會重新渲染 (包含 memo 過的元件)
+ *    目前的語系由 components/I18nProvider.jsx 管理 (包在 App 最外層)
+ *  - 一般函式 (lib / api) 直接呼叫 t()，使用目前的語系
+ *  - 找不到的 key 先退回 zh-TW，再退回 key 本身；開發模式下會在 console 警告
+ *
+ *  使用者選擇的語系和深色模式一樣存在 localStorage；沒選過時依瀏覽器語言判斷。
+ */
+import { createContext, useContext } from "react";
+import zhTW from "../locales/zh-TW";
+import en from "../locales/en";
+
+const STORAGE_KEY = "locale";
+
+export const DEFAULT_LOCALE = "zh-TW";
+
+export const LOCALES = {
+  "zh-TW": { label: "繁體中文", messages: zhTW },
+  en: { label: "English", messages: en },
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+// storage：嵌入時帶命名空間的 localStorage (見 lib/storage.js)
+export const getInitialLocale = (storage = localStorage) => {
+  const saved = storage.getItem(STORAGE_KEY);
+  if (LOCALES[saved]) return saved;
+  return /^zh\b/i.test(navigator.language || "") ? "zh-TW" : "en";
+};
+
+export const getLocale = () => currentLocale;
+
+// 套用語系：同步更新目前語系 (之後呼叫的 t() 立刻生效)，並寫入 localStorage
+// 嵌入模式 (embedded) 不改外部頁面的 <html lang>，由元件最外層自己帶 lang
+export const applyLocale = (
+  locale,
+  { embedded = false, storage = localStorage } = {}
+) => {
+  currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  storage.setItem(STORAGE_KEY, currentLocale);
+  if (!embedded) document.documentElement.lang = currentLocale;
+};
+
+export const translate = (locale, key, params) => {
+  const template =
+    LOCALES[locale]?.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+  if (template == null) {
+    if (import.meta.env.DEV) console.warn(`[i18n] Missing key: ${key}`);
+    return key;
+  }
+  if (!params) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] != null ? String(params[name]) : match
+  );
+};
+
+export const t = (key, params) => translate(currentLocale, key, params);
+
+/**
+ * ----------------------------------------------------------------------------
+ *  日期與時間 (Date & Time)
+ * ----------------------------------------------------------------------------
+ */
+export const formatTime = (value, locale = currentLocale) =>
+  new Intl.DateTimeFormat(locale, {
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(value);
+
+export const formatDateTime = (value, locale = currentLocale) =>
+  value
+    ? new Intl.DateTimeFormat(locale, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }).format(value)
+    : "";
+
+// 訊息時間：新訊息存 createdAt (毫秒)；舊的訊息只有建立當下格式化好的 timestamp 字串
+export const formatMessageTime = (msg, locale = currentLocale) =>
+  msg.createdAt ? formatTime(msg.createdAt, locale) : msg.timestamp || "";
+
+/**
+ * ----------------------------------------------------------------------------
+ *  目錄檢查 (Catalog Check)
+ * ----------------------------------------------------------------------------
+ *  回傳每個語系缺少的 key (以所有語系 key 的聯集為準)，例如 { en: ["chat.retry"] }
+ */
+export const findMissingKeys = () => {
+  const allKeys = new Set(
+    Object.values(LOCALES).flatMap(({ messages }) => Object.keys(messages))
+  );
+  return Object.fromEntries(
+    Object.entries(LOCALES)
+      .map(([locale, { messages }]) => [
+        locale,
+        [...allKeys].filter((key) => !(key in messages)),
+      ])
+      .filter(([, missing]) => missing.length)
+  );
+};
+
+if (import.meta.env.DEV) {
+  for (const [locale, missing] of Object.entries(findMissingKeys())) {
+    console.warn(`[i18n] ${locale} is missing: ${missing.join(", ")}`);
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ *  React
+ * ----------------------------------------------------------------------------
+ *  context 的值是 { locale, setLocale }，由 I18nProvider 提供
+ */
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: applyLocale,
+});
+
+export const useI18n = () => {
+  const { locale, setLocale } = useContext(I18nContext);
+  return {
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    formatTime: (value) => formatTime(value, locale),
+    formatDateTime: (value) => formatDateTime(value, locale),
+    formatMessageTime: (msg) => formatMessageTime(msg, locale),
+  };
+};
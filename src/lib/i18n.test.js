@@ -0,0 +1,24 @@
+import { describe, it, expect } from "vitest";
+import { LOCALES, findMissingKeys } from "./i18n";
+
+// 訊息中的 {name} 參數
+const getParams = (template) =>
+  [...template.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort();
+
+describe("locale catalogs", () => {
+  it("have the same keys in every locale", () => {
+    expect(findMissingKeys()).toEqual({});
+  });
+
+  it("use the same parameters for a key in every locale", () => {
+    const [base, ...others] = Object.values(LOCALES).map(
+      ({ messages }) => messages
+    );
+    for (const messages of others) {
+      for (const [key, template] of Object.entries(messages)) {
+        if (!(key in base)) continue;
+        expect(getParams(template), key).toEqual(getParams(base[key]));
+      }
+    }
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ *  連結與圖片安全 (Link & Image Safety)
+ * ============================================================================
+ *  AI 的回答可能轉述從網路抓回來的不可信內容，所以 Markdown 中的網址一律先經過這裡：
+ *  - 網址協定白名單：只允許 http / https / mailto 與相對路徑，
+ *    javascript:、data:、vbscript: 等一律移除
+ *  - 外部連結依網域清單決定：allow (直接開啟) / confirm (先顯示確認視窗) / block
+ *  - 遠端圖片預設不載入 (避免追蹤像素與偷偷外送資料)，除非網域在白名單或使用者手動載入
+ *
+ *  網域清單是以逗號或換行分隔的字串，`example.com` 同時符合它的所有子網域。
+ *  (react-markdown 預設不渲染原始 HTML，所以不需要另外過濾 <script> 等標籤)
+ */
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+// 把網址中的控制字元 (0x00-0x1F、0x7F) 與空白拿掉，避免 `java\tscript:` 這類繞過手法
+const isIgnorableChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code <= 0x1f || code === 0x7f || /\s/.test(char);
+};
+
+const stripControlChars = (url) =>
+  Array.from(url)
+    .filter((char) => !isIgnorableChar(char))
+    .join("");
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url, window.location.href);
+  } catch {
+    return null;
+  }
+};
+
+// react-markdown 的 urlTransform：不安全的網址回傳空字串
+export const sanitizeUrl = (url) => {
+  const cleaned = stripControlChars(String(url ?? ""));
+  if (!cleaned) return "";
+
+  // 沒有協定的相對路徑 / 錨點 (例如 `#section`、`/docs`) 直接放行
+  if (!/^[a-z][a-z\d+.-]*:/i.test(cleaned) && !cleaned.startsWith("//")) {
+    return cleaned;
+  }
+
+  const parsed = parseUrl(cleaned);
+  return parsed && SAFE_PROTOCOLS.includes(parsed.protocol) ? cleaned : "";
+};
+
+export const parseDomainList = (text) =>
+  String(text || "")
+    .split(/[\s,]+/)
+    .map((d) => d.trim().toLowerCase().replace(/^\*\./, ""))
+    .filter(Boolean);
+
+const matchesDomain = (hostname, domains) =>
+  domains.some((d) => hostname === d || hostname.endsWith(`.${d}`));
+
+// 取得顯示用的主機名稱；國際化網域會以 punycode (xn--) 顯示，方便看出仿冒網域
+export const getHostname = (url) => parseUrl(url)?.hostname || "";
+
+/**
+ * 決定連結的處理方式
+ * @returns {"allow" | "confirm" | "block"}
+ */
+export const getLinkPolicy = (url, settings) => {
+  const safeUrl = sanitizeUrl(url);
+  if (!safeUrl) return "block";
+
+  const parsed = parseUrl(safeUrl);
+  if (!parsed || parsed.protocol === "mailto:") return "allow";
+  if (parsed.origin === window.location.origin) return "allow";
+
+  const hostname = parsed.hostname.toLowerCase();
+  if (matchesDomain(hostname, parseDomainList(settings.linkDenylist))) {
+    return "block";
+  }
+  if (matchesDomain(hostname, parseDomainList(settings.linkAllowlist))) {
+    return "allow";
+  }
+  return "confirm";
+};
+
+/**
+ * 決定圖片的處理方式
+ * @returns {"allow" | "click" | "block"} click = 顯示佔位按鈕，點擊後才載入
+ */
+export const getImagePolicy = (src, settings) => {
+  const safeSrc = sanitizeUrl(src);
+  const parsed = safeSrc && parseUrl(safeSrc);
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    return "block";
+  }
+  if (parsed.origin === window.location.origin) return "allow";
+
+  const hostname = parsed.hostname.toLowerCase();
+  if (matchesDomain(hostname, parseDomainList(settings.linkDenylist))) {
+    return "block";
+  }
+  if (
+    settings.allowRemoteImages ||
+    matchesDomain(hostname, parseDomainList(settings.linkAllowlist))
+  ) {
+    return "allow";
+  }
+  return "click";
+};
@@ -0,0 +1,117 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from "vitest";
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import MessageContent from "../components/MessageContent";
+import { getImagePolicy, getLinkPolicy, sanitizeUrl } from "./linkSafety";
+
+const settings = {
+  linkAllowlist: "",
+  linkDenylist: "",
+  allowRemoteImages: false,
+};
+
+// 用 AI 訊息的 Markdown 渲染實際跑一次，再交給 DOM 解析，檢查產生出來的元素與屬性
+const renderMarkdown = (content) => {
+  const container = document.createElement("div");
+  container.innerHTML = renderToStaticMarkup(
+    createElement(MessageContent, { content, isUser: false, safety: settings })
+  );
+  return container;
+};
+
+const getUrls = (container) =>
+  [...container.querySelectorAll("[href], [src]")].map(
+    (el) => el.getAttribute("href") ?? el.getAttribute("src")
+  );
+
+describe("sanitizeUrl", () => {
+  it.each([
+    "javascript:alert(1)",
+    "JaVaScRiPt:alert(1)",
+    "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+    "vbscript:msgbox(1)",
+  ])("removes %s", (url) => {
+    expect(sanitizeUrl(url)).toBe("");
+  });
+
+  it.each([
+    "java\tscript:alert(1)",
+    "java\nscript:alert(1)",
+    "\u0000javascript:alert(1)",
+    "jav\u0001ascript:alert(1)",
+    " javascript:alert(1)",
+    "javascript\u007F:alert(1)",
+  ])("removes schemes obfuscated with control characters (%j)", (url) => {
+    expect(sanitizeUrl(url)).toBe("");
+  });
+
+  it("keeps http, https, mailto and relative urls", () => {
+    expect(sanitizeUrl("https://example.com/a?b=1")).toBe(
+      "https://example.com/a?b=1"
+    );
+    expect(sanitizeUrl("mailto:hi@example.com")).toBe("mailto:hi@example.com");
+    expect(sanitizeUrl("/docs#intro")).toBe("/docs#intro");
+    expect(sanitizeUrl("#section")).toBe("#section");
+  });
+
+  it("treats protocol-relative urls as external links", () => {
+    expect(sanitizeUrl("//evil.example/path")).toBe("//evil.example/path");
+    expect(getLinkPolicy("//evil.example/path", settings)).toBe("confirm");
+    expect(
+      getLinkPolicy("//evil.example/path", {
+        ...settings,
+        linkDenylist: "evil.example",
+      })
+    ).toBe("block");
+  });
+});
+
+describe("getImagePolicy", () => {
+  it("blocks non-http images and waits for a click on remote ones", () => {
+    expect(getImagePolicy("data:image/png;base64,AAAA", settings)).toBe(
+      "block"
+    );
+    expect(getImagePolicy("javascript:alert(1)", settings)).toBe("block");
+    expect(getImagePolicy("https://tracker.example/p.gif", settings)).toBe(
+      "click"
+    );
+  });
+});
+
+describe("hostile markdown", () => {
+  it.each([
+    "[click](javascript:alert(1))",
+    "[click](JAVASCRIPT:alert(1))",
+    "[click](java&#x09;script:alert(1))",
+    "[click](data:text/html,<script>alert(1)</script>)",
+    "<javascript:alert(1)>",
+    "[ref]\n\n[ref]: javascript:alert(1)",
+  ])("renders no javascript: or data: link for %j", (markdown) => {
+    const urls = getUrls(renderMarkdown(markdown));
+    expect(urls.filter((url) => /^\s*(javascript|data):/i.test(url))).toEqual(
+      []
+    );
+  });
+
+  it("does not render data: or javascript: images", () => {
+    const container = renderMarkdown(
+      "![x](data:image/svg+xml,<svg onload=alert(1)>) ![y](javascript:alert(1))"
+    );
+    expect(container.querySelector("img, svg[onload]")).toBeNull();
+  });
+
+  it("does not load remote images until clicked", () => {
+    const container = renderMarkdown("![pixel](https://tracker.example/p.gif)");
+    expect(container.querySelector("img")).toBeNull();
+  });
+
+  it("escapes raw HTML instead of rendering it", () => {
+    const container = renderMarkdown(
+      '<script>alert(1)</script><img src=x onerror="alert(1)"><a href="javascript:alert(1)">x</a><iframe src="https://evil.example"></iframe>'
+    );
+    expect(container.querySelector("script, img, iframe, a")).toBeNull();
+    expect(container.querySelector("[onerror]")).toBeNull();
+    expect(container.textContent).toContain("<script>alert(1)</script>");
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * ============================================================================
+ *  對話搜尋 (Conversation Search)
+ * ============================================================================
+ *  搜尋列 (Ctrl/Cmd+F) 使用的純函式，比對不分大小寫。使用者訊息比對原始內容；
+ *  AI 訊息以 Markdown 渲染，只比對 rehypeHighlightMatches 會標示的文字 (見 getSearchableText)，
+ *  「n/m」的數量才會和畫面上標出來的一致：
+ *  - findMessageMatches(messages, query)：目前對話中符合的訊息 (依畫面順序)
+ *  - searchThreads(threads, query)：所有本地對話中符合的對話，附上第一個符合的片段
+ *  - searchStoredThreads(query, { excludeId })：同上，直接從 IndexedDB 逐筆讀出對話來搜尋
+ *  - splitByQuery(text, query)：把文字切成一般 / 符合的片段 (使用者訊息的純文字用)
+ *  - rehypeHighlightMatches：在 Markdown 渲染結果的文字裡用 <mark> 標出關鍵字，
+ *    略過程式碼區塊 (由 CodeBlock 自己標示) 與數學式，不會破壞 CodeBlock / KaTeX 的結構
+ */
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import { mapThreads, toThreadSummary } from "./threadStore";
+
+const SNIPPET_RADIUS = 30; // 片段在關鍵字前後各保留幾個字
+
+export const normalizeQuery = (query) =>
+  String(query || "")
+    .trim()
+    .toLowerCase();
+
+// 和 MessageContent 相同的 Markdown 語法 (表格、刪除線、數學式)
+const markdownParser = unified()
+  .use(remarkParse)
+  .use(remarkGfm)
+  .use(remarkMath);
+
+// 數學式 (KaTeX) 不標示；原始 HTML 不是文字節點，也不會被標示
+// 連結網址、`**` 等語法本來就不在文字節點裡
+const SKIPPED_NODE_TYPES = new Set(["math", "inlineMath", "html"]);
+// 程式碼的內容在 value 上 (行內程式碼由 rehypeHighlightMatches 標示，區塊由 CodeBlock 標示)
+const TEXT_NODE_TYPES = new Set(["text", "code", "inlineCode"]);
+
+const collectText = (node, texts) => {
+  if (TEXT_NODE_TYPES.has(node.type)) texts.push(node.value.toLowerCase());
+  else if (node.children && !SKIPPED_NODE_TYPES.has(node.type)) {
+    node.children.forEach((child) => collectText(child, texts));
+  }
+  return texts;
+};
+
+// 訊息中可以被搜尋到的文字 (轉成小寫)；標示是以文字節點為單位，所以這裡也分開比對
+// 訊息物件不會被修改 (更新時換成新的物件)，同一則訊息只解析一次
+const searchableTextCache = new WeakMap();
+
+const getSearchableText = (message) => {
+  let texts = searchableTextCache.get(message);
+  if (!texts) {
+    const content = String(message.content || "");
+    texts =
+      message.type === "user"
+        ? [content.toLowerCase()]
+        : collectText(markdownParser.parse(content), []);
+    searchableTextCache.set(message, texts);
+  }
+  return texts;
+};
+
+const containsQuery = (message, needle) =>
+  getSearchableText(message).some((text) => text.includes(needle));
+
+// 目前對話中符合的訊息：[{ messageId, index }]
+export const findMessageMatches = (messages, query) => {
+  const needle = normalizeQuery(query);
+  if (!needle) return [];
+  return messages.flatMap((msg, index) =>
+    containsQuery(msg, needle) ? [{ messageId: msg.id, index }] : []
+  );
+};
+
+// 關鍵字前後的片段 (單行，前後被截斷時加上 …)
+const makeSnippet = (content, needle) => {
+  const text = String(content).replace(/\s+/g, " ");
+  const position = text.toLowerCase().indexOf(needle);
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + needle.length + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${
+    end < text.length ? "…" : ""
+  }`;
+};
+
+// 所有本地對話中符合的對話：[{ thread, count, snippet }]
+export const searchThreads = (threads, query) => {
+  const needle = normalizeQuery(query);
+  if (!needle) return [];
+  return threads.flatMap((thread) => {
+    const matches = (thread.messages || []).filter((msg) =>
+      containsQuery(msg, needle)
+    );
+    if (!matches.length) return [];
+    return [
+      {
+        thread,
+        count: matches.length,
+        snippet: makeSnippet(matches[0].content, needle),
+      },
+    ];
+  });
+};
+
+// 側邊欄的列表只有摘要，搜尋其他對話時逐筆讀出完整的訊息，結果只保留摘要
+export const searchStoredThreads = async (query, { excludeId } = {}) => {
+  const results = await mapThreads((thread) => {
+    if (thread.id === excludeId) return null;
+    const [match] = searchThreads([thread], query);
+    return match && { ...match, thread: toThreadSummary(thread) };
+  });
+  return results.sort((a, b) => b.thread.updatedAt - a.thread.updatedAt);
+};
+
+// 把文字切成 [{ text, isMatch }]，沒有關鍵字時整段都是一般文字
+export const splitByQuery = (text, query) => {
+  const needle = normalizeQuery(query);
+  if (!needle || !text) return [{ text, isMatch: false }];
+
+  const parts = [];
+  const lower = text.toLowerCase();
+  let cursor = 0;
+  let position = lower.indexOf(needle);
+  while (position !== -1) {
+    if (position > cursor) {
+      parts.push({ text: text.slice(cursor, position), isMatch: false });
+    }
+    parts.push({
+      text: text.slice(position, position + needle.length),
+      isMatch: true,
+    });
+    cursor = position + needle.length;
+    position = lower.indexOf(needle, cursor);
+  }
+  if (cursor < text.length) {
+    parts.push({ text: text.slice(cursor), isMatch: false });
+  }
+  return parts;
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  Markdown 標示 (rehype plugin)
+ * ----------------------------------------------------------------------------
+ *  用法：rehypePlugins={[[rehypeHighlightMatches, { query, className }]]}
+ *  只改寫 hast 的文字節點；<pre> (交給 CodeBlock 的原始碼) 與 KaTeX 產生的節點不處理，
+ *  行內的 <code> 照樣標示。
+ */
+const SKIPPED_TAGS = new Set(["pre", "script", "style"]);
+
+const isSkipped = (node) => {
+  if (SKIPPED_TAGS.has(node.tagName)) return true;
+  const className = node.properties?.className;
+  return (
+    Array.isArray(className) && className.some((c) => c.startsWith("katex"))
+  );
+};
+
+export const rehypeHighlightMatches =
+  ({ query, className = [] } = {}) =>
+  (tree) => {
+    if (!normalizeQuery(query)) return;
+
+    const walk = (node) => {
+      node.children = node.children.flatMap((child) => {
+        if (child.type === "text") {
+          return splitByQuery(child.value, query).map((part) =>
+            part.isMatch
+              ? {
+                  type: "element",
+                  tagName: "mark",
+                  properties: { className },
+                  children: [{ type: "text", value: part.text }],
+                }
+              : { type: "text", value: part.text }
+          );
+        }
+        if (child.type === "element" && child.children && !isSkipped(child)) {
+          walk(child);
+        }
+        return [child];
+      });
+    };
+    walk(tree);
+  };
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from "vitest";
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import MessageContent from "../components/MessageContent";
+import { findMessageMatches, searchThreads } from "./search";
+
+const safety = {
+  linkAllowlist: "",
+  linkDenylist: "",
+  allowRemoteImages: false,
+};
+
+// 畫面上實際標示出來的 <mark> 數量
+const countHighlights = (content, query) => {
+  const container = document.createElement("div");
+  container.innerHTML = renderToStaticMarkup(
+    createElement(MessageContent, {
+      content,
+      isUser: false,
+      safety,
+      highlight: query,
+    })
+  );
+  return container.querySelectorAll("mark").length;
+};
+
+const aiMessage = (id, content) => ({ id, type: "ai", content });
+
+describe("findMessageMatches", () => {
+  it.each([
+    ["a link url", "[docs](https://example.com/secret)", "secret"],
+    ["markdown syntax", "**bold** text", "**"],
+    ["inline math", "Area is $secret^2$", "secret"],
+    ["a math block", "$$\nsecret\n$$", "secret"],
+    ["text split by emphasis", "sec**ret**", "secret"],
+  ])("ignores a match only in %s", (_, content, query) => {
+    expect(countHighlights(content, query)).toBe(0);
+    expect(findMessageMatches([aiMessage("m1", content)], query)).toEqual([]);
+  });
+
+  it.each([
+    ["link text", "[the secret docs](https://example.com)", "secret"],
+    ["bold text", "a **secret** word", "secret"],
+    ["a table cell", "| a |\n| - |\n| secret |", "secret"],
+    ["a list item", "- one\n- secret", "SECRET"],
+    ["inline code", "Use `secret` here", "secret"],
+    ["a fenced code block", "```js\nconst secret = 1;\n```", "secret"],
+    ["a mermaid block", "```mermaid\ngraph TD; secret-->B\n```", "secret"],
+  ])("finds a match in %s", (_, content, query) => {
+    expect(countHighlights(content, query)).toBeGreaterThan(0);
+    expect(findMessageMatches([aiMessage("m1", content)], query)).toEqual([
+      { messageId: "m1", index: 0 },
+    ]);
+  });
+
+  it("matches the raw text of user messages", () => {
+    const messages = [
+      aiMessage("m1", "**a b**"),
+      { id: "m2", type: "user", content: "what is **a b**?" },
+    ];
+
+    expect(findMessageMatches(messages, "**a")).toEqual([
+      { messageId: "m2", index: 1 },
+    ]);
+  });
+});
+
+describe("searchThreads", () => {
+  it("counts the same messages as the in-thread search", () => {
+    const thread = {
+      id: "t1",
+      messages: [
+        aiMessage("m1", "See [here](https://example.com/needle)"),
+        aiMessage("m2", "The needle is here"),
+      ],
+    };
+
+    expect(searchThreads([thread], "needle")).toEqual([
+      { thread, count: 1, snippet: "The needle is here" },
+    ]);
+  });
+});
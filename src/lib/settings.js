@@ -0,0 +1,136 @@
+/**
+ * ============================================================================
+ *  系統設定 (Settings)
+ * ============================================================================
+ *  使用者在「系統設定」視窗調整的值會存進 localStorage，
+ *  沒有設定過的欄位則使用 .env 的值 (再沒有就用程式內的預設值)。
+ *  這樣同一份 build 可以指向不同的 agent，不需要重新編譯。
+ */
+import { STREAM_FORMATS } from "../api/streamFormats";
+import { t } from "./i18n";
+
+const STORAGE_KEY = "chat_settings";
+
+const env = import.meta.env;
+
+export const DEFAULT_SETTINGS = {
+  apiBaseUrl: env.VITE_API_BASE_URL || "http://localhost:8000",
+  streamFormat: env.VITE_STREAM_FORMAT || "ndjson", // ndjson | langserve | langgraph
+  assistantId: env.VITE_ASSISTANT_ID || "agent", // LangGraph 的 assistant_id
+  resumeStreams: env.VITE_RESUME_STREAMS === "true", // 斷線後以 Last-Event-ID 續傳
+  historyPath: env.VITE_HISTORY_PATH || "", // 讀回對話紀錄的端點 (見 api/threadHistory.js)
+  authMode: env.VITE_AUTH_MODE || "static", // static | login (見 api/auth.js)
+  apiKey: env.VITE_API_KEY || "", // 以 X-API-Key header 送出
+  bearerToken: env.VITE_BEARER_TOKEN || "", // 以 Authorization: Bearer 送出 (static 模式)
+  authTokenUrl: env.VITE_AUTH_TOKEN_URL || "", // 登入用的 token 端點 (login 模式)
+  transcriptionUrl: env.VITE_TRANSCRIPTION_URL || "", // 語音輸入的轉寫端點 (空白時使用瀏覽器的語音辨識)
+  transcriptionModel: env.VITE_TRANSCRIPTION_MODEL || "whisper-1", // 轉寫請求的 model 欄位
+  headers: [], // 自訂 headers：[{ key, value }]
+  model: env.VITE_MODEL || "", // 透過 config.configurable.model 傳給後端
+  agent: env.VITE_AGENT || "", // 透過 config.configurable.agent 傳給後端
+  appTitle: env.VITE_APP_TITLE || "LangGraph Agent",
+  assistantName: env.VITE_ASSISTANT_NAME || "", // 空白時使用目前語系的預設名稱
+  greeting: env.VITE_GREETING || "", // 空白時使用目前語系的預設開場白
+  logoUrl: env.VITE_LOGO_URL || "/my_logo.png",
+  linkAllowlist: env.VITE_LINK_ALLOWLIST || "", // 直接開啟的網域 (逗號或換行分隔)
+  linkDenylist: env.VITE_LINK_DENYLIST || "", // 封鎖的網域
+  allowRemoteImages: env.VITE_ALLOW_REMOTE_IMAGES === "true", // 預設點擊後才載入遠端圖片
+};
+
+// 讀取設定：localStorage 的值覆蓋在預設值上 (格式錯誤時退回預設值)
+// storage：嵌入時帶命名空間的 localStorage (見 lib/storage.js)
+export const loadSettings = (storage = localStorage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || "{}");
+    const settings = { ...DEFAULT_SETTINGS, ...saved };
+    if (!STREAM_FORMATS.includes(settings.streamFormat)) {
+      settings.streamFormat = DEFAULT_SETTINGS.streamFormat;
+    }
+    if (!Array.isArray(settings.headers)) settings.headers = [];
+    return settings;
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings, storage = localStorage) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+// 去掉網址結尾的斜線，避免組出 `//chat`
+export const normalizeBaseUrl = (url) => String(url || "").replace(/\/+$/, "");
+
+// 組出每個後端請求都要帶的固定 headers (API key、Bearer token + 自訂 headers)
+// 登入取得的 token 由 api/auth.js 的 getRequestHeaders() 再加上
+export const buildRequestHeaders = (settings) => {
+  const headers = {};
+  if (settings.apiKey) headers["X-API-Key"] = settings.apiKey;
+  if (settings.authMode !== "login" && settings.bearerToken) {
+    headers.Authorization = `Bearer ${settings.bearerToken}`;
+  }
+  for (const { key, value } of settings.headers || []) {
+    if (key?.trim()) headers[key.trim()] = value ?? "";
+  }
+  return headers;
+};
+
+// 組出 config.configurable：thread_id 以外，再帶上 model / agent (有設定才帶)
+export const buildConfigurable = (settings, threadId) => ({
+  thread_id: threadId,
+  ...(settings.model ? { model: settings.model } : {}),
+  ...(settings.agent ? { agent: settings.agent } : {}),
+});
+
+/**
+ * ----------------------------------------------------------------------------
+ *  測試連線 (Test Connection)
+ * ----------------------------------------------------------------------------
+ *  依串流格式打一個輕量的 GET 端點：
+ *  - ndjson: 根路徑 `/`
+ *  - langserve: `/input_schema`
+ *  - langgraph: `/ok` (LangGraph Platform 的健康檢查)
+ *  回傳 { ok, message }，不會丟出例外。
+ *  headers 預設是固定的 headers；需要登入 token 時由呼叫端傳入 getRequestHeaders() 的結果。
+ */
+const HEALTH_PATHS = {
+  ndjson: "/",
+  langserve: "/input_schema",
+  langgraph: "/ok",
+};
+
+export const testConnection = async (
+  settings,
+  { timeout = 8000, headers = buildRequestHeaders(settings) } = {}
+) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const url = `${normalizeBaseUrl(settings.apiBaseUrl)}${
+    HEALTH_PATHS[settings.streamFormat] || "/"
+  }`;
+
+  try {
+    const response = await fetch(url, {
+      headers,
+      signal: controller.signal,
+    });
+    return response.ok
+      ? {
+          ok: true,
+          message: t("settings.testOk", { status: response.status }),
+        }
+      : {
+          ok: false,
+          message: t("settings.testBadStatus", { status: response.status }),
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      message:
+        err.name === "AbortError"
+          ? t("settings.testTimeout")
+          : t("settings.testUnreachable", { message: err.message }),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
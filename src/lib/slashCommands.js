@@ -0,0 +1,86 @@
+/**
+ * ============================================================================
+ *  斜線指令 (Slash Commands)
+ * ============================================================================
+ *  在輸入框輸入 `/指令 參數` 後按 Enter，會執行指令而不是送出訊息。
+ *
+ *  新增指令只要呼叫 registerSlashCommand()：
+ *    registerSlashCommand({
+ *      name: "hello",
+ *      description: "打個招呼",
+ *      usage: "/hello <名字>",
+ *      run: (ctx, args) => ctx.setInputValue(`你好，${args}`),
+ *    });
+ *
+ *  ctx 由 ChatInterface 提供，可以操作目前的對話狀態：
+ *  - messages, threadId
+ *  - clearChat(), exportThread(format: md | html | json), toggleTheme()
+ *  - setSystemPrompt(prompt), setInputValue(text)
+ */
+import { t } from "./i18n";
+
+const commandRegistry = new Map();
+
+export const registerSlashCommand = (command) => {
+  commandRegistry.set(command.name, command);
+};
+
+export const getSlashCommands = () => Array.from(commandRegistry.values());
+
+// 解析輸入：`/system 你是翻譯` -> { name: "system", args: "你是翻譯" }
+export const parseSlashCommand = (input) => {
+  const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec(input.trim());
+  if (!match) return null;
+  return { name: match[1], args: (match[2] || "").trim() };
+};
+
+// 找出已註冊、可以執行的指令；不是指令 (或是未註冊的指令) 時回傳 null
+export const findSlashCommand = (input) => {
+  const parsed = parseSlashCommand(input);
+  const command = parsed && commandRegistry.get(parsed.name);
+  return command ? { command, args: parsed.args } : null;
+};
+
+// 輸入框還在打指令名稱時 (例如 `/th`)，列出符合的指令給選單使用
+export const matchSlashCommands = (input) => {
+  if (!/^\/\S*$/.test(input)) return [];
+  const prefix = input.slice(1).toLowerCase();
+  return getSlashCommands().filter((c) => c.name.startsWith(prefix));
+};
+
+// 內建指令
+registerSlashCommand({
+  name: "clear",
+  get description() {
+    return t("slash.clear");
+  },
+  usage: "/clear",
+  run: (ctx) => ctx.clearChat(),
+});
+
+registerSlashCommand({
+  name: "export",
+  get description() {
+    return t("slash.export");
+  },
+  usage: "/export [md|html|json]",
+  run: (ctx, args) => ctx.exportThread(args),
+});
+
+registerSlashCommand({
+  name: "theme",
+  get description() {
+    return t("slash.theme");
+  },
+  usage: "/theme",
+  run: (ctx) => ctx.toggleTheme(),
+});
+
+registerSlashCommand({
+  name: "system",
+  get description() {
+    return t("slash.system");
+  },
+  usage: "/system <prompt>",
+  run: (ctx, args) => ctx.setSystemPrompt(args),
+});
@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ *  朗讀 (Read Aloud)
+ * ============================================================================
+ *  使用瀏覽器內建的 speechSynthesis 朗讀 AI 的回答：
+ *  - toSpeechText(markdown)：去掉 Markdown 語法，略過程式碼區塊、數學式區塊與表格
+ *  - speak(id, markdown, { lang })：朗讀一則訊息 (同一時間只朗讀一則，會先停掉前一則)
+ *  - stopSpeaking()：停止朗讀
+ *  - subscribeSpeech / getSpeakingId：目前正在朗讀哪一則訊息 (給 useSyncExternalStore 用)，
+ *    虛擬捲動讓訊息重新掛載時，按鈕仍然顯示正確的狀態
+ */
+
+export const isSpeechSynthesisSupported = () =>
+  typeof window !== "undefined" && "speechSynthesis" in window;
+
+// GFM 表格的分隔列，例如 `| --- | :---: |`
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+const stripInlineMarkdown = (line) =>
+  line
+    .replace(/^\s{0,3}#{1,6}\s+/, "") // 標題
+    .replace(/^\s*>\s?/, "") // 引言
+    .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, "") // 清單 (含待辦)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "") // 圖片
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // 連結只留文字
+    .replace(/`([^`]*)`/g, "$1") // 行內程式碼保留內容
+    .replace(/<[^>]+>/g, "") // HTML 標籤
+    .replace(/(\*\*|__|~~|\*)/g, "")
+    .trim();
+
+/**
+ * Markdown 轉成要朗讀的文字 (一行一段)
+ */
+export const toSpeechText = (markdown) => {
+  const lines = String(markdown || "").split("\n");
+  const result = [];
+  let fence = null; // 目前所在的程式碼區塊圍欄 (``` / ~~~)，或 $$ 數學式區塊
+  let inTable = false;
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (fence) {
+      if (trimmed.startsWith(fence)) fence = null;
+      return;
+    }
+    const opening = trimmed.match(/^(`{3,}|~{3,}|\$\$)/);
+    if (opening) {
+      // 單行的 $$...$$ 不需要等結束
+      const isInlineMath =
+        opening[1] === "$$" && trimmed.length > 2 && trimmed.endsWith("$$");
+      if (!isInlineMath) fence = opening[1];
+      return;
+    }
+
+    // 表格：標題列的下一行是分隔列，之後連續含 | 的行都屬於表格
+    if (inTable && trimmed.includes("|")) return;
+    inTable = false;
+    if (trimmed.includes("|") && TABLE_DIVIDER.test(lines[index + 1] || "")) {
+      inTable = true;
+      return;
+    }
+
+    const text = stripInlineMarkdown(line);
+    if (text) result.push(text);
+  });
+  return result.join("\n");
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ *  朗讀狀態 (Speaking State)
+ * ----------------------------------------------------------------------------
+ *  一則訊息拆成每行一個 utterance 依序排隊 (Chrome 朗讀太長的單一 utterance 會中途停止)。
+ */
+let speakingId = null;
+let speechRun = 0; // 每次朗讀的編號：被取消的舊朗讀，事件回來時不影響新的狀態
+const listeners = new Set();
+
+const setSpeakingId = (id) => {
+  speakingId = id;
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribeSpeech = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getSpeakingId = () => speakingId;
+
+export const stopSpeaking = () => {
+  if (!isSpeechSynthesisSupported()) return;
+  speechRun += 1;
+  window.speechSynthesis.cancel();
+  setSpeakingId(null);
+};
+
+export const speak = (id, markdown, { lang } = {}) => {
+  if (!isSpeechSynthesisSupported()) return;
+  stopSpeaking();
+
+  const chunks = toSpeechText(markdown).split("\n").filter(Boolean);
+  if (!chunks.length) return;
+
+  const run = speechRun;
+  const finish = () => {
+    if (run === speechRun) setSpeakingId(null);
+  };
+  chunks.forEach((chunk, index) => {
+    const utterance = new SpeechSynthesisUtterance(chunk);
+    if (lang) utterance.lang = lang;
+    if (index === chunks.length - 1) utterance.onend = finish;
+    utterance.onerror = finish;
+    window.speechSynthesis.speak(utterance);
+  });
+  setSpeakingId(id);
+};
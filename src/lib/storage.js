@@ -0,0 +1,29 @@
+/**
+ * ============================================================================
+ *  偏好設定的儲存位置 (Storage Namespace)
+ * ============================================================================
+ *  目前對話、系統設定與介面語系存在 localStorage。
+ *  嵌入到其他頁面時 (widget.jsx) 以 storageKey 當作命名空間，每個鍵加上 `${storageKey}:` 前綴，
+ *  不會和外部頁面 (或同一個網域的其他小工具) 的 localStorage 互相覆蓋：
+ *
+ *    const storage = getStorage("hr-widget");
+ *    storage.setItem("locale", "en"); // 實際寫入 "hr-widget:locale"
+ *
+ *  沒有 storageKey 時直接使用 localStorage (獨立頁面，鍵名和以前一樣)。
+ */
+
+// 同一個命名空間回傳同一個物件，放進 hook 的 deps 也不會每次都變
+const storages = new Map();
+
+export const getStorage = (storageKey) => {
+  if (!storageKey) return localStorage;
+  if (!storages.has(storageKey)) {
+    const prefix = `${storageKey}:`;
+    storages.set(storageKey, {
+      getItem: (key) => localStorage.getItem(prefix + key),
+      setItem: (key, value) => localStorage.setItem(prefix + key, value),
+      removeItem: (key) => localStorage.removeItem(prefix + key),
+    });
+  }
+  return storages.get(storageKey);
+};
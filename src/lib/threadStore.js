@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ *  對話紀錄儲存 (Thread Store)
+ * ============================================================================
+ *  使用瀏覽器內建的 IndexedDB 保存每一段對話 (thread)：
+ *  { id, title, messages, updatedAt }
+ *  列表只取摘要 (listThreads)，完整的訊息在開啟某一段對話時才讀取 (getThread)。
+ *  IndexedDB 是非同步 API，這裡統一包成 Promise，讓元件可以直接 await。
+ */
+import { t } from "./i18n";
+
+const DB_NAME = "chat_agent_db";
+const DB_VERSION = 1;
+const STORE_NAME = "threads";
+
+// 依目前語系產生 (語系切換後，新的對話使用新語系的標題)
+export const getDefaultThreadTitle = () => t("thread.defaultTitle");
+
+// 開啟資料庫 (只開一次，之後重複使用同一個連線)
+let dbPromise = null;
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not supported."));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    // 第一次建立或版本升級時，建立 object store 與索引
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // 開啟失敗時清掉快取，下次呼叫可以重試
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+};
+
+// 小工具：在指定模式下執行一個 store 操作，並回傳結果
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = callback(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// 逐筆讀出每段對話並轉換 (cursor)，只留下 callback 的回傳值 (null / undefined 會被略過)
+// 不需要把所有對話的訊息 (含附件的 base64) 同時放在記憶體裡
+export const mapThreads = (callback) =>
+  withStore("readonly", (store) => {
+    const results = [];
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const value = callback(cursor.value);
+      if (value != null) results.push(value);
+      cursor.continue();
+    };
+    return { result: results };
+  });
+
+// 側邊欄列表使用的摘要 (不含訊息)
+export const toThreadSummary = (thread) => ({
+  id: thread.id,
+  title: thread.title,
+  isTitleCustom: Boolean(thread.isTitleCustom),
+  updatedAt: thread.updatedAt,
+  messageCount: thread.messages?.length || 0,
+});
+
+// 列出所有對話的摘要 (最近更新的排最前面)；訊息在開啟對話時才用 getThread() 讀取
+export const listThreads = async () => {
+  const threads = await mapThreads(toThreadSummary);
+  return threads.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// 讀取單一對話，不存在時回傳 null
+export const getThread = async (id) => {
+  const thread = await withStore("readonly", (store) => store.get(id));
+  return thread || null;
+};
+
+// 新增或覆寫一段對話
+export const saveThread = (thread) =>
+  withStore("readwrite", (store) => store.put(thread));
+
+// 刪除一段對話
+export const deleteThread = (id) =>
+  withStore("readwrite", (store) => store.delete(id));
+
+// 從訊息內容自動產生標題：取第一則使用者訊息的前 30 個字
+export const deriveThreadTitle = (messages) => {
+  const firstUserMsg = messages.find((m) => m.type === "user");
+  if (!firstUserMsg) return getDefaultThreadTitle();
+
+  const text = String(firstUserMsg.content || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return getDefaultThreadTitle();
+  return text.length > 30 ? `${text.slice(0, 30)}…` : text;
+};
@@ -0,0 +1,75 @@
+/**
+ * ============================================================================
+ *  工具步驟紀錄 (Tool Steps)
+ * ============================================================================
+ *  把 tool_start / tool_end 事件整理成存放在 AI 訊息上的 steps 陣列：
+ *  { id, name, args, result, error, status, startedAt, duration }
+ *  status: "running" | "done" | "error" | "cancelled"
+ *  全部都是純函式 (回傳新陣列)，方便直接放進 setMessages。
+ */
+
+// 新增一個執行中的步驟
+export const startToolStep = (steps = [], event) => [
+  ...steps,
+  {
+    id: event.id || `step-${Date.now()}-${steps.length}`,
+    name: event.name,
+    args: event.args,
+    result: null,
+    error: null,
+    status: "running",
+    startedAt: Date.now(),
+    duration: null,
+  },
+];
+
+// 結束步驟：優先以 id 配對，沒有 id 時找同名且仍在執行的最後一步
+export const finishToolStep = (steps = [], event) => {
+  let index = event.id ? steps.findIndex((s) => s.id === event.id) : -1;
+  if (index === -1) {
+    index = steps.findLastIndex(
+      (s) => s.status === "running" && s.name === event.name
+    );
+  }
+
+  const finished = {
+    result: event.result,
+    error: event.error,
+    status: event.error ? "error" : "done",
+  };
+
+  // 找不到對應的 tool_start (例如後端只送 tool_end)：直接補一筆完成的步驟
+  if (index === -1) {
+    return [
+      ...steps,
+      {
+        id: event.id || `step-${Date.now()}-${steps.length}`,
+        name: event.name,
+        args: null,
+        startedAt: null,
+        duration: event.duration,
+        ...finished,
+      },
+    ];
+  }
+
+  return steps.map((step, i) =>
+    i === index
+      ? {
+          ...step,
+          ...finished,
+          duration:
+            event.duration ??
+            (step.startedAt ? Date.now() - step.startedAt : null),
+        }
+      : step
+  );
+};
+
+// 串流結束 (完成、中斷或失敗) 時，把還在執行中的步驟標記為已取消
+export const settleRunningSteps = (steps) =>
+  steps?.some((s) => s.status === "running")
+    ? steps.map((s) =>
+        s.status === "running" ? { ...s, status: "cancelled" } : s
+      )
+    : steps;
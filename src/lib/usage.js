@@ -0,0 +1,53 @@
+/**
+ * ============================================================================
+ *  用量與延遲 (Usage & Latency Metrics)
+ * ============================================================================
+ *  AI 訊息上會記錄：
+ *  - usage:   { promptTokens, completionTokens, totalTokens, cost }，來自 metadata 事件
+ *             (一個回答可能呼叫好幾次模型，所以每次收到都累加)
+ *  - model:   最後一次回報的模型名稱
+ *  - metrics: { ttft, duration }，由前端自己量測 (毫秒)
+ *             ttft = 送出請求到收到第一個文字 chunk；duration = 整個串流的時間
+ */
+import { t } from "./i18n";
+
+export const addUsage = (current, next) => {
+  if (!current) return next;
+  if (!next) return current;
+  return {
+    promptTokens: current.promptTokens + next.promptTokens,
+    completionTokens: current.completionTokens + next.completionTokens,
+    totalTokens: current.totalTokens + next.totalTokens,
+    cost:
+      current.cost == null && next.cost == null
+        ? null
+        : (current.cost || 0) + (next.cost || 0),
+  };
+};
+
+// 整段對話 (目前顯示的路徑) 的用量總和
+export const getThreadUsage = (messages) =>
+  messages.reduce((total, msg) => addUsage(total, msg.usage), null);
+
+export const formatDuration = (ms) =>
+  ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+
+export const formatTokens = (count) =>
+  count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+
+export const formatCost = (cost) =>
+  `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+// 滑鼠移上去時顯示的完整說明
+export const describeUsage = (usage, model) =>
+  [
+    model && t("usage.model", { model }),
+    usage &&
+      t("usage.tokens", {
+        prompt: usage.promptTokens,
+        completion: usage.completionTokens,
+      }),
+    usage?.cost != null && t("usage.cost", { cost: formatCost(usage.cost) }),
+  ]
+    .filter(Boolean)
+    .join("\n");
@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ *  英文訊息目錄 (English Messages)
+ * ============================================================================
+ *  key 必須與 zh-TW.js 一致；開發模式下缺少的 key 會在 console 列出。
+ */
+export default {
+  // --- 共用 (Common) ---
+  "common.cancel": "Cancel",
+  "common.send": "Send",
+  "common.save": "Save",
+  "common.retry": "Retry",
+  "common.arguments": "Arguments",
+  "common.result": "Result",
+  "common.error": "Error",
+  "common.listSeparator": ", ",
+
+  // --- 預設值 (Defaults) ---
+  "defaults.assistantName": "My AI Assistant",
+  "defaults.greeting": "Hi! I'm your AI assistant. Let's get started!",
+  "thread.defaultTitle": "New chat",
+
+  // --- 側邊欄 (Sidebar) ---
+  "sidebar.mainMenu": "Menu",
+  "sidebar.newChat": "New chat",
+  "sidebar.importThread": "Import chat",
+  "sidebar.history": "History",
+  "sidebar.noHistory": "No chats yet",
+  "sidebar.rename": "Rename",
+  "sidebar.deleteThread": "Delete chat",
+  "sidebar.confirmDelete": "Delete for good?",
+  "sidebar.settings": "Settings",
+  "sidebar.lightMode": "Light mode",
+  "sidebar.darkMode": "Dark mode",
+  "sidebar.language": "Language",
+
+  // --- 標題列 (Header) ---
+  "header.export": "Export chat",
+  "header.exportJson": "JSON (importable)",
+  "header.clearChat": "Clear memory",
+  "header.close": "Close",
+  "header.search": "Search chat (Ctrl+F)",
+
+  // --- 搜尋列 (Search) ---
+  "search.placeholder": "Search this chat...",
+  "search.previous": "Previous",
+  "search.next": "Next",
+  "search.close": "Close search",
+  "search.allThreads": "All chats",
+  "search.otherThreads": "Other chats",
+  "search.noResults": "No matches",
+  "search.matchCount": "{count} found",
+
+  // --- 嵌入式小工具 (Widget) ---
+  "widget.open": "Open chat",
+
+  // --- 對話 (Chat) ---
+  "chat.cleared": "Memory cleared. Let's start over!",
+  "chat.threadNotFound":
+    "This conversation no longer exists on the server, so let's start over! (The earlier messages are still in the sidebar.)",
+  "chat.loadingHistory": "Loading conversation history...",
+  "chat.thinking": "Thinking...",
+  "chat.retrying":
+    "Connection lost, retrying in {seconds}s ({attempt}/{retries})",
+  "chat.tooManyAttachments": "You can attach up to {max} files",
+  "chat.importFailed": "Import failed: {message}",
+  "chat.dropToAttach": "Drop to attach files",
+  "chat.answerInterrupted": "Answer interrupted: {message}",
+  "chat.answerFailed": "Answer failed: {message}",
+  "chat.stopped": "Stopped",
+  "chat.jumpToLatest": "Jump to latest",
+  "chat.offline": "You are offline. Messages can be sent once you reconnect.",
+  "chat.attachFiles": "Attach files",
+  "chat.placeholder":
+    "Ask a question... (Shift+Enter for a new line, / for commands)",
+  "chat.placeholderPendingApproval": "Resolve the pending tool call first...",
+  "chat.stopGeneration": "Stop generating",
+
+  // --- 語音輸入 (Voice Input) ---
+  "voice.start": "Voice input",
+  "voice.stop": "Stop recording and transcribe",
+  "voice.transcribing": "Transcribing...",
+  "voice.microphoneDenied":
+    "Microphone unavailable. Please allow microphone access in your browser.",
+  "voice.failed": "Voice input failed: {message}",
+
+  // --- 訊息操作 (Message Actions) ---
+  "message.copy": "Copy",
+  "message.readAloud": "Read aloud",
+  "message.stopReading": "Stop reading",
+  "message.regenerate": "Regenerate",
+  "message.previousVersion": "Previous version",
+  "message.nextVersion": "Next version",
+  "message.edit": "Edit message",
+  "message.blockedLink": "Blocked link: {href}",
+
+  // --- 串流 (Stream) ---
+  "stream.networkError": "Network connection lost",
+  "stream.rateLimited": "Too many requests (HTTP 429)",
+  "stream.serverError": "Server error (HTTP {status})",
+  "stream.unknownError": "Connection error",
+  "stream.callingTool": "Calling tool: {name}",
+  "stream.runningNodes": "Running nodes: {nodes}",
+
+  // --- 工具 (Tools) ---
+  "tools.summary": "Ran {count} tool steps",
+  "tools.failed": " ({count} failed)",
+  "tools.running": "Running {name}...",
+
+  // --- 工具核准 (Approval) ---
+  "approval.title": "Tool call needs approval",
+  "approval.invalidJson": "Arguments are not valid JSON",
+  "approval.reject": "Reject",
+  "approval.editAndApprove": "Approve with edits",
+  "approval.approve": "Approve",
+  "approval.status.approved": "Approved",
+  "approval.status.edited": "Approved with edited arguments",
+  "approval.status.rejected": "Rejected",
+
+  // --- 附件 (Attachments) ---
+  "attachments.fileLabel": "File: {name}",
+  "attachments.remove": "Remove attachment",
+  "attachments.unsupportedType": "Unsupported file type: {name}",
+  "attachments.tooLarge": "File is larger than 10 MB: {name}",
+
+  // --- 程式碼區塊 (Code Block) ---
+  "code.previewFrame": "Code preview",
+  "code.preview": "Preview",
+  "code.showSource": "Show source",
+  "code.showDiagram": "Show diagram",
+  "code.download": "Download as file",
+  "code.copy": "Copy code",
+
+  // --- 連結與圖片 (Links & Images) ---
+  "link.title": "You are leaving this page",
+  "link.description": "This link comes from an AI answer and will open:",
+  "link.open": "Open link",
+  "image.blocked": "Blocked image",
+  "image.blockedWithAlt": "Blocked image: {alt}",
+  "image.load": "Load remote image ({host})",
+
+  // --- 回饋 (Feedback) ---
+  "feedback.good": "Good answer",
+  "feedback.bad": "Bad answer",
+  "feedback.queued":
+    "Feedback not sent yet. It will be sent when you are back online",
+  "feedback.failed": "Couldn't send feedback: {message}",
+  "feedback.commentPlaceholder": "Add a comment (optional)",
+  "feedback.category.correct": "Correct",
+  "feedback.category.helpful": "Helpful",
+  "feedback.category.clear": "Easy to understand",
+  "feedback.category.incorrect": "Incorrect",
+  "feedback.category.off_topic": "Didn't answer the question",
+  "feedback.category.wrong_tool": "Wrong tool use",
+  "feedback.category.too_verbose": "Too long",
+  "feedback.category.other": "Other",
+
+  // --- 用量 (Usage) ---
+  "metrics.ttft": "First token {duration}",
+  "usage.model": "Model: {model}",
+  "usage.tokens": "Input {prompt} / output {completion} tokens",
+  "usage.cost": "Cost: {cost}",
+
+  // --- 斜線指令 (Slash Commands) ---
+  "slash.clear": "Clear memory and start a new chat",
+  "slash.export": "Export this chat (md / html / json)",
+  "slash.theme": "Toggle dark / light mode",
+  "slash.system": "Set this chat's system prompt (no argument clears it)",
+
+  // --- 匯出 / 匯入 (Export & Import) ---
+  "export.roleUser": "User",
+  "export.roleAi": "AI",
+  "export.error": "error",
+  "export.argumentsLabel": "Arguments:",
+  "export.resultLabel": "Result:",
+  "export.errorLabel": "Error:",
+  "export.updatedAt": "Last updated: {date}",
+  "export.systemPrompt": "System prompt: {prompt}",
+  "export.noContent": "no content",
+  "export.toolCalls": "Tool calls",
+  "export.importedTitle": "Imported chat",
+  "export.invalidJson": "The file is not valid JSON",
+  "export.notExportFile": "This is not a chat exported by this app",
+  "export.unsupportedVersion": "Unsupported version: {version}",
+  "export.incomplete": "The chat data is incomplete",
+
+  // --- 認證 (Auth) ---
+  "auth.loginHint": "Sign in to continue",
+  "auth.username": "Username",
+  "auth.password": "Password",
+  "auth.login": "Sign in",
+  "auth.logout": "Sign out ({username})",
+  "auth.sessionExpired": "Your session has expired. Please sign in again",
+  "auth.sessionExpiredHint":
+    "Your session has expired. Please sign in again. Your unsent prompt is kept in the input box.",
+  "auth.loginRequired": "Please sign in first",
+  "auth.unauthorized":
+    "Authentication failed (HTTP 401). Check the API key or bearer token in Settings",
+  "auth.invalidCredentials": "Incorrect username or password",
+  "auth.loginFailed": "Sign-in failed: {message}",
+  "auth.missingTokenUrl":
+    "No token endpoint is configured. Set one in Settings",
+  "auth.invalidTokenResponse":
+    "The token endpoint did not return an access_token",
+
+  // --- 系統設定 (Settings) ---
+  "settings.title": "Settings",
+  "settings.connection": "Backend connection",
+  "settings.apiBaseUrl": "Backend URL",
+  "settings.streamFormat": "Stream format",
+  "settings.streamFormatHint":
+    "ndjson: custom /chat; langserve: /stream; langgraph: /threads/{id}/runs/stream",
+  "settings.historyPath": "History endpoint",
+  "settings.historyPathHint":
+    "GET the messages stored on the backend when opening a thread, e.g. /threads/{threadId}/history; when empty only langgraph loads history",
+  "settings.transcriptionUrl": "Transcription endpoint",
+  "settings.transcriptionUrlHint":
+    "Recordings are POSTed here as multipart/form-data (file, model, language), like OpenAI /audio/transcriptions; respond with { text }",
+  "settings.transcriptionUrlPlaceholder":
+    "(empty: use browser speech recognition)",
+  "settings.transcriptionModel": "Transcription model",
+  "settings.transcriptionModelHint":
+    "Sent as the model field of the transcription request, e.g. whisper-1",
+  "settings.resumeStreams":
+    "Resume with Last-Event-ID after a disconnect (requires backend support)",
+  "settings.authMode": "Authentication",
+  "settings.authModeHint":
+    "static: fixed API key / bearer token; login: sign in with a username and password to get a token",
+  "settings.bearerTokenHint": "Sent as the Authorization: Bearer header",
+  "settings.authTokenUrl": "Token endpoint",
+  "settings.authTokenUrlHint":
+    "POST { grant_type, username, password } or { grant_type, refresh_token }, returns { access_token, refresh_token, expires_in }",
+  "settings.apiKeyHint": "Sent as the X-API-Key header",
+  "settings.headers": "Custom headers",
+  "settings.addHeader": "Add header",
+  "settings.testConnection": "Test connection",
+  "settings.testOk": "Connected (HTTP {status})",
+  "settings.testBadStatus": "Server responded with HTTP {status}",
+  "settings.testTimeout": "Connection timed out",
+  "settings.testUnreachable": "Could not connect: {message}",
+  "settings.model": "Model",
+  "settings.modelHint": "Passed to the backend as config.configurable.model",
+  "settings.agentHint": "Passed to the backend as config.configurable.agent",
+  "settings.backendDefault": "(backend default)",
+  "settings.display": "Display",
+  "settings.appTitle": "Title",
+  "settings.assistantName": "Assistant name",
+  "settings.greeting": "Greeting",
+  "settings.greetingHint": "The first message of a new chat",
+  "settings.logoUrl": "Logo URL",
+  "settings.linkSafety": "Link & image safety",
+  "settings.linkAllowlist": "Trusted domains",
+  "settings.linkAllowlistHint":
+    "One per line (or comma separated), subdomains included. Other external links ask before opening",
+  "settings.linkDenylist": "Blocked domains",
+  "settings.linkDenylistHint": "Links and images from these are never opened",
+  "settings.allowRemoteImages":
+    "Load all remote images automatically (by default they load on click)",
+  "settings.reset": "Reset to defaults",
+};
@@ -0,0 +1,251 @@
+/**
+ * ============================================================================
+ *  繁體中文訊息目錄 (zh-TW Messages)
+ * ============================================================================
+ *  預設語系；其他語系缺少的 key 會退回這裡的文字。
+ *  {name} 形式的參數由 t(key, params) 代入。
+ */
+export default {
+  // --- 共用 (Common) ---
+  "common.cancel": "取消",
+  "common.send": "送出",
+  "common.save": "儲存",
+  "common.retry": "重試",
+  "common.arguments": "參數",
+  "common.result": "結果",
+  "common.error": "錯誤",
+  "common.listSeparator": "、",
+
+  // --- 預設值 (Defaults) ---
+  "defaults.assistantName": "我的 AI 助理",
+  "defaults.greeting": "你好！我是你的 AI 助手。我們開始對話吧！",
+  "thread.defaultTitle": "新對話",
+
+  // --- 側邊欄 (Sidebar) ---
+  "sidebar.mainMenu": "主選單",
+  "sidebar.newChat": "新對話",
+  "sidebar.importThread": "匯入對話",
+  "sidebar.history": "對話紀錄",
+  "sidebar.noHistory": "尚無對話紀錄",
+  "sidebar.rename": "重新命名",
+  "sidebar.deleteThread": "刪除對話",
+  "sidebar.confirmDelete": "確定刪除？無法復原",
+  "sidebar.settings": "系統設定",
+  "sidebar.lightMode": "亮色模式",
+  "sidebar.darkMode": "深色模式",
+  "sidebar.language": "介面語言",
+
+  // --- 標題列 (Header) ---
+  "header.export": "匯出對話",
+  "header.exportJson": "JSON (可匯入)",
+  "header.clearChat": "清除記憶",
+  "header.close": "關閉",
+  "header.search": "搜尋對話 (Ctrl+F)",
+
+  // --- 搜尋列 (Search) ---
+  "search.placeholder": "搜尋這段對話...",
+  "search.previous": "上一個",
+  "search.next": "下一個",
+  "search.close": "關閉搜尋",
+  "search.allThreads": "所有對話",
+  "search.otherThreads": "其他對話",
+  "search.noResults": "沒有符合的結果",
+  "search.matchCount": "{count} 則",
+
+  // --- 嵌入式小工具 (Widget) ---
+  "widget.open": "開啟對話",
+
+  // --- 對話 (Chat) ---
+  "chat.cleared": "記憶已清除，我們重新開始吧！",
+  "chat.threadNotFound":
+    "伺服器上已經找不到這段對話的紀錄，我們重新開始吧！(原本的內容仍可以從側邊欄查看)",
+  "chat.loadingHistory": "正在載入對話紀錄...",
+  "chat.thinking": "正在思考...",
+  "chat.retrying": "連線中斷，{seconds} 秒後重試 ({attempt}/{retries})",
+  "chat.tooManyAttachments": "最多只能附加 {max} 個檔案",
+  "chat.importFailed": "匯入失敗：{message}",
+  "chat.dropToAttach": "放開以附加檔案",
+  "chat.answerInterrupted": "回答中斷：{message}",
+  "chat.answerFailed": "回答失敗：{message}",
+  "chat.stopped": "已停止生成",
+  "chat.jumpToLatest": "跳到最新",
+  "chat.offline": "目前處於離線狀態，恢復網路連線後才能送出訊息",
+  "chat.attachFiles": "附加檔案",
+  "chat.placeholder": "輸入您的問題... (Shift+Enter 換行，/ 開啟指令)",
+  "chat.placeholderPendingApproval": "請先處理待核准的工具呼叫...",
+  "chat.stopGeneration": "停止生成",
+
+  // --- 語音輸入 (Voice Input) ---
+  "voice.start": "語音輸入",
+  "voice.stop": "停止錄音並轉成文字",
+  "voice.transcribing": "正在轉成文字...",
+  "voice.microphoneDenied": "無法使用麥克風，請在瀏覽器允許麥克風權限",
+  "voice.failed": "語音輸入失敗：{message}",
+
+  // --- 訊息操作 (Message Actions) ---
+  "message.copy": "複製內容",
+  "message.readAloud": "朗讀",
+  "message.stopReading": "停止朗讀",
+  "message.regenerate": "重新生成",
+  "message.previousVersion": "上一個版本",
+  "message.nextVersion": "下一個版本",
+  "message.edit": "編輯訊息",
+  "message.blockedLink": "已封鎖的連結：{href}",
+
+  // --- 串流 (Stream) ---
+  "stream.networkError": "網路連線中斷",
+  "stream.rateLimited": "請求過於頻繁 (HTTP 429)",
+  "stream.serverError": "伺服器錯誤 (HTTP {status})",
+  "stream.unknownError": "連線發生錯誤",
+  "stream.callingTool": "正在呼叫工具：{name}",
+  "stream.runningNodes": "執行節點：{nodes}",
+
+  // --- 工具 (Tools) ---
+  "tools.summary": "執行了 {count} 個工具步驟",
+  "tools.failed": "（{count} 個失敗）",
+  "tools.running": "正在執行 {name}...",
+
+  // --- 工具核准 (Approval) ---
+  "approval.title": "需要核准的工具呼叫",
+  "approval.invalidJson": "參數不是合法的 JSON",
+  "approval.reject": "拒絕",
+  "approval.editAndApprove": "修改後核准",
+  "approval.approve": "核准",
+  "approval.status.approved": "已核准",
+  "approval.status.edited": "已修改參數並核准",
+  "approval.status.rejected": "已拒絕",
+
+  // --- 附件 (Attachments) ---
+  "attachments.fileLabel": "檔案：{name}",
+  "attachments.remove": "移除附件",
+  "attachments.unsupportedType": "不支援的檔案類型：{name}",
+  "attachments.tooLarge": "檔案超過 10 MB：{name}",
+
+  // --- 程式碼區塊 (Code Block) ---
+  "code.previewFrame": "程式碼預覽",
+  "code.preview": "預覽",
+  "code.showSource": "顯示原始碼",
+  "code.showDiagram": "顯示圖表",
+  "code.download": "下載成檔案",
+  "code.copy": "複製程式碼",
+
+  // --- 連結與圖片 (Links & Images) ---
+  "link.title": "即將離開此頁面",
+  "link.description": "這個連結來自 AI 的回答，將會開啟：",
+  "link.open": "開啟連結",
+  "image.blocked": "已封鎖的圖片",
+  "image.blockedWithAlt": "已封鎖的圖片：{alt}",
+  "image.load": "載入遠端圖片 ({host})",
+
+  // --- 回饋 (Feedback) ---
+  "feedback.good": "好的回答",
+  "feedback.bad": "不好的回答",
+  "feedback.queued": "回饋尚未送出，恢復連線後會自動補送",
+  "feedback.failed": "回饋送出失敗：{message}",
+  "feedback.commentPlaceholder": "補充說明 (選填)",
+  "feedback.category.correct": "正確",
+  "feedback.category.helpful": "有幫助",
+  "feedback.category.clear": "清楚易懂",
+  "feedback.category.incorrect": "不正確",
+  "feedback.category.off_topic": "沒有回答問題",
+  "feedback.category.wrong_tool": "工具使用錯誤",
+  "feedback.category.too_verbose": "太冗長",
+  "feedback.category.other": "其他",
+
+  // --- 用量 (Usage) ---
+  "metrics.ttft": "首字 {duration}",
+  "usage.model": "模型：{model}",
+  "usage.tokens": "輸入 {prompt} / 輸出 {completion} tokens",
+  "usage.cost": "費用：{cost}",
+
+  // --- 斜線指令 (Slash Commands) ---
+  "slash.clear": "清除記憶，開始新的對話",
+  "slash.export": "匯出目前的對話 (md / html / json)",
+  "slash.theme": "切換深色 / 亮色模式",
+  "slash.system": "設定這段對話的系統提示 (不帶參數則清除)",
+
+  // --- 匯出 / 匯入 (Export & Import) ---
+  "export.roleUser": "使用者",
+  "export.roleAi": "AI",
+  "export.error": "錯誤",
+  "export.argumentsLabel": "參數：",
+  "export.resultLabel": "結果：",
+  "export.errorLabel": "錯誤：",
+  "export.updatedAt": "最後更新：{date}",
+  "export.systemPrompt": "系統提示：{prompt}",
+  "export.noContent": "無內容",
+  "export.toolCalls": "工具呼叫",
+  "export.importedTitle": "匯入的對話",
+  "export.invalidJson": "檔案不是合法的 JSON",
+  "export.notExportFile": "不是本工具匯出的對話檔案",
+  "export.unsupportedVersion": "不支援的版本：{version}",
+  "export.incomplete": "對話內容不完整",
+
+  // --- 認證 (Auth) ---
+  "auth.loginHint": "請登入以繼續使用",
+  "auth.username": "帳號",
+  "auth.password": "密碼",
+  "auth.login": "登入",
+  "auth.logout": "登出 ({username})",
+  "auth.sessionExpired": "登入已過期，請重新登入",
+  "auth.sessionExpiredHint":
+    "登入已過期，請重新登入。尚未送出的提問會保留在輸入框中。",
+  "auth.loginRequired": "請先登入",
+  "auth.unauthorized":
+    "認證失敗 (HTTP 401)，請到系統設定檢查 API Key 或 Bearer Token",
+  "auth.invalidCredentials": "帳號或密碼錯誤",
+  "auth.loginFailed": "登入失敗：{message}",
+  "auth.missingTokenUrl": "尚未設定 token 端點，請到系統設定填寫",
+  "auth.invalidTokenResponse": "token 端點的回應沒有 access_token",
+
+  // --- 系統設定 (Settings) ---
+  "settings.title": "系統設定",
+  "settings.connection": "後端連線",
+  "settings.apiBaseUrl": "後端網址",
+  "settings.streamFormat": "串流格式",
+  "settings.streamFormatHint":
+    "ndjson：自訂 /chat；langserve：/stream；langgraph：/threads/{id}/runs/stream",
+  "settings.historyPath": "對話紀錄端點",
+  "settings.historyPathHint":
+    "開啟對話時以 GET 讀回後端保存的訊息，例如 /threads/{threadId}/history；空白時只有 langgraph 會讀取",
+  "settings.transcriptionUrl": "語音轉寫端點",
+  "settings.transcriptionUrlHint":
+    "錄音以 multipart/form-data (file、model、language) POST 到這個網址 (與 OpenAI /audio/transcriptions 相同)，回傳 { text }",
+  "settings.transcriptionUrlPlaceholder": "(空白：使用瀏覽器的語音辨識)",
+  "settings.transcriptionModel": "語音轉寫模型",
+  "settings.transcriptionModelHint": "轉寫請求的 model 欄位，例如 whisper-1",
+  "settings.resumeStreams": "斷線後以 Last-Event-ID 續傳 (需要後端支援)",
+  "settings.authMode": "認證方式",
+  "settings.authModeHint":
+    "static：固定的 API Key / Bearer Token；login：以帳號密碼登入取得 token",
+  "settings.bearerTokenHint": "以 Authorization: Bearer header 送出",
+  "settings.authTokenUrl": "Token 端點",
+  "settings.authTokenUrlHint":
+    "POST { grant_type, username, password } 或 { grant_type, refresh_token }，回傳 { access_token, refresh_token, expires_in }",
+  "settings.apiKeyHint": "以 X-API-Key header 送出",
+  "settings.headers": "自訂 Headers",
+  "settings.addHeader": "新增 Header",
+  "settings.testConnection": "測試連線",
+  "settings.testOk": "連線成功 (HTTP {status})",
+  "settings.testBadStatus": "伺服器回應 HTTP {status}",
+  "settings.testTimeout": "連線逾時",
+  "settings.testUnreachable": "無法連線：{message}",
+  "settings.model": "模型",
+  "settings.modelHint": "透過 config.configurable.model 傳給後端",
+  "settings.agentHint": "透過 config.configurable.agent 傳給後端",
+  "settings.backendDefault": "(使用後端預設)",
+  "settings.display": "顯示",
+  "settings.appTitle": "標題",
+  "settings.assistantName": "助理名稱",
+  "settings.greeting": "開場白",
+  "settings.greetingHint": "新對話的第一則訊息",
+  "settings.logoUrl": "Logo 網址",
+  "settings.linkSafety": "連結與圖片安全",
+  "settings.linkAllowlist": "信任的網域",
+  "settings.linkAllowlistHint":
+    "一行一個 (或以逗號分隔)，包含子網域；其他外部連結開啟前會先確認",
+  "settings.linkDenylist": "封鎖的網域",
+  "settings.linkDenylistHint": "連結與圖片都不會開啟 / 載入",
+  "settings.allowRemoteImages": "自動載入所有遠端圖片 (預設需要點擊才載入)",
+  "settings.reset": "重設為預設值",
+};
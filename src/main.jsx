@@ -2,6 +2,7 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css"; // <--- 關鍵！一定要有這一行
+import "katex/dist/katex.min.css"; // 數學式的樣式
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
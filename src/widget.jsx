@@ -0,0 +1,157 @@
+/**
+ * ============================================================================
+ *  嵌入式小工具入口 (Widget Entry)
+ * ============================================================================
+ *  `npm run build:widget` 以這個檔案為入口，輸出到 dist/widget/ (見 vite.config.js)：
+ *  - chat-widget.js：ES module 入口 (`import { mount } from ".../chat-widget.js"`)
+ *  - chunks/：實際的程式；mermaid、程式碼高亮等用到時才載入，要和 chat-widget.js 放在一起
+ *
+ *    const widget = mount(document.body, {
+ *      apiBaseUrl: "https://agent.example.com",
+ *      threadId: "portal-user-42",      // 選填，預設沿用上次的對話
+ *      storageKey: "hr-widget",         // 選填，localStorage 的命名空間 (預設 "chat-widget")
+ *      theme: "dark",                   // "light" | "dark"
+ *      greeting: "有什麼可以幫忙的嗎？",
+ *      headers: { "X-Tenant": "hr" },
+ *      layout: "launcher",              // "launcher" (浮動按鈕) | "inline" (填滿 el)
+ *      open: false,                     // launcher 一開始是否展開
+ *      onMessage: (message) => {},      // 送出的提問、完成的回答
+ *      onToolCall: (event) => {},       // tool_start / tool_end 事件
+ *      onError: (error) => {},          // 串流失敗 (重試後)、認證失敗
+ *    });
+ *    widget.open(); widget.close();
+ *    await widget.send("請假規定是什麼？"); // 回答結束後 resolve，無法送出時回傳 false
+ *    widget.clear();
+ *    widget.unmount();                    // 之後再呼叫 send / clear 會 reject
+ *
+ *  其他系統設定的欄位 (appTitle、assistantName、streamFormat、apiKey...) 也可以直接傳入。
+ *  目前對話、在設定視窗儲存的設定與介面語系存在 `${storageKey}:` 開頭的 localStorage 鍵，
+ *  不會覆蓋外部頁面的資料；同一個網域放了多個小工具時，請各自給不同的 storageKey。
+ *
+ *  樣式 (Tailwind、KaTeX) 以字串注入 Shadow DOM：不會影響外部頁面，外部的 CSS 也蓋不到對話視窗。
+ *  Shadow DOM 裡不會生效的 @font-face / @property 規則，另外加到外部頁面的 <head> (只加一次)。
+ */
+import React from "react";
+import ReactDOM from "react-dom/client";
+import ChatWidget from "./components/ChatWidget";
+import I18nProvider from "./components/I18nProvider";
+import { DEFAULT_SETTINGS } from "./lib/settings";
+import styles from "./index.css?inline";
+import katexStyles from "katex/dist/katex.min.css?inline";
+
+const GLOBAL_STYLE_ID = "chat-widget-global-rules";
+const GLOBAL_RULE_PATTERN = /@(?:font-face|property)[^{]*\{[^}]*\}/g;
+
+const injectGlobalRules = (cssText) => {
+  if (document.getElementById(GLOBAL_STYLE_ID)) return;
+  const style = document.createElement("style");
+  style.id = GLOBAL_STYLE_ID;
+  style.textContent = (cssText.match(GLOBAL_RULE_PATTERN) || []).join("\n");
+  document.head.appendChild(style);
+};
+
+// mount 的選項中屬於系統設定的欄位；headers 可以寫成物件 { name: value }
+const toSettingsOverrides = (options) => {
+  const overrides = Object.fromEntries(
+    Object.entries(options).filter(
+      ([key, value]) => key in DEFAULT_SETTINGS && value !== undefined
+    )
+  );
+  if (options.headers && !Array.isArray(options.headers)) {
+    overrides.headers = Object.entries(options.headers).map(([key, value]) => ({
+      key,
+      value: String(value),
+    }));
+  }
+  return overrides;
+};
+
+export const mount = (el, options = {}) => {
+  if (!el) throw new Error("ChatWidget.mount: target element is required");
+  const {
+    layout = "launcher",
+    threadId,
+    theme,
+    storageKey = "chat-widget",
+  } = options;
+  const cssText = `${styles}\n${katexStyles}`;
+  injectGlobalRules(cssText);
+
+  // Shadow DOM：<div host> -> #shadow-root -> <style> + <div container>
+  const host = document.createElement("div");
+  host.style.display = "block";
+  if (layout === "inline") host.style.height = "100%";
+  el.appendChild(host);
+  const shadow = host.attachShadow({ mode: "open" });
+  const style = document.createElement("style");
+  style.textContent = cssText;
+  const container = document.createElement("div");
+  container.style.height = "100%";
+  shadow.append(style, container);
+  const root = ReactDOM.createRoot(container);
+
+  // ChatInterface 渲染完成前呼叫的 send / clear 先排隊；unmount 後 (或還在排隊時被 unmount) 一律 reject
+  let chat = null;
+  let queue = [];
+  let isUnmounted = false;
+  const chatRef = (handle) => {
+    chat = handle;
+    if (!handle) return;
+    queue.forEach(({ run }) => run(handle));
+    queue = [];
+  };
+  const createUnmountedError = () =>
+    new Error("ChatWidget: the widget has been unmounted");
+  const whenReady = (fn) => {
+    if (isUnmounted) return Promise.reject(createUnmountedError());
+    if (chat) return Promise.resolve(fn(chat));
+    return new Promise((resolve, reject) =>
+      queue.push({ run: (handle) => resolve(fn(handle)), reject })
+    );
+  };
+
+  const chatProps = {
+    ref: chatRef,
+    settingsOverrides: toSettingsOverrides(options),
+    initialThreadId: threadId,
+    storageKey,
+    theme,
+    onMessage: options.onMessage,
+    onToolCall: options.onToolCall,
+    onError: options.onError,
+  };
+
+  let isOpen = options.open ?? false;
+  const render = () =>
+    root.render(
+      <I18nProvider embedded storageKey={storageKey}>
+        <ChatWidget
+          layout={layout}
+          isOpen={isOpen}
+          onOpen={() => setOpen(true)}
+          onClose={() => setOpen(false)}
+          chatProps={chatProps}
+        />
+      </I18nProvider>
+    );
+  const setOpen = (next) => {
+    isOpen = next;
+    render();
+  };
+  render();
+
+  return {
+    send: (text) => whenReady((handle) => handle.send(text)),
+    clear: () => whenReady((handle) => handle.clear()),
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    unmount: () => {
+      if (isUnmounted) return;
+      isUnmounted = true;
+      queue.forEach(({ reject }) => reject(createUnmountedError()));
+      queue = [];
+      root.unmount();
+      host.remove();
+    },
+  };
+};
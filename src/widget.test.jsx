@@ -0,0 +1,36 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { mount } from "./widget";
+
+vi.mock("./lib/threadStore", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listThreads: async () => [],
+  getThread: async () => null,
+  saveThread: async () => {},
+  deleteThread: async () => {},
+}));
+
+describe("widget", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("rejects calls queued before the widget was ready when it is unmounted", async () => {
+    const widget = mount(document.body);
+    const sent = widget.send("Hello");
+    const cleared = widget.clear();
+
+    widget.unmount();
+
+    await expect(sent).rejects.toThrow("unmounted");
+    await expect(cleared).rejects.toThrow("unmounted");
+  });
+
+  it("rejects calls made after unmount", async () => {
+    const widget = mount(document.body);
+    widget.unmount();
+
+    await expect(widget.send("Hello")).rejects.toThrow("unmounted");
+    expect(document.body.children).toHaveLength(0);
+  });
+});
@@ -2,13 +2,48 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import path from "path";
 
+// `vite build --mode widget`：嵌入式小工具的 library build (見 src/widget.jsx)
+// React 等依賴都打包進去，外部頁面不需要另外載入
+// 只輸出 ES module：mermaid、程式碼高亮的語言、匯出用的 react-dom/server 拆成 chunks/ 裡的檔案，
+// 第一次用到時才下載 (IIFE 沒辦法拆檔，會把這些全部塞進同一個好幾 MB 的檔案)
+const widgetConfig = {
+  define: {
+    // library build 不會替換依賴中的 process.env.NODE_ENV
+    "process.env.NODE_ENV": JSON.stringify("production"),
+  },
+  build: {
+    outDir: "dist/widget",
+    copyPublicDir: false,
+    lib: {
+      entry: "src/widget.jsx",
+      formats: ["es"],
+      fileName: () => "chat-widget.js",
+    },
+    rollupOptions: {
+      output: { chunkFileNames: "chunks/[name]-[hash].js" },
+    },
+  },
+};
+
+// library build 會把 CSS 引用的字型全部轉成 base64 放進 JS；KaTeX 每個字型都有 woff2 / woff / ttf 三份，
+// 支援 Shadow DOM 的瀏覽器都能用 woff2，另外兩份只會讓檔案多出將近 1 MB
+const katexWoff2Only = {
+  name: "katex-woff2-only",
+  enforce: "pre",
+  transform(code, id) {
+    if (!id.includes("katex.min.css")) return null;
+    return code.replace(/,url\([^)]+\) format\("(?:woff|truetype)"\)/g, "");
+  },
+};
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), ...(mode === "widget" ? [katexWoff2Only] : [])],
   // 移除 envDir 設定，Vite 預設就會讀取當前目錄的 .env
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),
     },
   },
-});
+  ...(mode === "widget" ? widgetConfig : {}),
+}));